@@ -0,0 +1,576 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+module.exports = AsyncIterant;
+// Watch out: Circular dependency. The export needs to happen before the require
+const Iterant = require('./iterant');
+const IterantArray = require('./iterant-array');
+
+// Older runtimes, including MarkLogic, don’t define the well-known symbol
+const asyncIterator = Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator');
+// Sentinel that operators return instead of a value to drop an item
+const SKIP = {};
+
+/**
+ * The asynchronous counterpart of {@link Iterant}. Wraps anything that
+ * implements `Symbol.asyncIterator` or a plain {@link Iterable} whose items
+ * are (or may be) `Promise`s, such as paged HTTP results or the output of
+ * promise-returning lookups. The interface mirrors {@link Iterant}, except that
+ * terminal methods, like {@link AsyncIterant#toArray}, return a `Promise`.
+ *
+ * @example
+ * AsyncIterant(uris.map(uri => fetch(uri)))
+ *   .map(response => response.json(), { concurrency: 4 })
+ *   .filter(doc => doc.published)
+ *   .toArray()
+ *   .then(docs => console.log(docs.length));
+ *
+ * @class AsyncIterant
+ * @constructs AsyncIterant
+ *
+ * @function
+ * @param {AsyncIterable|Iterable} iterable - Anything with a `Symbol.asyncIterator` or a `Symbol.iterator` property
+ * @returns {AsyncIterant} - A new {@link AsyncIterant} instance that wraps the passed in iterable
+ * @throws {TypeError} - If `iterable` is neither async iterable nor iterable
+ *
+ * @see Iterant#toAsync
+ */
+function AsyncIterant(iterable) {
+  if (!AsyncIterant.isAsyncIterable(iterable) && !Iterant.isIterable(iterable)) {
+    throw new TypeError('Can only wrap an async iterable or an iterable');
+  }
+  if (!this) {
+    return new AsyncIterant(iterable);
+  }
+  return Iterant.call(this, iterable);
+}
+
+/**
+ * The symbol that identifies the async iteration protocol. This is
+ * `Symbol.asyncIterator` where the runtime supports it or a shared,
+ * registered stand-in where it doesn’t.
+ *
+ * @memberof AsyncIterant
+ * @type {symbol}
+ */
+AsyncIterant.asyncIterator = asyncIterator;
+
+/**
+ * Whether an object implements the async iteration protocol. Only checks for
+ * {@link AsyncIterant.asyncIterator}.
+ *
+ * @example
+ * AsyncIterant.isAsyncIterable(AsyncIterant([1, 2])); // true
+ * AsyncIterant.isAsyncIterable([1, 2]);               // false
+ *
+ * @memberof AsyncIterant
+ *
+ * @param {*} obj - Any object, including `null` or `undefined`
+ * @returns {boolean} Whether the object is async iterable
+ */
+AsyncIterant.isAsyncIterable = function(obj) {
+  if (null === obj || 'undefined' === typeof obj)
+    return false;
+  return 'function' === typeof obj[asyncIterator];
+};
+
+/**
+ * Gets an async iterator for an async iterable or adapts the iterator of a
+ * sync iterable, resolving each item before it’s passed along.
+ *
+ * @private
+ * @memberof AsyncIterant
+ *
+ * @param {AsyncIterable|Iterable} iterable
+ * @returns {AsyncIterator}
+ */
+AsyncIterant.iterator = function(iterable) {
+  if (AsyncIterant.isAsyncIterable(iterable)) {
+    return iterable[asyncIterator]();
+  }
+  const itr = iterable[Symbol.iterator]();
+  return {
+    next() {
+      return new Promise(resolve => resolve(itr.next())).then(
+        step =>
+          step.done
+            ? step
+            : Promise.resolve(step.value).then(value => iteration(value, false))
+      );
+    },
+    return(value) {
+      return new Promise(resolve => {
+        if ('function' === typeof itr.return) {
+          itr.return();
+        }
+        resolve(iteration(value, true));
+      });
+    }
+  };
+};
+
+function asyncIterable(factory) {
+  return {[asyncIterator]: factory};
+}
+
+function iteration(value, done) {
+  return {
+    value,
+    done
+  };
+}
+
+function finished(value) {
+  return Promise.resolve(iteration(value, true));
+}
+
+/* Closes an iterator early, ignoring any failure doing so. */
+function close(iterator) {
+  if (!iterator || 'function' !== typeof iterator.return) {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => resolve(iterator.return())).then(
+    () => undefined,
+    () => undefined
+  );
+}
+
+/* Silences in-flight results that nobody will read. */
+function discard(pending) {
+  pending.splice(0).forEach(promise => promise.catch(() => undefined));
+}
+
+/*
+ * Pulls every item through `fct`, waiting on any `Promise` it returns before
+ * pulling the next. Resolves when the iterable is exhausted. The source is
+ * closed if `fct` fails.
+ */
+function consume(iterable, fct) {
+  const itr = AsyncIterant.iterator(iterable);
+  let index = 0;
+  return new Promise((resolve, reject) => {
+    function fail(error) {
+      close(itr).then(() => reject(error));
+    }
+    function advance() {
+      itr.next().then(step => {
+        if (step.done) {
+          resolve();
+          return;
+        }
+        new Promise(res => res(fct(step.value, index++))).then(advance, fail);
+      }, reject);
+    }
+    advance();
+  });
+}
+
+/*
+ * Lazily applies `handler` to each item in order. `handler` returns the value
+ * to emit or `SKIP` to drop the item. The source is closed once `limit` items
+ * have been read, without pulling any more.
+ */
+function pipe(iterable, handler, limit) {
+  return asyncIterable(() => {
+    const source = AsyncIterant.iterator(iterable);
+    let index = 0, ended = false;
+    function end(value) {
+      ended = true;
+      return close(source).then(() => iteration(value, true));
+    }
+    return {
+      next() {
+        if (ended) {
+          return finished();
+        }
+        return new Promise((resolve, reject) => {
+          function advance() {
+            if (index >= limit) {
+              end().then(resolve);
+              return;
+            }
+            source
+              .next()
+              .then(step => {
+                if (step.done) {
+                  ended = true;
+                  resolve(step);
+                  return;
+                }
+                const value = handler(step.value, index++);
+                if (SKIP === value) {
+                  advance();
+                } else {
+                  resolve(iteration(value, false));
+                }
+              })
+              .catch(error => end().then(() => reject(error)));
+          }
+          advance();
+        });
+      },
+      return: end
+    };
+  });
+}
+
+/*
+ * Applies an async `fct` to up to `concurrency` items at a time, emitting the
+ * results in source order. Results equal to `SKIP` are dropped.
+ */
+function ordered(iterable, fct, options) {
+  options = options || {};
+  const concurrency = undefined === options.concurrency ? 1 : options.concurrency;
+  if ('number' !== typeof concurrency || concurrency < 1 || 0 !== concurrency % 1) {
+    throw new TypeError('concurrency must be a positive integer');
+  }
+  const that = options.that || null;
+  return asyncIterable(() => {
+    const source = AsyncIterant.iterator(iterable);
+    const pending = [];
+    let reading = Promise.resolve(), exhausted = false, index = 0;
+    function pull() {
+      // Reads from the source are serialized; only `fct` runs concurrently.
+      reading = reading.then(() => exhausted ? iteration(undefined, true) : source.next());
+      return reading.then(step => {
+        if (step.done) {
+          exhausted = true;
+          return step;
+        }
+        return Promise.resolve(fct.call(that, step.value, index++)).then(
+          value => iteration(value, false)
+        );
+      });
+    }
+    function end(value) {
+      exhausted = true;
+      discard(pending);
+      return close(source).then(() => iteration(value, true));
+    }
+    return {
+      next() {
+        return new Promise((resolve, reject) => {
+          function advance() {
+            while (pending.length < concurrency && !exhausted) {
+              // A later `fct` can reject while an earlier one is still
+              // pending. Mark it handled now; `shift()` still sees the error.
+              const pulled = pull();
+              pulled.catch(() => undefined);
+              pending.push(pulled);
+            }
+            if (0 === pending.length) {
+              resolve(iteration(undefined, true));
+              return;
+            }
+            pending.shift().then(
+              step => {
+                if (SKIP === step.value) {
+                  advance();
+                } else {
+                  resolve(step);
+                }
+              },
+              error => end().then(() => reject(error))
+            );
+          }
+          advance();
+        });
+      },
+      return: end
+    };
+  });
+}
+
+/**
+ * Applies an async function to each item, yielding the resolved results in
+ * the same order as the source, regardless of when each one settles.
+ *
+ * @private
+ * @memberof AsyncIterant
+ *
+ * @param {AsyncIterable|Iterable} iterable
+ * @param {function} fct - A mapper that returns a value or a `Promise`
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=1] - The maximum number of pending `fct` calls
+ * @param {object} [options.that] - The `this` binding of `fct`
+ * @returns {AsyncIterable}
+ * @throws {TypeError}
+ */
+AsyncIterant.map = function(iterable, fct, options) {
+  if ('function' !== typeof fct) {
+    throw new TypeError('fct must be a function');
+  }
+  return ordered(iterable, fct, options);
+};
+/**
+ * Keeps the items for which an async predicate resolves truthy, in source order.
+ *
+ * @private
+ * @memberof AsyncIterant
+ *
+ * @param {AsyncIterable|Iterable} iterable
+ * @param {function} predicate - Returns a `boolean` or a `Promise` of one
+ * @param {Object} [options] - See {@link AsyncIterant.map}
+ * @returns {AsyncIterable}
+ * @throws {TypeError}
+ */
+AsyncIterant.filter = function(iterable, predicate, options) {
+  if ('function' !== typeof predicate) {
+    throw new TypeError('predicate must be a function');
+  }
+  const that = options ? options.that : null;
+  return ordered(
+    iterable,
+    (item, index) =>
+      Promise.resolve(predicate.call(that || null, item, index)).then(
+        keep => keep ? item : SKIP
+      ),
+    options
+  );
+};
+/**
+ * Yields a portion of an async iterable between two offsets, closing the
+ * source as soon as `end` is reached.
+ *
+ * @private
+ * @memberof AsyncIterant
+ *
+ * @param {AsyncIterable|Iterable} iterable
+ * @param {number} [begin]
+ * @param {number} [end]
+ * @returns {AsyncIterable}
+ * @throws {TypeError}
+ */
+AsyncIterant.slice = function(iterable, begin, end) {
+  begin = undefined === begin ? 0 : begin;
+  end = undefined === end ? Infinity : end;
+  if ('number' !== typeof begin || 'number' !== typeof end) {
+    throw new TypeError('begin and end must be numbers');
+  }
+  return pipe(iterable, (item, index) => index < begin ? SKIP : item, end);
+};
+/**
+ * Yields each of the iterables in turn. Items that aren’t iterable, including
+ * strings, are yielded as-is.
+ *
+ * @private
+ * @memberof AsyncIterant
+ *
+ * @param {AsyncIterable|Iterable} iterable
+ * @param {...*} items
+ * @returns {AsyncIterable}
+ */
+AsyncIterant.concat = function(iterable, ...items) {
+  const sources = [iterable].concat(
+    items.map(
+      item =>
+        AsyncIterant.isAsyncIterable(item) || Iterant.isIterable(item, true)
+          ? item
+          : [item]
+    )
+  );
+  return asyncIterable(() => {
+    let current = null, position = 0;
+    return {
+      next() {
+        return new Promise((resolve, reject) => {
+          function advance() {
+            if (null === current) {
+              if (position >= sources.length) {
+                resolve(iteration(undefined, true));
+                return;
+              }
+              current = AsyncIterant.iterator(sources[position++]);
+            }
+            current.next().then(step => {
+              if (step.done) {
+                current = null;
+                advance();
+              } else {
+                resolve(step);
+              }
+            }, reject);
+          }
+          advance();
+        });
+      },
+      return(value) {
+        const itr = current;
+        current = null, position = sources.length;
+        return close(itr).then(() => iteration(value, true));
+      }
+    };
+  });
+};
+
+/**
+ * Gets the async iterator of the underlying iterable. Sync iterables are
+ * adapted so that each item is resolved before it’s yielded.
+ *
+ * @name Symbol.asyncIterator
+ * @memberof AsyncIterant
+ * @instance
+ * @type {AsyncIterator}
+ * @readonly
+ */
+AsyncIterant.prototype[asyncIterator] = function() {
+  return AsyncIterant.iterator(this._iterable);
+};
+/**
+ * The type name that shows up in {@link Object#toString}.
+ *
+ * @name Symbol.toStringTag
+ * @memberof AsyncIterant
+ * @instance
+ * @type {string}
+ * @readonly
+ */
+AsyncIterant.prototype[Symbol.toStringTag] = 'AsyncIterant';
+/**
+ * Applies a function to each item, returning a new {@link AsyncIterant} of
+ * the results. The mapper may return a `Promise`. With a `concurrency` greater
+ * than one, that many mapper calls are allowed to be pending at a time, but
+ * results are still yielded in the original order.
+ *
+ * @example
+ * AsyncIterant(pages)
+ *   .map(page => fetchPage(page), { concurrency: 8 })
+ *   .toArray(); // Promise<Array>, in the same order as pages
+ *
+ * @param {function} fct - The function to apply
+ *   * **`item`** (`any`) The current item
+ *   * **`index`** (`number`) The current index
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=1] - The maximum number of pending `fct` calls
+ * @param {*} [options.that=null] - What `this` should mean when calling `fct`
+ * @returns {AsyncIterant} - A new {@link AsyncIterant} containing the mapped items
+ */
+AsyncIterant.prototype.map = function map(fct, options) {
+  return AsyncIterant(AsyncIterant.map(this._iterable, fct, options));
+};
+/**
+ * Evaluates each item using a predicate, which may return a `Promise`.
+ * Returns a new {@link AsyncIterant} containing only the matching items, in
+ * their original order.
+ *
+ * @param {function} predicate - Return (a `Promise` of) `true` to keep the item, `false` to ignore
+ *   * **`item`** (`any`) The current item
+ *   * **`index`** (`number`) The current index
+ * @param {Object} [options] - The same as {@link AsyncIterant#map}
+ * @returns {AsyncIterant} - A new {@link AsyncIterant} with only the matching items
+ */
+AsyncIterant.prototype.filter = function filter(predicate, options) {
+  return AsyncIterant(AsyncIterant.filter(this._iterable, predicate, options));
+};
+/**
+ * Accumulates an aggregate value over all of the items. The reducer may
+ * return a `Promise`, which is resolved before the next item is visited.
+ *
+ * @example
+ * AsyncIterant([Promise.resolve(1), 2, 3])
+ *   .reduce((prev, item) => prev + item, 0)
+ *   .then(total => total); // 6
+ *
+ * @param {function} reducer - Takes the previous value and the current item and returns a new value
+ *   * **`prev`** (`any`) The accumulated value returned from the previous iteration
+ *   * **`item`** (`any`) The current item
+ *   * **`index`** (`number`) The current index
+ *   * **`self`** (<code>{@link AsyncIterant}</code>)
+ * @param {*} init - The initial value
+ * @returns {Promise} - The accumulated value
+ */
+AsyncIterant.prototype.reduce = function reduce(reducer, init) {
+  if ('function' !== typeof reducer) {
+    return Promise.reject(new TypeError('reducer must be a function'));
+  }
+  let value = init;
+  return consume(this._iterable, (item, index) =>
+    Promise.resolve(reducer(value, item, index, this)).then(next => {
+      value = next;
+    }))
+    .then(() => value);
+};
+/**
+ * Gets a subsection of the items as a new {@link AsyncIterant}. The source
+ * is closed as soon as `end` is reached.
+ *
+ * @param {number} [begin] - The zero-based index where to start
+ * @param {number} [end] - The zero-based index before which to stop
+ * @returns {AsyncIterant} - A new {@link AsyncIterant}
+ */
+AsyncIterant.prototype.slice = function slice(begin, end) {
+  return AsyncIterant(AsyncIterant.slice(this._iterable, begin, end));
+};
+/**
+ * Concatenates items onto the end, returning a new {@link AsyncIterant}.
+ * Async and sync iterables are flattened. Other types are appended as-is.
+ *
+ * @param {...*} items - Items to concatenate
+ * @returns {AsyncIterant} - A new {@link AsyncIterant}
+ */
+AsyncIterant.prototype.concat = function concat(...items) {
+  return AsyncIterant(AsyncIterant.concat(this._iterable, ...items));
+};
+/**
+ * Sorts the items based on a comparator, with the same defaults as
+ * {@link Iterant#sort}. Nothing is read until the result is iterated, at which
+ * point every item is buffered in memory.
+ *
+ * @param {function} [comparator] - A function that compares values pairwise
+ * @returns {AsyncIterant} - A new, sorted {@link AsyncIterant}
+ */
+AsyncIterant.prototype.sort = function sort(comparator) {
+  if (undefined !== comparator && 'function' !== typeof comparator) {
+    throw new TypeError('comparator must be a function');
+  }
+  return AsyncIterant(asyncIterable(() => {
+    let sorted = null;
+    return {
+      next: () => {
+        if (null === sorted) {
+          sorted = this.toArray().then(items =>
+            Iterant.prototype.sort.call(items, comparator)[Symbol.iterator]());
+        }
+        return sorted.then(itr => itr.next());
+      },
+      return: finished
+    };
+  }));
+};
+/**
+ * Reads all of the items into an {@link Array}.
+ *
+ * @returns {Promise<Array>}
+ */
+AsyncIterant.prototype.toArray = function toArray() {
+  const items = [];
+  return consume(this._iterable, item => {
+    items.push(item);
+  })
+    .then(() => items);
+};
+/**
+ * Bridges back to the synchronous world by buffering all of the items into an
+ * {@link IterantArray}. Only use this where the whole result fits comfortably
+ * in memory.
+ *
+ * @returns {Promise<IterantArray>}
+ *
+ * @see Iterant#toAsync
+ */
+AsyncIterant.prototype.toSync = function toSync() { // eslint-disable-line no-sync
+  return this.toArray().then(items => IterantArray(items));
+};
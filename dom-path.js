@@ -0,0 +1,506 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+module.exports = domPath;
+const Scanner = require('./scanner.js');
+
+const ATTRIBUTE_NODE = 2, TEXT_NODE = 3, COMMENT_NODE = 8;
+
+/**
+ * The items of an array-like `NodeList`, or of an `Array`.
+ * 
+ * @private
+ * @param {Object} [list]
+ * @returns {Array}
+ */
+function toArray(list) {
+  if (!list) {
+    return [];
+  }
+  const items = [];
+  for (let i = 0; i < list.length; i++) {
+    items.push('function' === typeof list.item ? list.item(i) : list[i]);
+  }
+  return items;
+}
+function descendants(node) {
+  const nodes = [];
+  for (const child of toArray(node.childNodes)) {
+    nodes.push(child, ...descendants(child));
+  }
+  return nodes;
+}
+function ancestors(node) {
+  const nodes = [];
+  for (let parent = node.parentNode; parent; parent = parent.parentNode) {
+    nodes.push(parent);
+  }
+  return nodes;
+}
+function siblings(node) {
+  return node.parentNode ? toArray(node.parentNode.childNodes) : [node];
+}
+const AXES = {
+  'child': node => toArray(node.childNodes),
+  'descendant': descendants,
+  'descendant-or-self': node => [node].concat(descendants(node)),
+  'self': node => [node],
+  'parent': node => node.parentNode ? [node.parentNode] : [],
+  'ancestor': ancestors,
+  'ancestor-or-self': node => [node].concat(ancestors(node)),
+  'attribute': node => toArray(node.attributes),
+  'following-sibling': node => {
+    const all = siblings(node);
+    return all.slice(all.indexOf(node) + 1);
+  },
+  'preceding-sibling': node => {
+    const all = siblings(node);
+    return all.slice(0, all.indexOf(node)).reverse();
+  }
+};
+
+/**
+ * The string value of a node: the value of a text, attribute or comment 
+ * node, otherwise its `textContent` or the text of its descendants.
+ * 
+ * @private
+ * @param {Object} node
+ * @returns {string}
+ */
+function stringValue(node) {
+  if (ATTRIBUTE_NODE === node.nodeType || TEXT_NODE === node.nodeType || COMMENT_NODE === node.nodeType) {
+    return String(node.nodeValue);
+  }
+  if ('string' === typeof node.textContent) {
+    return node.textContent;
+  }
+  return descendants(node)
+    .filter(descendant => TEXT_NODE === descendant.nodeType)
+    .map(text => text.nodeValue)
+    .join('');
+}
+
+/*
+ * Values are node-sets, represented as arrays of nodes, strings, numbers 
+ * and booleans, converted as in XPath 1.0.
+ */
+
+function toString(value) {
+  if (Array.isArray(value)) {
+    return 0 === value.length ? '' : stringValue(value[0]);
+  }
+  return String(value);
+}
+function toNumber(value) {
+  if ('number' === typeof value) {
+    return value;
+  }
+  if ('boolean' === typeof value) {
+    return value ? 1 : 0;
+  }
+  const string = toString(value).trim();
+  return '' === string ? NaN : Number(string);
+}
+function toBoolean(value) {
+  if (Array.isArray(value) || 'string' === typeof value) {
+    return value.length > 0;
+  }
+  if ('number' === typeof value) {
+    return 0 !== value && !Number.isNaN(value);
+  }
+  return Boolean(value);
+}
+const OPERATORS = {
+  '=': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b
+};
+function compareAtoms(operator, a, b) {
+  const equality = '=' === operator || '!=' === operator;
+  if (equality && 'number' !== typeof a && 'number' !== typeof b) {
+    return OPERATORS[operator](a, b);
+  }
+  return OPERATORS[operator](toNumber(a), toNumber(b));
+}
+/**
+ * Compares two values. A node-set matches if any of its nodes’ string 
+ * values does.
+ * 
+ * @private
+ * @param {string} operator
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function compare(operator, a, b) {
+  if ('boolean' === typeof a || 'boolean' === typeof b) {
+    return OPERATORS[operator](toBoolean(a), toBoolean(b));
+  }
+  function atoms(value) {
+    return Array.isArray(value) ? value.map(stringValue) : [value];
+  }
+  return atoms(a).some(x => atoms(b).some(y => compareAtoms(operator, x, y)));
+}
+/**
+ * Compares the positions of two nodes, as arrays of indexes from the root.
+ * 
+ * @private
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @returns {number}
+ */
+function comparePositions(a, b) {
+  for (let i = 0; i < a.length && i < b.length; i++) {
+    if (a[i] !== b[i]) {
+      return a[i] - b[i];
+    }
+  }
+  return a.length - b.length;
+}
+/**
+ * De-duplicates a node-set and sorts it into document order, like XPath 
+ * does for the results of unions and of every step, including the reverse 
+ * axes. An element comes before its attributes, and its attributes before 
+ * its children. Nodes of different trees keep their relative order.
+ * 
+ * @private
+ * @param {Array<Object>} nodes
+ * @returns {Array<Object>}
+ */
+function documentOrder(nodes) {
+  const positions = new Map();
+  function position(node) {
+    if (!positions.has(node)) {
+      const attribute = ATTRIBUTE_NODE === node.nodeType;
+      const parent = node.parentNode || (attribute ? node.ownerElement : null);
+      let result = [];
+      if (parent) {
+        const list = toArray(attribute ? parent.attributes : parent.childNodes);
+        const index = list.indexOf(node);
+        result = position(parent).concat(attribute ? [-1, index] : [index]);
+      }
+      positions.set(node, result);
+    }
+    return positions.get(node);
+  }
+  return Array.from(new Set(nodes))
+    .sort((a, b) => comparePositions(position(a), position(b)));
+}
+
+const FUNCTIONS = {
+  'position': context => context.position,
+  'last': context => context.size,
+  'count': (context, args) => args[0].length,
+  'not': (context, args) => !toBoolean(args[0]),
+  'true': () => true,
+  'false': () => false,
+  'boolean': (context, args) => toBoolean(args[0]),
+  'number': (context, args) => toNumber(0 === args.length ? [context.node] : args[0]),
+  'string': (context, args) => toString(0 === args.length ? [context.node] : args[0]),
+  'string-length': (context, args) => toString(0 === args.length ? [context.node] : args[0]).length,
+  'normalize-space': (context, args) => toString(0 === args.length ? [context.node] : args[0])
+    .trim()
+    .replace(/\s+/g, ' '),
+  'concat': (context, args) => args.map(toString).join(''),
+  'contains': (context, args) => toString(args[0]).includes(toString(args[1])),
+  'starts-with': (context, args) => toString(args[0]).startsWith(toString(args[1])),
+  'name': (context, args) => {
+    const nodes = 0 === args.length ? [context.node] : args[0];
+    return 0 === nodes.length ? '' : nodes[0].nodeName;
+  },
+  'local-name': (context, args) => FUNCTIONS.name(context, args).replace(/^.*:/, '')
+};
+
+/**
+ * A parser for a subset of XPath 1.0. Expressions compile to functions of 
+ * a context, `{node, position, size, bindings}`, that return a value.
+ * 
+ * @private
+ * @param {string} source
+ */
+function Parser(source) {
+  Scanner.call(this, source);
+}
+Parser.prototype = Object.create(Scanner.prototype);
+
+Parser.prototype.keyword = function(word) {
+  this.skipSpace();
+  const start = this.pos;
+  if (this.eat(word) && null === this.match(/(?=[\w.-])/y)) {
+    return true;
+  }
+  this.pos = start;
+  return false;
+};
+Parser.prototype.or = function() {
+  let left = this.and();
+  while (this.keyword('or')) {
+    const a = left, b = this.and();
+    left = context => toBoolean(a(context)) || toBoolean(b(context));
+  }
+  return left;
+};
+Parser.prototype.and = function() {
+  let left = this.comparison();
+  while (this.keyword('and')) {
+    const a = left, b = this.comparison();
+    left = context => toBoolean(a(context)) && toBoolean(b(context));
+  }
+  return left;
+};
+Parser.prototype.comparison = function() {
+  const left = this.union();
+  this.skipSpace();
+  const operator = this.match(/!=|<=|>=|[=<>]/y);
+  if (null === operator) {
+    return left;
+  }
+  const right = this.union();
+  return context => compare(operator, left(context), right(context));
+};
+Parser.prototype.union = function() {
+  let left = this.primary();
+  this.skipSpace();
+  while (this.eat('|')) {
+    const a = left, b = this.primary();
+    left = context => documentOrder(a(context).concat(b(context)));
+    this.skipSpace();
+  }
+  return left;
+};
+Parser.prototype.primary = function() {
+  this.skipSpace();
+  if (this.eat('(')) {
+    const expression = this.or();
+    this.skipSpace();
+    this.expect(')');
+    return expression;
+  }
+  if (this.peek('\'') || this.peek('"')) {
+    const string = this.string();
+    return () => string;
+  }
+  const number = this.match(/-?(\d+(\.\d*)?|\.\d+)/y);
+  if (null !== number) {
+    return () => Number(number);
+  }
+  if (this.eat('$')) {
+    return this.variable();
+  }
+  const call = this.match(/[\w-]+(?=\s*\()/y);
+  if (null !== call && !Object.prototype.hasOwnProperty.call(NODE_TYPES, call)) {
+    return this.call(call);
+  }
+  this.pos -= null === call ? 0 : call.length;
+  return this.path();
+};
+Parser.prototype.variable = function() {
+  const name = this.match(/[\w.-]+/y) || this.error('Expected a variable name');
+  return context => {
+    if (!Object.prototype.hasOwnProperty.call(context.bindings, name)) {
+      throw new ReferenceError('Unbound variable $' + name);
+    }
+    return context.bindings[name];
+  };
+};
+Parser.prototype.call = function(name) {
+  if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, name)) {
+    this.error('Unsupported function ' + name + '()');
+  }
+  this.skipSpace();
+  this.expect('(');
+  const args = [];
+  this.skipSpace();
+  if (!this.eat(')')) {
+    do {
+      args.push(this.or());
+      this.skipSpace();
+    } while (this.eat(','));
+    this.expect(')');
+  }
+  return context => FUNCTIONS[name](context, args.map(arg => arg(context)));
+};
+/**
+ * A location path, absolute or relative.
+ * 
+ * @returns {function}
+ */
+Parser.prototype.path = function() {
+  const steps = [];
+  let absolute = false;
+  if (this.eat('//')) {
+    absolute = true;
+    steps.push(DESCENDANT_OR_SELF);
+  } else if (this.eat('/')) {
+    absolute = true;
+    this.skipSpace();
+    if (null === this.match(/(?=[\w.@*])/y)) {
+      return context => [root(context.node)];
+    }
+  }
+  steps.push(this.step());
+  for (;;) {
+    if (this.eat('//')) {
+      steps.push(DESCENDANT_OR_SELF, this.step());
+    } else if (this.eat('/')) {
+      steps.push(this.step());
+    } else {
+      break;
+    }
+  }
+  return context => steps.reduce(
+    (nodes, step) => step(nodes, context.bindings),
+    [absolute ? root(context.node) : context.node]
+  );
+};
+/**
+ * A step: an axis, a node test and predicates. Compiles to a function of 
+ * the node-set it applies to and the variable bindings.
+ * 
+ * @returns {function}
+ */
+Parser.prototype.step = function() {
+  this.skipSpace();
+  if (this.eat('..')) {
+    return axisStep('parent', () => true, []);
+  }
+  if (this.eat('.')) {
+    return axisStep('self', () => true, []);
+  }
+  let axis = 'child';
+  if (this.eat('@')) {
+    axis = 'attribute';
+  } else {
+    const explicit = this.match(/[a-z-]+(?=::)/y);
+    if (null !== explicit) {
+      if (!Object.prototype.hasOwnProperty.call(AXES, explicit)) {
+        this.error('Unsupported axis ' + explicit);
+      }
+      axis = explicit;
+      this.expect('::');
+    }
+  }
+  const test = this.nodeTest(axis);
+  const predicates = [];
+  this.skipSpace();
+  while (this.eat('[')) {
+    predicates.push(this.or());
+    this.skipSpace();
+    this.expect(']');
+    this.skipSpace();
+  }
+  return axisStep(axis, test, predicates);
+};
+Parser.prototype.nodeTest = function(axis) {
+  const principal = 'attribute' === axis ? ATTRIBUTE_NODE : 1;
+  if (this.eat('*')) {
+    return node => principal === node.nodeType;
+  }
+  const name = this.match(/[A-Za-z_][\w.:-]*/y) || this.error('Expected a node test');
+  if (Object.prototype.hasOwnProperty.call(NODE_TYPES, name) && this.eat('(')) {
+    this.skipSpace();
+    this.expect(')');
+    return NODE_TYPES[name];
+  }
+  return node => principal === node.nodeType && name === node.nodeName;
+};
+const NODE_TYPES = {
+  node: () => true,
+  text: node => TEXT_NODE === node.nodeType,
+  comment: node => COMMENT_NODE === node.nodeType
+};
+const DESCENDANT_OR_SELF = axisStep('descendant-or-self', () => true, []);
+
+function root(node) {
+  let top = node;
+  while (top.parentNode) {
+    top = top.parentNode;
+  }
+  return top;
+}
+/**
+ * Applies an axis, a node test, and then each predicate in turn, to every 
+ * node of a node-set. A number predicate selects by position.
+ * 
+ * @private
+ * @param {string} axis
+ * @param {function} test
+ * @param {Array<function>} predicates
+ * @returns {function}
+ */
+function axisStep(axis, test, predicates) {
+  return (nodes, bindings) => documentOrder([].concat(...nodes.map(node => {
+    let selected = AXES[axis](node).filter(test);
+    for (const predicate of predicates) {
+      const size = selected.length;
+      selected = selected.filter((candidate, index) => {
+        const value = predicate({
+          node: candidate,
+          position: index + 1,
+          size,
+          bindings
+        });
+        return 'number' === typeof value ? index + 1 === value : toBoolean(value);
+      });
+    }
+    return selected;
+  })));
+}
+
+/**
+ * Compiles an XPath expression for DOM-like objects. Supports location 
+ * paths, with abbreviations and the `child`, `descendant`, 
+ * `descendant-or-self`, `self`, `parent`, `ancestor`, `ancestor-or-self`, 
+ * `attribute`, `following-sibling` and `preceding-sibling` axes, 
+ * predicates, `|`, `or`, `and`, comparisons, variables, and the core 
+ * functions in `FUNCTIONS`. There’s no arithmetic, no predicates on 
+ * parenthesized expressions, like `(//a)[1]`, and no namespace resolution: 
+ * prefixed names are compared literally. Node-sets are in document order, 
+ * like MarkLogic’s, while positions in predicates count in the direction of 
+ * the axis, so `ancestor::*[1]` is the parent.
+ * 
+ * A DOM-like object has a `nodeType`, `1` for an element, `2` for an 
+ * attribute, `3` for text, `8` for a comment and `9` for a document, a 
+ * `nodeName`, and array-like `childNodes`. Attributes come from an optional 
+ * array-like `attributes` and the string value of text, attributes and 
+ * comments from `nodeValue`. `parentNode` is needed for the `parent` and 
+ * `ancestor` axes and for absolute paths from anywhere but the root.
+ * 
+ * @private
+ * @param {string} expression
+ * @returns {function} - Called with a node and the variable bindings, returns an `Array` of the results
+ * @throws {SyntaxError} - For an invalid or unsupported expression
+ */
+function domPath(expression) {
+  const parser = new Parser(expression);
+  const evaluate = parser.or();
+  parser.skipSpace();
+  if (!parser.done()) {
+    parser.error('Unexpected ' + parser.source[parser.pos]);
+  }
+  return (node, bindings) => {
+    const value = evaluate({
+      node,
+      position: 1,
+      size: 1,
+      bindings: bindings || {}
+    });
+    return Array.isArray(value) ? value : [value];
+  };
+}
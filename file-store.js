@@ -0,0 +1,134 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+// Iterants are pulled synchronously, so a run store can’t wait on callbacks 
+// or promises: every file operation in this module has to be synchronous, 
+// and each is marked as such.
+module.exports = fileStore;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StringDecoder = require('string_decoder').StringDecoder;
+
+/**
+ * Lazily reads the lines of a file, in chunks, closing it when iteration 
+ * ends.
+ *
+ * @private
+ * @param {string} file
+ * @param {number} chunkSize - Bytes to read at a time
+ * @returns {Iterable<string>}
+ */
+function* lines(file, chunkSize) {
+  const fd = fs.openSync(file, 'r'); // eslint-disable-line no-sync
+  const buffer = Buffer.alloc(chunkSize), decoder = new StringDecoder('utf8');
+  let rest = '';
+  try {
+    for (;;) {
+      const bytes = fs.readSync(fd, buffer, 0, chunkSize, null); // eslint-disable-line no-sync
+      if (0 === bytes) {
+        break;
+      }
+      const parts = (rest + decoder.write(buffer.slice(0, bytes))).split('\n');
+      rest = parts.pop();
+      yield* parts;
+    }
+    rest += decoder.end();
+    if (rest.length > 0) {
+      yield rest;
+    }
+  } finally {
+    fs.closeSync(fd); // eslint-disable-line no-sync
+  }
+}
+
+/**
+ * Writes items to a file as newline-delimited JSON, about a chunk at a 
+ * time, without collecting them first. 
+ *
+ * @private
+ * @param {string} file
+ * @param {Iterable} items
+ * @param {number} chunkSize - Characters to buffer before writing
+ */
+function writeLines(file, items, chunkSize) {
+  const fd = fs.openSync(file, 'w'); // eslint-disable-line no-sync
+  let buffer = '';
+  try {
+    for (const item of items) {
+      const line = JSON.stringify(item);
+      buffer += (undefined === line ? 'null' : line) + '\n';
+      if (buffer.length >= chunkSize) {
+        fs.writeSync(fd, buffer); // eslint-disable-line no-sync
+        buffer = '';
+      }
+    }
+    fs.writeSync(fd, buffer); // eslint-disable-line no-sync
+  } finally {
+    fs.closeSync(fd); // eslint-disable-line no-sync
+  }
+}
+
+/**
+ * A run store for {@link Iterant#externalSort} that writes each run to a 
+ * temporary file of newline-delimited JSON, and reads it back a chunk at a 
+ * time. Items must survive a round trip through JSON, so `undefined`, for 
+ * example, comes back as `null`. Node only.
+ * 
+ * @example
+ * const fileStore = require('iterant/file-store');
+ * Iterant(rows).externalSort(byId, {store: fileStore({directory: '/mnt/scratch'})});
+ * 
+ * @param {Object} [options]
+ * @param {string} [options.directory=os.tmpdir()] - Where to create the directory for the runs
+ * @param {number} [options.chunkSize=65536] - Bytes to read, and about as many to write, at a time
+ * @returns {Object} - A run store, see {@link Iterant.memoryStore}
+ */
+function fileStore(options) {
+  options = Object.assign({
+    directory: os.tmpdir(),
+    chunkSize: 65536
+  }, options);
+  let directory = null, count = 0;
+  return {
+    write(items) {
+      if (null === directory) {
+        directory = fs.mkdtempSync(path.join(options.directory, 'iterant-')); // eslint-disable-line no-sync
+      }
+      const file = path.join(directory, String(count++) + '.ndjson');
+      writeLines(file, items, options.chunkSize);
+      return file;
+    },
+    read(file) {
+      return {
+        *[Symbol.iterator]() {
+          for (const line of lines(file, options.chunkSize)) {
+            yield JSON.parse(line);
+          }
+        }
+      };
+    },
+    remove(file) {
+      fs.unlinkSync(file); // eslint-disable-line no-sync
+    },
+    close() {
+      if (null !== directory) {
+        fs.rmdirSync(directory); // eslint-disable-line no-sync
+        directory = null;
+      }
+    }
+  };
+}
@@ -43,6 +43,7 @@ function IterantArray(array) {
 IterantArray.prototype = Object.create(Iterant.prototype);
 
 IterantArray.prototype[Symbol.toStringTag] = 'IterantArray';
+IterantArray.prototype[Symbol.species] = IterantArray;
 
 /**
  * Delegates to {@link Array#slice} and returns a new {@link IterantArray}.
@@ -57,24 +58,286 @@ IterantArray.prototype.slice = function slice(begin, end) {
   return IterantArray(this._iterable.slice(begin, end));
 };
 /**
- * 
+ * Delegates to {@link Array#map}, unless an error policy has been set with 
+ * {@link Iterant#onError}, {@link Iterant#catchError} or {@link Iterant#retry}. 
+ * Then it falls back to {@link Iterant#map}, which applies the policy.
+ * The same goes for `reduce` and `filter`. Either way, errors thrown by 
+ * `mapper` are wrapped in an {@link IterantError}, like {@link Iterant#map} does.
  * 
  * @param {function} mapper
  * @param {object} that
  * @returns {IterantArray}
  */
 IterantArray.prototype.map = function(mapper, that) {
-  return IterantArray(this._iterable.map(mapper, that));
+  if (this._policy) {
+    return Iterant.prototype.map.call(this, mapper, that);
+  }
+  return IterantArray(this._iterable.map(Iterant.guard(this, mapper, {
+    operator: 'map',
+    that
+  })));
 };
 IterantArray.prototype.reduce = function(reducer, init) {
-  return this._iterable.reduce(reducer, init);
+  if (this._policy) {
+    return Iterant.prototype.reduce.call(this, reducer, init);
+  }
+  return this._iterable.reduce(Iterant.guard(this, reducer, {operator: 'reduce'}), init);
 };
 IterantArray.prototype.filter = function(predicate, that) {
-  return IterantArray(this._iterable.filter(predicate, that));
+  if (this._policy) {
+    return Iterant.prototype.filter.call(this, predicate, that);
+  }
+  return IterantArray(this._iterable.filter(Iterant.guard(this, predicate, {
+    operator: 'filter',
+    that
+  })));
 };
 IterantArray.prototype.concat = function(...args) {
   return IterantArray(this._iterable.concat(...args));
 };
+/**
+ * Whether {@link Array#flat} would flatten the same as {@link Iterant#flatten}, 
+ * that is, whether every iterable within `depth` levels, except strings, is 
+ * an `Array`.
+ * 
+ * @private
+ * @param {Array} array
+ * @param {number} depth
+ * @returns {boolean}
+ */
+function nestsOnlyArrays(array, depth) {
+  if (depth < 1) {
+    return true;
+  }
+  return array.every(item => {
+    if (Array.isArray(item)) {
+      return nestsOnlyArrays(item, depth - 1);
+    }
+    return !Iterant.isIterable(item, true);
+  });
+}
+/**
+ * Delegates to {@link Array#flatMap}. Iterables returned by `mapper` that 
+ * aren’t arrays, like a `Set` or a generator, are spliced in too.
+ * 
+ * @param {function} mapper
+ * @param {object} [that]
+ * @returns {IterantArray}
+ */
+IterantArray.prototype.flatMap = function(mapper, that) {
+  if (this._policy) {
+    return Iterant.prototype.flatMap.call(this, mapper, that);
+  }
+  if ('function' !== typeof mapper) {
+    throw new TypeError('fct must be a function');
+  }
+  const guarded = Iterant.guard(this, mapper, {
+    operator: 'flatMap',
+    that
+  });
+  return IterantArray(this._iterable.flatMap((item, index, array) => {
+    const value = guarded(item, index, array);
+    if (!Array.isArray(value) && Iterant.isIterable(value, true)) {
+      return Array.from(value);
+    }
+    return value;
+  }));
+};
+/**
+ * Delegates to {@link Array#flat} when only arrays are nested. Otherwise, 
+ * it falls back to {@link Iterant#flatten}.
+ * 
+ * @param {number} [depth=1]
+ * @returns {Iterant}
+ */
+IterantArray.prototype.flatten = function(depth) {
+  depth = Iterant.flattenDepth(depth);
+  if (nestsOnlyArrays(this._iterable, depth)) {
+    return IterantArray(this._iterable.flat(depth));
+  }
+  return Iterant.prototype.flatten.call(this, depth);
+};
+/**
+ * Delegates to {@link Array#sort}, on a copy, so that the wrapped 
+ * {@link Array} isn’t changed.
+ *
+ * @override
+ * @param {function} [comparator]
+ * @returns {IterantArray}
+ */
 IterantArray.prototype.sort = function(comparator) {
-  return IterantArray(this._iterable.sort(comparator));
+  return IterantArray(this._iterable.slice().sort(comparator));
+};
+/**
+ * Delegates to {@link Array#find}, with `predicate` guarded like 
+ * {@link Iterant#find} guards it.
+ *
+ * @override
+ * @param {function} predicate
+ * @param {object} [that]
+ * @returns {*}
+ */
+IterantArray.prototype.find = function(predicate, that) {
+  return this._iterable.find(Iterant.stopsAt(this, predicate, {
+    operator: 'find',
+    that
+  }));
+};
+/**
+ * Delegates to {@link Array#findIndex}, with `predicate` guarded like 
+ * {@link Iterant#findIndex} guards it.
+ *
+ * @override
+ * @param {function} predicate
+ * @param {object} [that]
+ * @returns {number}
+ */
+IterantArray.prototype.findIndex = function(predicate, that) {
+  return this._iterable.findIndex(Iterant.stopsAt(this, predicate, {
+    operator: 'findIndex',
+    that
+  }));
+};
+/**
+ * Delegates to {@link Array#some}, with `predicate` guarded like 
+ * {@link Iterant#some} guards it.
+ *
+ * @override
+ * @param {function} predicate
+ * @param {object} [that]
+ * @returns {boolean}
+ */
+IterantArray.prototype.some = function(predicate, that) {
+  return this._iterable.some(Iterant.stopsAt(this, predicate, {
+    operator: 'some',
+    that
+  }));
+};
+/**
+ * Delegates to {@link Array#some}, for the first item that fails 
+ * `predicate`, guarded like {@link Iterant#every} guards it.
+ *
+ * @override
+ * @param {function} predicate
+ * @param {object} [that]
+ * @returns {boolean}
+ */
+IterantArray.prototype.every = function(predicate, that) {
+  return !this._iterable.some(Iterant.stopsAt(this, predicate, {
+    operator: 'every',
+    that,
+    fails: true
+  }));
+};
+/**
+ * Delegates to {@link Array#indexOf}.
+ *
+ * @override
+ * @param {*} value
+ * @param {number} [fromIndex=0]
+ * @returns {number}
+ */
+IterantArray.prototype.indexOf = function(value, fromIndex) {
+  return this._iterable.indexOf(value, fromIndex);
+};
+/**
+ * Delegates to {@link Array#includes}.
+ *
+ * @override
+ * @param {*} value
+ * @param {number} [fromIndex=0]
+ * @returns {boolean}
+ */
+IterantArray.prototype.includes = function(value, fromIndex) {
+  return this._iterable.includes(value, fromIndex);
+};
+/**
+ * Looks up the item by index directly. A negative index counts back from the
+ * end, like {@link Array#at}.
+ *
+ * @override
+ * @param {number} index
+ * @returns {*}
+ */
+IterantArray.prototype.at = function(index) {
+  index = Iterant.toInteger(index);
+  if (index < 0) {
+    index += this._iterable.length;
+  }
+  return index < 0 ? undefined : this._iterable[index];
+};
+/**
+ * Looks up the first item directly.
+ *
+ * @override
+ * @returns {*} - `undefined` for an empty {@link Array}
+ */
+IterantArray.prototype.first = function() {
+  return this._iterable[0];
+};
+/**
+ * Looks up the last item directly, without iterating.
+ *
+ * @override
+ * @returns {*} - `undefined` for an empty {@link Array}
+ */
+IterantArray.prototype.last = function() {
+  return this._iterable[this._iterable.length - 1];
+};
+/**
+ * The length of the {@link Array}, without iterating.
+ *
+ * @override
+ * @returns {number}
+ */
+IterantArray.prototype.count = function() {
+  return this._iterable.length;
+};
+/**
+ * Copies the wrapped {@link Array}, so that changes to one, like sorting, 
+ * don’t affect the other.
+ * 
+ * @returns {IterantArray}
+ */
+IterantArray.prototype.clone = function() {
+  return IterantArray(this._iterable.slice());
+};
+/**
+ * An {@link Array} is already in memory and replayable, so this is a no-op.
+ * 
+ * @returns {IterantArray} - This instance
+ */
+IterantArray.prototype.cache = function() {
+  return this;
+};
+/**
+ * Slices the wrapped {@link Array} into chunks with {@link Array#slice}.
+ * 
+ * @param {number} size
+ * @returns {IterantArray}
+ */
+IterantArray.prototype.chunk = function(size) {
+  Iterant.assertPositiveInteger(size, 'size');
+  const chunks = [];
+  for (let i = 0; i < this._iterable.length; i += size) {
+    chunks.push(this._iterable.slice(i, i + size));
+  }
+  return IterantArray(chunks);
+};
+/**
+ * Slices the wrapped {@link Array} into windows with {@link Array#slice}.
+ * 
+ * @param {number} size
+ * @param {number} [step=1]
+ * @returns {IterantArray}
+ */
+IterantArray.prototype.window = function(size, step) {
+  step = undefined === step ? 1 : step;
+  Iterant.assertPositiveInteger(size, 'size');
+  Iterant.assertPositiveInteger(step, 'step');
+  const windows = [];
+  for (let i = 0; i + size <= this._iterable.length; i += step) {
+    windows.push(this._iterable.slice(i, i + size));
+  }
+  return IterantArray(windows);
 };
@@ -0,0 +1,71 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+module.exports = IterantError;
+
+/**
+ * Wraps an error thrown by a callback in an {@link Iterant} pipeline, such as 
+ * a mapper or a predicate, with the item being processed, its index, and 
+ * the name of the operator that called the callback. The original error is 
+ * the `cause`, and the stack trace is the cause’s, so it still points to 
+ * where the callback failed.
+ * 
+ * @example
+ * try {
+ *   Iterant(docs).map(doc => doc.toObject().title.trim()).toArray();
+ * } catch (error) {
+ *   error.operator; // 'map'
+ *   error.index;    // 41
+ *   error.item;     // The document without a title
+ *   error.cause;    // TypeError: Cannot read property 'trim' of undefined
+ * }
+ * 
+ * @class IterantError
+ * @augments Error
+ * 
+ * @constructs IterantError
+ * @function
+ * @param {*} cause - The error thrown by the callback
+ * @param {Object} [details]
+ * @param {*} [details.item] - The item being processed
+ * @param {number} [details.index] - The zero-based index of the item
+ * @param {string} [details.operator] - The name of the operator, for example `map`
+ * @returns {IterantError} - A new {@link IterantError}
+ */
+function IterantError(cause, details) {
+  if (!(this instanceof IterantError)) {
+    return new IterantError(cause, details);
+  }
+  details = details || {};
+  this.cause = cause;
+  this.item = details.item;
+  this.index = details.index;
+  this.operator = details.operator;
+  const reason = cause instanceof Error ? cause.message : String(cause);
+  this.message = String(this.operator) + ' failed on the item at index ' + 
+    String(this.index) + ': ' + reason;
+  const stack = cause instanceof Error && cause.stack ? String(cause.stack) : '';
+  const frames = stack.split('\n').filter(line => (/^\s+at /).test(line));
+  if (frames.length > 0) {
+    this.stack = [this.name + ': ' + this.message].concat(frames).join('\n');
+  } else if ('function' === typeof Error.captureStackTrace) {
+    Error.captureStackTrace(this, IterantError);
+  }
+}
+// Inherit from Error
+IterantError.prototype = Object.create(Error.prototype);
+IterantError.prototype.constructor = IterantError;
+IterantError.prototype.name = 'IterantError';
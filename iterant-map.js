@@ -0,0 +1,211 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+module.exports = IterantMap;
+const Iterant = require('./iterant');
+
+/**
+ * An {@link IterantMap} extends {@link Iterant} with functionality 
+ * specific to built-in JavaScript {@link Map} instances. Like the {@link Map} 
+ * itself, the items are `[key, value]` entries. Key- and value-aware 
+ * operators, like {@link IterantMap#mapValues}, work on the parts of each 
+ * entry and return a new {@link IterantMap}.
+ * 
+ * @example
+ * Iterant(new Map([['a', 1], ['b', 2]])) // IterantMap
+ *   .mapValues(v => v * 10)
+ *   .toObject(); // { a: 10, b: 20 }
+ * 
+ * @class IterantMap
+ * @augments Iterant
+ * 
+ * @constructs IterantMap
+ * @function
+ * @param {Map} map  - A {@link Map}
+ * @returns {IterantMap} - A new {@link IterantMap}
+ * @throws {TypeError} - If `map` is not a {@link Map}
+ */
+function IterantMap(map) {
+  if (!(map instanceof Map)) {
+    throw new TypeError('Can only wrap a Map');
+  }
+  if (!this) {
+    return new IterantMap(map);
+  }
+  return Iterant.call(this, map);
+}
+// Inherit from Iterant
+IterantMap.prototype = Object.create(Iterant.prototype);
+
+IterantMap.prototype[Symbol.toStringTag] = 'IterantMap';
+IterantMap.prototype[Symbol.species] = IterantMap;
+
+/**
+ * Gets the keys, in insertion order.
+ * 
+ * @returns {Iterant} - A new {@link Iterant} of the keys
+ * 
+ * @see Map#keys
+ */
+IterantMap.prototype.keys = function() {
+  return Iterant(this._iterable.keys());
+};
+/**
+ * Gets the values, in insertion order.
+ * 
+ * @returns {Iterant} - A new {@link Iterant} of the values
+ * 
+ * @see Map#values
+ */
+IterantMap.prototype.values = function() {
+  return Iterant(this._iterable.values());
+};
+/**
+ * Applies a function to each value, keeping the keys. Errors thrown by 
+ * `mapper` go through the error policy, as with {@link Iterant#map}: 
+ * an entry whose error is skipped or collected is left out.
+ * 
+ * @example
+ * IterantMap(new Map([['a', 1]]))
+ *   .mapValues((value, key) => key + value); // IterantMap { 'a' => 'a1' }
+ * 
+ * @param {function} mapper
+ *   * **`value`** (`any`) The current value
+ *   * **`key`** (`any`) The current key
+ *   * **`map`** (`Map`) The wrapped {@link Map}
+ * @param {object} [that] - `this` binding of `mapper` call
+ * @returns {IterantMap}
+ */
+IterantMap.prototype.mapValues = function(mapper, that) {
+  if ('function' !== typeof mapper) {
+    throw new TypeError('mapper must be a function');
+  }
+  const guarded = Iterant.guard(this, mapper, {
+    operator: 'mapValues',
+    that
+  });
+  const map = new Map(), skips = Boolean(this._policy);
+  this._iterable.forEach((value, key, self) => {
+    const mapped = guarded(value, key, self);
+    if (!skips || Iterant.SKIP !== mapped) {
+      map.set(key, mapped);
+    }
+  });
+  return IterantMap(map);
+};
+/**
+ * Applies a function to each key, keeping the values. If two keys map to the 
+ * same new key, the later entry wins. Errors go through the error policy, 
+ * like in {@link IterantMap#mapValues}.
+ * 
+ * @param {function} mapper
+ *   * **`key`** (`any`) The current key
+ *   * **`value`** (`any`) The current value
+ *   * **`map`** (`Map`) The wrapped {@link Map}
+ * @param {object} [that] - `this` binding of `mapper` call
+ * @returns {IterantMap}
+ */
+IterantMap.prototype.mapKeys = function(mapper, that) {
+  if ('function' !== typeof mapper) {
+    throw new TypeError('mapper must be a function');
+  }
+  const guarded = Iterant.guard(this, mapper, {
+    operator: 'mapKeys',
+    that
+  });
+  const map = new Map(), skips = Boolean(this._policy);
+  this._iterable.forEach((value, key, self) => {
+    const mapped = guarded(key, value, self);
+    if (!skips || Iterant.SKIP !== mapped) {
+      map.set(mapped, value);
+    }
+  });
+  return IterantMap(map);
+};
+/**
+ * Keeps the entries for which a predicate returns `true`. Errors go 
+ * through the error policy, like in {@link IterantMap#mapValues}.
+ * 
+ * @param {function} predicate
+ *   * **`value`** (`any`) The current value
+ *   * **`key`** (`any`) The current key
+ *   * **`map`** (`Map`) The wrapped {@link Map}
+ * @param {object} [that] - `this` binding of `predicate` call
+ * @returns {IterantMap}
+ */
+IterantMap.prototype.filterEntries = function(predicate, that) {
+  if ('function' !== typeof predicate) {
+    throw new TypeError('predicate must be a function');
+  }
+  const guarded = Iterant.guard(this, predicate, {
+    operator: 'filterEntries',
+    that
+  });
+  const map = new Map(), skips = Boolean(this._policy);
+  this._iterable.forEach((value, key, self) => {
+    const keep = guarded(value, key, self);
+    if (keep && (!skips || Iterant.SKIP !== keep)) {
+      map.set(key, value);
+    }
+  });
+  return IterantMap(map);
+};
+/**
+ * Copies the entries into a new {@link Map}.
+ * 
+ * @returns {Map}
+ */
+IterantMap.prototype.toMap = function() {
+  return new Map(this._iterable);
+};
+/**
+ * Copies the entries into a plain object. Keys are converted to strings, so 
+ * distinct keys with the same string form, like `1` and `'1'`, collide. The 
+ * later entry wins.
+ * 
+ * @returns {Object}
+ */
+IterantMap.prototype.toObject = function() {
+  const obj = {};
+  this._iterable.forEach((value, key) => {
+    obj[String(key)] = value;
+  });
+  return obj;
+};
+/**
+ * The number of entries, without iterating.
+ * 
+ * @returns {number}
+ */
+IterantMap.prototype.count = function() {
+  return this._iterable.size;
+};
+/**
+ * Copies the wrapped {@link Map}, so that changes to one don’t affect the other.
+ * 
+ * @returns {IterantMap}
+ */
+IterantMap.prototype.clone = function() {
+  return IterantMap(new Map(this._iterable));
+};
+/**
+ * A {@link Map} is already in memory and replayable, so this is a no-op.
+ * 
+ * @returns {IterantMap} - This instance
+ */
+IterantMap.prototype.cache = function() {
+  return this;
+};
@@ -0,0 +1,209 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+module.exports = IterantRange;
+const Iterant = require('./iterant');
+
+/**
+ * An arithmetic progression of `length` numbers, `start`, `start + step`, 
+ * and so on. `length` may be `Infinity`. It’s iterable any number of times.
+ * 
+ * @private
+ * @param {number} start
+ * @param {number} step
+ * @param {number} length
+ */
+function Range(start, step, length) {
+  this.start = start;
+  this.step = step;
+  this.length = length;
+}
+Range.prototype[Symbol.iterator] = function*() {
+  for (let i = 0; i < this.length; i++) {
+    yield this.at(i);
+  }
+};
+Range.prototype.at = function(index) {
+  const offset = index * this.step;
+  return this.start + offset;
+};
+
+/**
+ * An {@link IterantRange} is a lazy, replayable arithmetic progression of 
+ * numbers, created with {@link Iterant.range}. Because its length and 
+ * every item are known without iterating, `slice`, `at`, `count` and 
+ * membership tests are computed rather than iterated, even on an infinite 
+ * range.
+ * 
+ * @class IterantRange
+ * @augments Iterant
+ * 
+ * @constructs IterantRange
+ * @function
+ * @param {Object} range - A range from {@link Iterant.range}
+ * @returns {IterantRange} - A new {@link IterantRange}
+ * @throws {TypeError} - If `range` isn’t a range
+ */
+function IterantRange(range) {
+  if (!(range instanceof Range)) {
+    throw new TypeError('Can only wrap a range, use Iterant.range()');
+  }
+  if (!this) {
+    return new IterantRange(range);
+  }
+  return Iterant.call(this, range);
+}
+// Inherit from Iterant
+IterantRange.prototype = Object.create(Iterant.prototype);
+
+IterantRange.prototype[Symbol.toStringTag] = 'IterantRange';
+IterantRange.prototype[Symbol.species] = IterantRange;
+
+/**
+ * Whether an object is a range, for the {@link Iterant} factory.
+ * 
+ * @private
+ * @param {*} obj
+ * @returns {boolean}
+ */
+IterantRange.isRange = function(obj) {
+  return obj instanceof Range;
+};
+/**
+ * Creates the range for {@link Iterant.range}.
+ * 
+ * @private
+ * @param {number} start
+ * @param {number} end
+ * @param {number} step
+ * @returns {IterantRange}
+ */
+IterantRange.from = function(start, end, step) {
+  return IterantRange(
+    new Range(start, step, Math.max(0, Math.ceil((end - start) / step)))
+  );
+};
+/**
+ * Resolves a relative index, like {@link Array#slice}’s, against the length 
+ * of the range, which has to be finite for a negative index.
+ * 
+ * @private
+ * @param {number} index
+ * @param {number} length
+ * @returns {number}
+ * @throws {RangeError} - For a negative index into an infinite range
+ */
+function resolve(index, length) {
+  index = Iterant.toInteger(index);
+  if (index >= 0) {
+    return Math.min(index, length);
+  }
+  if (Infinity === length) {
+    throw new RangeError('Negative indexes need a finite range');
+  }
+  return Math.max(0, length + index);
+}
+/**
+ * Computes the sub-range, without iterating. Safe on infinite ranges.
+ * 
+ * @override
+ * @param {number} [begin=0]
+ * @param {number} [end]
+ * @returns {IterantRange}
+ */
+IterantRange.prototype.slice = function(begin, end) {
+  const range = this._iterable;
+  begin = resolve(begin, range.length);
+  end = undefined === end ? range.length : resolve(end, range.length);
+  return IterantRange(
+    new Range(range.at(begin), range.step, Math.max(0, end - begin))
+  );
+};
+/**
+ * The number of items, possibly `Infinity`, without iterating.
+ * 
+ * @returns {number}
+ */
+IterantRange.prototype.count = function() {
+  return this._iterable.length;
+};
+/**
+ * Computes the item at an index, without iterating.
+ * 
+ * @override
+ * @param {number} index - Negative counts back from the end of a finite range
+ * @returns {number|undefined}
+ * @throws {RangeError} - For a negative index into an infinite range
+ */
+IterantRange.prototype.at = function(index) {
+  const range = this._iterable;
+  index = Iterant.toInteger(index);
+  if (index < 0) {
+    if (Infinity === range.length) {
+      throw new RangeError('Negative indexes need a finite range');
+    }
+    index += range.length;
+  }
+  return index >= 0 && index < range.length ? range.at(index) : undefined;
+};
+IterantRange.prototype.first = function() {
+  return this.at(0);
+};
+IterantRange.prototype.last = function() {
+  return this.at(-1);
+};
+/**
+ * Computes where `value` would be, without iterating.
+ * 
+ * @override
+ * @param {*} value
+ * @param {number} [fromIndex=0]
+ * @returns {number}
+ */
+IterantRange.prototype.indexOf = function(value, fromIndex) {
+  const range = this._iterable;
+  if ('number' !== typeof value) {
+    return -1;
+  }
+  const index = Math.round((value - range.start) / range.step);
+  const found = index >= 0 && index < range.length && range.at(index) === value;
+  return found && index >= resolve(fromIndex, range.length) ? index : -1;
+};
+IterantRange.prototype.includes = function(value, fromIndex) {
+  return -1 !== this.indexOf(value, fromIndex);
+};
+/**
+ * Refuses to loop forever.
+ * 
+ * @override
+ * @returns {Array<number>}
+ * @throws {RangeError} - For an infinite range. Use `slice` first.
+ */
+IterantRange.prototype.toArray = function() {
+  if (Infinity === this._iterable.length) {
+    throw new RangeError('Can’t convert an infinite range to an Array, slice it first');
+  }
+  return Array.from(this._iterable);
+};
+/**
+ * Ranges are immutable and replayable, so the clone wraps the same range.
+ * 
+ * @override
+ * @returns {IterantRange}
+ */
+IterantRange.prototype.clone = function() {
+  return IterantRange(this._iterable);
+};
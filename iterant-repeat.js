@@ -0,0 +1,180 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+module.exports = IterantRepeat;
+const Iterant = require('./iterant');
+
+/**
+ * `value`, `length` times. `length` may be `Infinity`. It’s iterable any
+ * number of times.
+ * 
+ * @private
+ * @param {*} value
+ * @param {number} length
+ */
+function Repetition(value, length) {
+  this.value = value;
+  this.length = length;
+}
+Repetition.prototype[Symbol.iterator] = function*() {
+  for (let i = 0; i < this.length; i++) {
+    yield this.value;
+  }
+};
+
+/**
+ * An {@link IterantRepeat} is a lazy, replayable run of the same value,
+ * created with {@link Iterant.repeat}. Like an {@link IterantRange}, its
+ * length and every item are known without iterating, so `slice`, `at` and
+ * `count` are computed, and nothing is allocated up front, even for a very
+ * large or infinite count.
+ * 
+ * @class IterantRepeat
+ * @augments Iterant
+ * 
+ * @constructs IterantRepeat
+ * @function
+ * @param {Object} repetition - A repetition from {@link Iterant.repeat}
+ * @returns {IterantRepeat} - A new {@link IterantRepeat}
+ * @throws {TypeError} - If `repetition` isn’t a repetition
+ */
+function IterantRepeat(repetition) {
+  if (!(repetition instanceof Repetition)) {
+    throw new TypeError('Can only wrap a repetition, use Iterant.repeat()');
+  }
+  if (!this) {
+    return new IterantRepeat(repetition);
+  }
+  return Iterant.call(this, repetition);
+}
+// Inherit from Iterant
+IterantRepeat.prototype = Object.create(Iterant.prototype);
+
+IterantRepeat.prototype[Symbol.toStringTag] = 'IterantRepeat';
+IterantRepeat.prototype[Symbol.species] = IterantRepeat;
+
+/**
+ * Whether an object is a repetition, for the {@link Iterant} factory.
+ * 
+ * @private
+ * @param {*} obj
+ * @returns {boolean}
+ */
+IterantRepeat.isRepetition = function(obj) {
+  return obj instanceof Repetition;
+};
+/**
+ * Creates the repetition for {@link Iterant.repeat}.
+ * 
+ * @private
+ * @param {*} value
+ * @param {number} count
+ * @returns {IterantRepeat}
+ */
+IterantRepeat.from = function(value, count) {
+  return IterantRepeat(new Repetition(value, count));
+};
+/**
+ * Resolves a relative index, like {@link Array#slice}’s, against the length
+ * of the repetition, which has to be finite for a negative index.
+ * 
+ * @private
+ * @param {number} index
+ * @param {number} length
+ * @returns {number}
+ * @throws {RangeError} - For a negative index into an infinite repetition
+ */
+function resolve(index, length) {
+  index = Iterant.toInteger(index);
+  if (index >= 0) {
+    return Math.min(index, length);
+  }
+  if (Infinity === length) {
+    throw new RangeError('Negative indexes need a finite repetition');
+  }
+  return Math.max(0, length + index);
+}
+/**
+ * Computes the shorter repetition, without iterating. Safe on infinite
+ * repetitions.
+ * 
+ * @override
+ * @param {number} [begin=0]
+ * @param {number} [end]
+ * @returns {IterantRepeat}
+ */
+IterantRepeat.prototype.slice = function(begin, end) {
+  const repetition = this._iterable;
+  begin = resolve(begin, repetition.length);
+  end = undefined === end ? repetition.length : resolve(end, repetition.length);
+  return IterantRepeat.from(repetition.value, Math.max(0, end - begin));
+};
+/**
+ * The number of items, possibly `Infinity`, without iterating.
+ * 
+ * @returns {number}
+ */
+IterantRepeat.prototype.count = function() {
+  return this._iterable.length;
+};
+/**
+ * The repeated value, if `index` is in bounds, without iterating.
+ * 
+ * @override
+ * @param {number} index - Negative counts back from the end of a finite repetition
+ * @returns {*}
+ * @throws {RangeError} - For a negative index into an infinite repetition
+ */
+IterantRepeat.prototype.at = function(index) {
+  const repetition = this._iterable;
+  index = Iterant.toInteger(index);
+  if (index < 0) {
+    if (Infinity === repetition.length) {
+      throw new RangeError('Negative indexes need a finite repetition');
+    }
+    index += repetition.length;
+  }
+  return index >= 0 && index < repetition.length ? repetition.value : undefined;
+};
+IterantRepeat.prototype.first = function() {
+  return this.at(0);
+};
+IterantRepeat.prototype.last = function() {
+  return this.at(-1);
+};
+/**
+ * Refuses to loop forever.
+ * 
+ * @override
+ * @returns {Array}
+ * @throws {RangeError} - For an infinite repetition. Use `slice` first.
+ */
+IterantRepeat.prototype.toArray = function() {
+  const repetition = this._iterable;
+  if (Infinity === repetition.length) {
+    throw new RangeError('Can’t convert an infinite repetition to an Array, slice it first');
+  }
+  return new Array(repetition.length).fill(repetition.value);
+};
+/**
+ * Repetitions are immutable and replayable, so the clone wraps the same one.
+ * 
+ * @override
+ * @returns {IterantRepeat}
+ */
+IterantRepeat.prototype.clone = function() {
+  return IterantRepeat(this._iterable);
+};
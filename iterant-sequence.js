@@ -14,9 +14,13 @@
  * limitations under the License.                                             *
  * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
 'use strict';
+/* global fn, Node, Sequence */
 module.exports = IterantSequence;
 const Iterant = require('./iterant');
 
+// Compares strings by code point, like `===`, rather than with the default collation
+const CODEPOINT = 'http://marklogic.com/collation/codepoint';
+
 /**
  * An {@link IterantSequence} extends {@link Iterant} with functionality 
  * specific to MarkLogic {@link Sequence} instances.
@@ -111,27 +115,578 @@ IterantSequence.prototype.concat = function(...args) {
     )
   ));
 };
-IterantSequence.prototype.sort = function(comparator) {
+/**
+ * Same as {@link Iterant#flatMap}, but keeps the result a {@link Sequence}, 
+ * so that, for example, it can be passed to `xdmp` and `cts` functions. The 
+ * {@link Sequence} wraps the lazy {@link Iterant#flatMap}, so nothing is 
+ * read up front, and infinite inner iterables are fine if only a slice is 
+ * used.
+ * 
+ * @override
+ * @param {function} fct
+ * @param {object} [that]
+ * @returns {IterantSequence}
+ */
+IterantSequence.prototype.flatMap = function(fct, that) {
+  return Iterant.species(
+    this,
+    Sequence.from(Iterant.prototype.flatMap.call(this, fct, that))
+  );
+};
+/**
+ * Same as {@link Iterant#flatten}, but keeps the result a lazy 
+ * {@link Sequence}. A {@link Sequence} never nests another, so only items 
+ * that are themselves iterable, like arrays, are flattened.
+ * 
+ * @override
+ * @param {number} [depth=1]
+ * @returns {IterantSequence}
+ */
+IterantSequence.prototype.flatten = function(depth) {
+  return Iterant.species(
+    this,
+    Sequence.from(Iterant.prototype.flatten.call(this, depth))
+  );
+};
+/**
+ * Warns that sorting a {@link Sequence} in JavaScript reads it into memory.
+ *
+ * @private
+ */
+function warnSort() {
   if (console && 'function' === typeof console.warn) {
     console.warn(
-      'Sort in the database query where possible. This won’t scale for large Sequences.'
+      'Sort in the database query where possible. Unless only a leading slice is used, this won’t scale for large Sequences.'
     );
   }
+}
+IterantSequence.prototype.sort = function(comparator) {
+  warnSort();
   return Iterant.prototype.sort.call(this, comparator);
 };
-// FIXME: This doesn't depend on Sequence. Might want to do XPath on any type of iterable, no?
-IterantSequence.prototype.xpath = function(path, bindings) {
-  if (null === path || 'undefined' === typeof path) {
-    throw new TypeError('path must be a string of XPath');
-  }
-  return Iterant(
-    Iterant.delegate(this._iterable, function*(item) {
-      if (
-        item instanceof Node || item instanceof Document ||
-          'function' === typeof item.xpath
-      ) {
-        yield* item.xpath(path, bindings);
-      }
-    })
+/**
+ * The same as {@link Iterant#sortBy}, but warns, like 
+ * {@link IterantSequence#sort}, because the whole {@link Sequence} is read 
+ * into memory, unless only a leading slice is used. Sort in the database 
+ * query where possible.
+ *
+ * @override
+ * @param {string|function|Object|Array} spec - See {@link Iterant.comparator}
+ * @returns {IterantSorted}
+ */
+IterantSequence.prototype.sortBy = function(spec) {
+  warnSort();
+  return Iterant.prototype.sortBy.call(this, spec);
+};
+/**
+ * Whether a value can be compared natively by XQuery functions, like
+ * {@link https://docs.marklogic.com/fn.index-of fn.indexOf()}, with the same
+ * result as strict equality.
+ *
+ * @private
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isAtomic(value) {
+  if ('number' === typeof value) {
+    return !Number.isNaN(value);
+  }
+  return 'string' === typeof value || 'boolean' === typeof value;
+}
+/**
+ * {@link https://docs.marklogic.com/fn.head fn.head()}, but `undefined`
+ * instead of `null` for an empty {@link Sequence}, like an empty {@link Array}.
+ *
+ * @private
+ * @param {Sequence} seq
+ * @returns {*}
+ */
+function head(seq) {
+  const item = fn.head(seq);
+  return null === item ? undefined : item;
+}
+/**
+ * Delegates to {@link https://docs.marklogic.com/fn.head fn.head()}.
+ *
+ * @override
+ * @returns {*}
+ */
+IterantSequence.prototype.first = function() {
+  return head(this._iterable);
+};
+/**
+ * Delegates to {@link https://docs.marklogic.com/fn.subsequence fn.subsequence()}.
+ * A negative index counts back from the end, using
+ * {@link https://docs.marklogic.com/fn.count fn.count()}.
+ *
+ * @override
+ * @param {number} index
+ * @returns {*}
+ */
+IterantSequence.prototype.at = function(index) {
+  index = Iterant.toInteger(index);
+  if (index < 0) {
+    index += fn.count(this._iterable);
+    if (index < 0) {
+      return undefined;
+    }
+  }
+  return head(fn.subsequence(this._iterable, index + 1, 1));
+};
+IterantSequence.prototype.last = function() {
+  return this.at(-1);
+};
+/**
+ * Delegates to {@link https://docs.marklogic.com/fn.index-of fn.indexOf()} for
+ * strings, booleans, and numbers, with the codepoint collation, so that 
+ * strings match like with `===`. Other values, such as nodes, fall back to
+ * {@link Iterant#indexOf}.
+ *
+ * @override
+ * @param {*} value
+ * @param {number} [fromIndex]
+ * @returns {number}
+ */
+IterantSequence.prototype.indexOf = function(value, fromIndex) {
+  if (!isAtomic(value)) {
+    return Iterant.prototype.indexOf.call(this, value, fromIndex);
+  }
+  fromIndex = Iterant.toInteger(fromIndex);
+  if (fromIndex < 0) {
+    fromIndex = Math.max(0, fromIndex + fn.count(this._iterable));
+  }
+  for (const position of fn.indexOf(this._iterable, value, CODEPOINT)) {
+    if (position > fromIndex) {
+      return position - 1;
+    }
+  }
+  return -1;
+};
+IterantSequence.prototype.includes = function(value, fromIndex) {
+  if (!isAtomic(value)) {
+    return Iterant.prototype.includes.call(this, value, fromIndex);
+  }
+  return -1 !== this.indexOf(value, fromIndex);
+};
+/**
+ * {@link Sequence} instances are immutable and replayable, so the clone 
+ * wraps the same {@link Sequence}.
+ * 
+ * @override
+ * @returns {IterantSequence}
+ */
+IterantSequence.prototype.clone = function() {
+  return IterantSequence(this._iterable);
+};
+/**
+ * Yields an {@link Array} for each {@link https://docs.marklogic.com/fn.subsequence fn.subsequence()}
+ * of `size` items, starting every `step` items, until one is empty. Doesn’t 
+ * use {@link https://docs.marklogic.com/fn.count fn.count()}, so a lazily 
+ * evaluated {@link Sequence} is only evaluated as far as it’s read.
+ * 
+ * @private
+ * @param {Sequence} seq
+ * @param {number} size
+ * @param {number} step
+ * @returns {Iterable<Array>}
+ */
+function* subsequences(seq, size, step) {
+  for (let start = 1; ; start += step) {
+    const items = Array.from(fn.subsequence(seq, start, size));
+    if (0 === items.length) {
+      return;
+    }
+    yield items;
+  }
+}
+/**
+ * Lazily slices the {@link Sequence} into chunks with 
+ * {@link https://docs.marklogic.com/fn.subsequence fn.subsequence()}, rather 
+ * than iterating it.
+ * 
+ * @override
+ * @param {number} size
+ * @returns {Iterant} - An {@link Iterant} of {@link Array} chunks
+ */
+IterantSequence.prototype.chunk = function(size) {
+  Iterant.assertPositiveInteger(size, 'size');
+  return Iterant(subsequences(this._iterable, size, size));
+};
+/**
+ * Lazily slices the {@link Sequence} into windows with 
+ * {@link https://docs.marklogic.com/fn.subsequence fn.subsequence()}.
+ * 
+ * @override
+ * @param {number} size
+ * @param {number} [step=1]
+ * @returns {Iterant} - An {@link Iterant} of {@link Array} windows
+ */
+IterantSequence.prototype.window = function(size, step) {
+  step = undefined === step ? 1 : step;
+  Iterant.assertPositiveInteger(size, 'size');
+  Iterant.assertPositiveInteger(step, 'step');
+  return Iterant(subsequences(this._iterable, size, step)).filter(
+    items => items.length === size
   );
 };
+/**
+ * Whether de-duplication or set operation options use plain SameValueZero 
+ * equality of the items themselves, rather than a `key` or `json` equality.
+ *
+ * @private
+ * @param {Object} [options]
+ * @returns {boolean}
+ */
+function isNative(options) {
+  if (!options) {
+    return true;
+  }
+  if (options.key) {
+    return false;
+  }
+  return !options.equality || 'sameValueZero' === options.equality;
+}
+/**
+ * Whether a value is a node, which XPath compares by identity.
+ *
+ * @private
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isNode(value) {
+  return value instanceof Node;
+}
+/**
+ * Unwraps an {@link Iterant} and turns any other iterable into a 
+ * {@link Sequence}, which, unlike a generator, can still be read after its 
+ * items have been checked.
+ *
+ * @private
+ * @param {Iterable} iterable
+ * @returns {Sequence}
+ */
+function toSequence(iterable) {
+  if (iterable instanceof Iterant) {
+    iterable = iterable._iterable;
+  }
+  return iterable instanceof Sequence ? iterable : Sequence.from(iterable);
+}
+/**
+ * Whether XQuery can compare every item of every {@link Sequence} natively: 
+ * `'atomic'` if they’re all strings, booleans and numbers, `'node'` if 
+ * they’re all nodes, and otherwise `undefined`. The first item decides which 
+ * to check for, and checking stops at the first item that isn’t of that 
+ * kind, so mixed items are usually found early.
+ *
+ * @private
+ * @param {Array<Sequence>} seqs
+ * @returns {string|undefined}
+ */
+function nativeKind(seqs) {
+  const sample = seqs.map(head).find(item => undefined !== item);
+  let kind, is;
+  if (isNode(sample)) {
+    kind = 'node';
+    is = isNode;
+  } else if (isAtomic(sample)) {
+    kind = 'atomic';
+    is = isAtomic;
+  } else {
+    return undefined;
+  }
+  return seqs.every(seq => Iterant(seq).every(is)) ? kind : undefined;
+}
+/**
+ * Evaluates an XPath set operation on the nodes of `a` and `b`, in the 
+ * context of the first of their nodes.
+ *
+ * @private
+ * @param {string} expression - Of `$a` and `$b`
+ * @param {Sequence} a
+ * @param {Sequence} b
+ * @returns {Sequence}
+ */
+function nodes(expression, a, b) {
+  const context = [a, b].map(head).find(isNode);
+  return context.xpath(expression, {
+    a,
+    b
+  });
+}
+/**
+ * Builds the identity of items for one de-duplication or set operation on 
+ * mixed items, which XQuery can’t compare. Each item is looked at as it’s 
+ * read. A node’s identity is its 
+ * {@link https://docs.marklogic.com/fn.generate-id fn.generateId()}, so that 
+ * two references to the same node are the same item, like with XPath’s `is`. 
+ * Anything else is itself, compared with SameValueZero, like in 
+ * {@link Iterant#distinct}.
+ *
+ * @private
+ * @returns {function} - See {@link Iterant.identity}
+ */
+function nodeIdentity() {
+  // One token per node, so a node’s id never equals a string item
+  const tokens = new Map();
+  return item => {
+    if (!isNode(item)) {
+      return item;
+    }
+    const id = fn.generateId(item);
+    if (!tokens.has(id)) {
+      tokens.set(id, {});
+    }
+    return tokens.get(id);
+  };
+}
+/**
+ * Delegates to {@link https://docs.marklogic.com/fn.distinct-values fn.distinctValues()}, 
+ * with the codepoint collation, if every item is a string, boolean or 
+ * number, and to XPath’s `union` if every item is a node, which compares 
+ * nodes by identity and returns them in document order. Checking the items 
+ * reads the {@link Sequence} once in JavaScript, up to the first item that 
+ * doesn’t match. Mixed items fall back to {@link Iterant#distinct}, lazily 
+ * and in the order they first occur, comparing nodes by identity and 
+ * without atomizing them. With a `key` or `json` equality, it’s always 
+ * {@link Iterant#distinct}.
+ *
+ * @override
+ * @param {Object} [options]
+ * @returns {Iterant}
+ */
+IterantSequence.prototype.distinct = function(options) {
+  if (!isNative(options)) {
+    return Iterant.prototype.distinct.call(this, options);
+  }
+  const seq = this._iterable;
+  switch (nativeKind([seq])) {
+    case 'atomic':
+      return Iterant.species(this, fn.distinctValues(seq, CODEPOINT));
+    case 'node':
+      return Iterant.species(this, nodes('$a union $b', seq, Sequence.from([])));
+    default:
+      return Iterant.species(this, Iterant.distinct(seq, nodeIdentity()));
+  }
+};
+/**
+ * Like {@link IterantSequence#distinct}, of both sequences, one after the 
+ * other: {@link https://docs.marklogic.com/fn.distinct-values fn.distinctValues()} 
+ * for strings, booleans and numbers, XPath’s `union` for nodes, and 
+ * {@link Iterant#union} otherwise. Checking the items reads both once in 
+ * JavaScript.
+ *
+ * @override
+ * @param {Iterable} other
+ * @param {Object} [options]
+ * @returns {Iterant}
+ */
+IterantSequence.prototype.union = function(other, options) {
+  if (!isNative(options)) {
+    return Iterant.prototype.union.call(this, other, options);
+  }
+  const seq = this._iterable;
+  other = toSequence(other);
+  switch (nativeKind([seq, other])) {
+    case 'atomic':
+      return Iterant.species(this, fn.distinctValues(new Sequence(seq, other), CODEPOINT));
+    case 'node':
+      return Iterant.species(this, nodes('$a union $b', seq, other));
+    default:
+      return Iterant.species(this, Iterant.union(seq, other, nodeIdentity()));
+  }
+};
+/**
+ * Delegates to XPath’s `intersect` if every item of both sequences is a 
+ * node, comparing them by identity and returning them in document order. 
+ * XQuery has no set operators for strings, booleans and numbers, so those, 
+ * like mixed items, use {@link Iterant#intersect}, comparing nodes by 
+ * identity, like {@link IterantSequence#distinct}. Checking the items reads 
+ * both sequences once in JavaScript.
+ *
+ * @override
+ * @param {Iterable} other
+ * @param {Object} [options]
+ * @returns {Iterant}
+ */
+IterantSequence.prototype.intersect = function(other, options) {
+  if (!isNative(options)) {
+    return Iterant.prototype.intersect.call(this, other, options);
+  }
+  const seq = this._iterable;
+  other = toSequence(other);
+  if ('node' === nativeKind([seq, other])) {
+    return Iterant.species(this, nodes('$a intersect $b', seq, other));
+  }
+  return Iterant.species(this, Iterant.intersect(seq, other, nodeIdentity()));
+};
+/**
+ * Delegates to XPath’s `except` if every item of both sequences is a node, 
+ * like {@link IterantSequence#intersect}, and otherwise uses 
+ * {@link Iterant#difference}.
+ *
+ * @override
+ * @param {Iterable} other
+ * @param {Object} [options]
+ * @returns {Iterant}
+ */
+IterantSequence.prototype.difference = function(other, options) {
+  if (!isNative(options)) {
+    return Iterant.prototype.difference.call(this, other, options);
+  }
+  const seq = this._iterable;
+  other = toSequence(other);
+  if ('node' === nativeKind([seq, other])) {
+    return Iterant.species(this, nodes('$a except $b', seq, other));
+  }
+  return Iterant.species(this, Iterant.difference(seq, other, nodeIdentity()));
+};
+/**
+ * Delegates to XPath’s `except` and `union` if every item of both sequences 
+ * is a node, like {@link IterantSequence#intersect}, and otherwise uses 
+ * {@link Iterant#symmetricDifference}.
+ *
+ * @override
+ * @param {Iterable} other
+ * @param {Object} [options]
+ * @returns {Iterant}
+ */
+IterantSequence.prototype.symmetricDifference = function(other, options) {
+  if (!isNative(options)) {
+    return Iterant.prototype.symmetricDifference.call(this, other, options);
+  }
+  const seq = this._iterable;
+  other = toSequence(other);
+  if ('node' === nativeKind([seq, other])) {
+    return Iterant.species(this, nodes('($a except $b) union ($b except $a)', seq, other));
+  }
+  return Iterant.species(this, Iterant.symmetricDifference(seq, other, nodeIdentity()));
+};
+/**
+ * Delegates to {@link https://docs.marklogic.com/fn.count fn.count()}.
+ *
+ * @override
+ * @returns {number}
+ */
+IterantSequence.prototype.count = function() {
+  return fn.count(this._iterable);
+};
+/**
+ * Whether a value is a number that {@link https://docs.marklogic.com/fn.sum fn.sum()} 
+ * and {@link https://docs.marklogic.com/fn.avg fn.avg()} can take, that is, 
+ * not `NaN`.
+ *
+ * @private
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isNumber(value) {
+  return 'number' === typeof value && !Number.isNaN(value);
+}
+/**
+ * The codes of the errors XQuery raises for items of the wrong type, such as 
+ * mixed numbers and strings.
+ *
+ * @private
+ */
+const TYPE_ERRORS = new Set(['FORG0001', 'FORG0006', 'XPTY0004', 'XDMP-ARGTYPE', 'XDMP-CAST', 'XDMP-LEXVAL']);
+/**
+ * Whether an error is XQuery rejecting the type of an item. MarkLogic puts 
+ * the error code in `name`, and sometimes in `code`.
+ *
+ * @private
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isTypeError(error) {
+  return Boolean(error) && (TYPE_ERRORS.has(error.name) || TYPE_ERRORS.has(error.code));
+}
+/**
+ * Evaluates an aggregate in XQuery, or, if XQuery rejects the items because 
+ * of their types, for example because they’re mixed, falls back to 
+ * JavaScript. Any other error is rethrown. Only the first item decides 
+ * whether to try XQuery, so the {@link Sequence} isn’t read in JavaScript 
+ * first. It’s only read twice when XQuery rejects it.
+ *
+ * @private
+ * @param {function} native - Evaluates the aggregate in XQuery
+ * @param {function} fallback - Evaluates the aggregate with {@link Iterant}
+ * @returns {*}
+ * @throws {Error} - Errors other than type errors from `native`
+ */
+function pushdown(native, fallback) {
+  let result;
+  try {
+    result = native();
+  } catch (error) {
+    if (!isTypeError(error)) {
+      throw error;
+    }
+    return fallback();
+  }
+  return result;
+}
+/**
+ * Delegates to {@link https://docs.marklogic.com/fn.sum fn.sum()} when the 
+ * first item is a number. Otherwise, with `fct`, or if XQuery rejects the 
+ * other items, falls back to {@link Iterant#sum}.
+ *
+ * @override
+ * @param {function} [fct]
+ * @returns {number}
+ */
+IterantSequence.prototype.sum = function(fct) {
+  const seq = this._iterable;
+  if (fct || !isNumber(head(seq))) {
+    return Iterant.prototype.sum.call(this, fct);
+  }
+  return pushdown(() => fn.sum(seq), () => Iterant.prototype.sum.call(this));
+};
+/**
+ * Delegates to {@link https://docs.marklogic.com/fn.avg fn.avg()} when the 
+ * first item is a number. Otherwise, with `fct`, or if XQuery rejects the 
+ * other items, falls back to {@link Iterant#mean}.
+ *
+ * @override
+ * @param {function} [fct]
+ * @returns {number|undefined}
+ */
+IterantSequence.prototype.mean = function(fct) {
+  const seq = this._iterable;
+  if (fct || !isNumber(head(seq))) {
+    return Iterant.prototype.mean.call(this, fct);
+  }
+  return pushdown(() => head(fn.avg(seq)), () => Iterant.prototype.mean.call(this));
+};
+/**
+ * Delegates to {@link https://docs.marklogic.com/fn.min fn.min()}, with the 
+ * codepoint collation, like {@link Iterant.compareKeys}, when the first item 
+ * is a string, boolean or number. Otherwise, with a `comparator`, or if 
+ * XQuery rejects the other items, for example a mix of strings and numbers, 
+ * falls back to {@link Iterant#min}.
+ *
+ * @override
+ * @param {function} [comparator]
+ * @returns {*}
+ */
+IterantSequence.prototype.min = function(comparator) {
+  const seq = this._iterable;
+  if (comparator || !isAtomic(head(seq))) {
+    return Iterant.prototype.min.call(this, comparator);
+  }
+  return pushdown(() => head(fn.min(seq, CODEPOINT)), () => Iterant.prototype.min.call(this));
+};
+/**
+ * Delegates to {@link https://docs.marklogic.com/fn.max fn.max()}, like 
+ * {@link IterantSequence#min}.
+ *
+ * @override
+ * @param {function} [comparator]
+ * @returns {*}
+ */
+IterantSequence.prototype.max = function(comparator) {
+  const seq = this._iterable;
+  if (comparator || !isAtomic(head(seq))) {
+    return Iterant.prototype.max.call(this, comparator);
+  }
+  return pushdown(() => head(fn.max(seq, CODEPOINT)), () => Iterant.prototype.max.call(this));
+};
@@ -0,0 +1,105 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+module.exports = IterantSet;
+const Iterant = require('./iterant');
+
+/**
+ * An {@link IterantSet} extends {@link Iterant} with functionality 
+ * specific to built-in JavaScript {@link Set} instances, such as constant-time 
+ * membership tests.
+ * 
+ * @class IterantSet
+ * @augments Iterant
+ * 
+ * @constructs IterantSet
+ * @function
+ * @param {Set} set  - A {@link Set}
+ * @returns {IterantSet} - A new {@link IterantSet}
+ * @throws {TypeError} - If `set` is not a {@link Set}
+ */
+function IterantSet(set) {
+  if (!(set instanceof Set)) {
+    throw new TypeError('Can only wrap a Set');
+  }
+  if (!this) {
+    return new IterantSet(set);
+  }
+  return Iterant.call(this, set);
+}
+// Inherit from Iterant
+IterantSet.prototype = Object.create(Iterant.prototype);
+
+IterantSet.prototype[Symbol.toStringTag] = 'IterantSet';
+IterantSet.prototype[Symbol.species] = IterantSet;
+
+/**
+ * Delegates to {@link Set#has}.
+ * 
+ * @param {*} value
+ * @returns {boolean}
+ */
+IterantSet.prototype.has = function(value) {
+  return this._iterable.has(value);
+};
+/**
+ * Delegates to {@link Set#has}, which uses the same SameValueZero comparison 
+ * as {@link Iterant#includes}, in constant time. With a `fromIndex`, this 
+ * falls back to {@link Iterant#includes}, because it depends on order.
+ * 
+ * @override
+ * @param {*} value
+ * @param {number} [fromIndex]
+ * @returns {boolean}
+ */
+IterantSet.prototype.includes = function(value, fromIndex) {
+  if (undefined !== fromIndex) {
+    return Iterant.prototype.includes.call(this, value, fromIndex);
+  }
+  return this._iterable.has(value);
+};
+/**
+ * Copies the items into a new {@link Set}.
+ * 
+ * @returns {Set}
+ */
+IterantSet.prototype.toSet = function() {
+  return new Set(this._iterable);
+};
+/**
+ * The number of values, without iterating.
+ * 
+ * @returns {number}
+ */
+IterantSet.prototype.count = function() {
+  return this._iterable.size;
+};
+/**
+ * Copies the wrapped {@link Set}, so that changes to one don’t affect the other.
+ * 
+ * @returns {IterantSet}
+ */
+IterantSet.prototype.clone = function() {
+  return IterantSet(new Set(this._iterable));
+};
+/**
+ * A {@link Set} is already in memory and replayable, so this is a no-op.
+ * 
+ * @returns {IterantSet} - This instance
+ */
+IterantSet.prototype.cache = function() {
+  return this;
+};
@@ -0,0 +1,136 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+module.exports = IterantSorted;
+const Iterant = require('./iterant');
+const IterantArray = require('./iterant-array');
+
+/**
+ * The result of {@link Iterant#sort} and {@link Iterant#sortBy}: an 
+ * {@link IterantArray} whose items are read and stably sorted the first 
+ * time the wrapped {@link Array} is needed. 
+ * Until then, leading slices and `first()` take the smallest items with a 
+ * heap instead, in memory bounded by the slice.
+ * 
+ * @private
+ * @class IterantSorted
+ * @augments IterantArray
+ * 
+ * @constructs IterantSorted
+ * @function
+ * @param {Iterable} iterable - The items to sort
+ * @param {function} comparator
+ * @returns {IterantSorted}
+ */
+function IterantSorted(iterable, comparator) {
+  if (!this) {
+    return new IterantSorted(iterable, comparator);
+  }
+  let unsorted = iterable, sorted = null;
+  Object.defineProperties(this, {
+    '_iterable': {
+      enumerable: false,
+      configurable: false,
+      'get': function() {
+        if (null === sorted) {
+          sorted = Iterant.stableSort(Array.from(unsorted), comparator);
+          unsorted = null;
+        }
+        return sorted;
+      },
+      'set': function(value) {
+        sorted = value;
+        unsorted = null;
+      }
+    },
+    'iterable': {
+      enumerable: true,
+      'get': function() {
+        return this._iterable;
+      }
+    },
+    /**
+     * Whether the items haven’t been sorted yet.
+     * 
+     * @memberof IterantSorted
+     * @instance
+     * @private
+     */
+    '_deferred': {
+      enumerable: false,
+      'get': function() {
+        return null === sorted;
+      }
+    },
+    /**
+     * The `k` smallest items, without sorting everything if that hasn’t 
+     * happened yet.
+     * 
+     * @memberof IterantSorted
+     * @instance
+     * @private
+     */
+    '_smallest': {
+      enumerable: false,
+      value: k => null === sorted ? Iterant.smallest(unsorted, k, comparator) : sorted.slice(0, k)
+    }
+  });
+  return this;
+}
+// Inherit from IterantArray
+IterantSorted.prototype = Object.create(IterantArray.prototype);
+
+/**
+ * Whether a slice only needs the first `end` sorted items.
+ * 
+ * @private
+ * @param {number} [begin]
+ * @param {number} [end]
+ * @returns {boolean}
+ */
+function isLeading(begin, end) {
+  if ('number' !== typeof end || end < 0 || 0 !== end % 1) {
+    return false;
+  }
+  if (undefined === begin) {
+    return false;
+  }
+  return 'number' === typeof begin && begin >= 0 && begin <= end;
+}
+/**
+ * Takes the first `end` items with a heap, unless they’ve already been 
+ * sorted, rather than sorting everything.
+ * 
+ * @override
+ * @param {number} [begin]
+ * @param {number} [end]
+ * @returns {IterantArray}
+ */
+IterantSorted.prototype.slice = function(begin, end) {
+  if (this._deferred && isLeading(begin, end)) {
+    return IterantArray(this._smallest(end).slice(begin));
+  }
+  return IterantArray.prototype.slice.call(this, begin, end);
+};
+/**
+ * The least item, in one pass, unless the items have already been sorted.
+ * 
+ * @override
+ * @returns {*}
+ */
+IterantSorted.prototype.first = function() {
+  return this._smallest(1)[0];
+};
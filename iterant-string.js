@@ -0,0 +1,333 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+module.exports = IterantString;
+const Iterant = require('./iterant');
+
+/**
+ * Advances past an empty match, by a whole code point in Unicode mode.
+ * 
+ * @private
+ * @param {string} text
+ * @param {number} index
+ * @param {boolean} unicode
+ * @returns {number}
+ */
+function advance(text, index, unicode) {
+  const code = text.charCodeAt(index);
+  const pair = unicode && code >= 0xD800 && code <= 0xDBFF && index + 1 < text.length;
+  return index + (pair ? 2 : 1);
+}
+/**
+ * Lazily yields the matches of a regular expression, global or not.
+ * 
+ * @private
+ * @param {string} text
+ * @param {RegExp} pattern
+ * @returns {Iterable<Array>} - The `exec` results
+ */
+function* matches(text, pattern) {
+  const flags = pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g';
+  const regex = new RegExp(pattern.source, flags);
+  for (let match = regex.exec(text); null !== match; match = regex.exec(text)) {
+    if (0 === match[0].length) {
+      regex.lastIndex = advance(text, regex.lastIndex, regex.unicode);
+    }
+    yield match;
+  }
+}
+function* tokens(text, pattern) {
+  for (const match of matches(text, pattern)) {
+    if (match[0].length > 0) {
+      yield match[0];
+    }
+  }
+}
+/**
+ * Lazily yields what’s between the matches of a separator, like 
+ * {@link String#split}, except that captured groups aren’t included.
+ * 
+ * @private
+ * @param {string} text
+ * @param {RegExp} separator
+ * @param {boolean} [lines] - Don’t yield an empty last piece, so that a trailing newline doesn’t make an empty line
+ * @returns {Iterable<string>}
+ */
+function* pieces(text, separator, lines) {
+  let start = 0;
+  for (const match of matches(text, separator)) {
+    const end = match.index + match[0].length;
+    if (match.index < text.length && end !== start) {
+      yield text.slice(start, match.index);
+      start = end;
+    }
+  }
+  if (!lines || start < text.length) {
+    yield text.slice(start);
+  }
+}
+/**
+ * Segments with {@link Intl.Segmenter}, where it’s available, otherwise 
+ * tokenizes with a fallback regular expression. The fallbacks are built on 
+ * first use, because engines without Unicode property escapes reject them.
+ * 
+ * @private
+ * @param {string} granularity - `'grapheme'` or `'word'`
+ * @param {string} fallback - The source of the fallback regular expression
+ * @returns {function} - Yields the segments of a string
+ */
+function segmenter(granularity, fallback) {
+  let regex = null;
+  return function*(text) {
+    if ('undefined' !== typeof Intl && 'function' === typeof Intl.Segmenter) {
+      const segments = new Intl.Segmenter(undefined, {granularity}).segment(text);
+      for (const segment of segments) {
+        if ('grapheme' === granularity || segment.isWordLike) {
+          yield segment.segment;
+        }
+      }
+      return;
+    }
+    regex = regex || new RegExp(fallback, 'gu');
+    yield* tokens(text, regex);
+  };
+}
+const UNITS = {
+  codePoint: text => text[Symbol.iterator](),
+  grapheme: segmenter('grapheme', '\\r\\n|\\P{M}\\p{M}*(?:\\u200D\\P{M}\\p{M}*)*|\\p{M}+'),
+  line: text => pieces(text, /\r\n|\r|\n/, true),
+  word: segmenter('word', '[\\p{L}\\p{M}\\p{N}_]+(?:[\'’][\\p{L}\\p{M}\\p{N}_]+)*')
+};
+const SEPARATORS = {
+  codePoint: '',
+  grapheme: '',
+  line: '\n',
+  word: ' '
+};
+
+/**
+ * The segments of a string, `begin` up to, but not including, `end`. It’s 
+ * iterable any number of times, and scans the string lazily each time.
+ * 
+ * @private
+ * @param {string} text
+ * @param {string|RegExp|Object} by - The name of a unit, a `RegExp` for tokens, or `{pattern, separator}` 
+ * to split, where `separator` is what to join with
+ * @param {Object} [window] - `{begin, end}`
+ */
+function Segments(text, by, window) {
+  this.text = text;
+  this.by = by;
+  this.begin = window ? window.begin : 0;
+  this.end = window ? window.end : Infinity;
+}
+Segments.prototype.segments = function() {
+  if (this.by instanceof RegExp) {
+    return tokens(this.text, this.by);
+  }
+  if ('string' === typeof this.by) {
+    return UNITS[this.by](this.text);
+  }
+  return pieces(this.text, this.by.pattern);
+};
+Segments.prototype[Symbol.iterator] = function*() {
+  if (this.begin >= this.end) {
+    return;
+  }
+  let index = 0;
+  for (const segment of this.segments()) {
+    if (index >= this.begin) {
+      yield segment;
+    }
+    if (++index >= this.end) {
+      return;
+    }
+  }
+};
+/**
+ * What {@link IterantString#join} reassembles with by default.
+ * 
+ * @returns {string}
+ */
+Segments.prototype.separator = function() {
+  if ('string' === typeof this.by) {
+    return SEPARATORS[this.by];
+  }
+  if (this.by instanceof RegExp) {
+    return ' ';
+  }
+  return this.by.separator;
+};
+
+/**
+ * An {@link IterantString} iterates a string lazily by a unit other than 
+ * the UTF-16 code unit, without building an array of the parts:
+ *   * **`'codePoint'`** (default) Code points, like `for..of` on a string. A character outside the 
+ *     Basic Multilingual Plane, like most emoji, is one item.
+ *   * **`'grapheme'`** Grapheme clusters, what a reader perceives as a character, such as 
+ *     a letter and its combining accents, or a family emoji
+ *   * **`'line'`** Lines, ending at `\n`, `\r\n` or `\r`, which aren’t included. A trailing newline 
+ *     doesn’t start another, empty line.
+ *   * **`'word'`** Words, skipping whitespace and punctuation
+ *   * **A `RegExp`** Its non-empty matches
+ * 
+ * Graphemes and words use {@link Intl.Segmenter}, where it’s available. 
+ * Elsewhere they fall back to regular expressions that need Unicode 
+ * property escapes.
+ * 
+ * The {@link Iterant} factory wraps strings in an {@link IterantString} 
+ * by code point. See also {@link Iterant.lines}, {@link Iterant.words} 
+ * and {@link Iterant.split}.
+ * 
+ * To reassemble the string, use {@link IterantString#joinToString}, rather 
+ * than `join`. On every {@link Iterant}, including this one, 
+ * {@link Iterant#join} is the relational join of two {@link Iterant} 
+ * instances, so the string version has its own name, like 
+ * {@link Iterant#joinToString}, instead of overloading it.
+ * 
+ * @example
+ * IterantString('👩‍👩‍👧 é', 'grapheme').count(); // 3, rather than 10 code points
+ * 
+ * IterantString('👩‍👩‍👧 é', 'grapheme')
+ *   .slice(0, 1)
+ *   .joinToString(); // '👩‍👩‍👧'
+ * 
+ * IterantString(csv, /[^,\n]+/)
+ *   .map(Number)
+ *   .reduce((sum, n) => sum + n, 0);
+ * 
+ * @class IterantString
+ * @augments Iterant
+ * 
+ * @constructs IterantString
+ * @function
+ * @param {string} text
+ * @param {string|RegExp} [by='codePoint'] - `'codePoint'`, `'grapheme'`, `'line'`, `'word'` or a `RegExp`
+ * @returns {IterantString} - A new {@link IterantString}
+ * @throws {TypeError} - If `text` isn’t a string or `by` isn’t a unit
+ */
+function IterantString(text, by) {
+  if (!this) {
+    return new IterantString(text, by);
+  }
+  if (!(text instanceof Segments)) {
+    if ('string' !== typeof text) {
+      throw new TypeError('text must be a string');
+    }
+    by = undefined === by ? 'codePoint' : by;
+    if (!(by instanceof RegExp) && !Object.prototype.hasOwnProperty.call(UNITS, by)) {
+      throw new TypeError('by must be a RegExp or one of ' + Object.keys(UNITS).join(', '));
+    }
+    text = new Segments(text, by);
+  }
+  return Iterant.call(this, text);
+}
+// Inherit from Iterant
+IterantString.prototype = Object.create(Iterant.prototype);
+
+IterantString.prototype[Symbol.toStringTag] = 'IterantString';
+IterantString.prototype[Symbol.species] = IterantString;
+
+/**
+ * Whether the {@link Iterant} factory should wrap an object in an 
+ * {@link IterantString}.
+ * 
+ * @private
+ * @param {*} obj
+ * @returns {boolean}
+ */
+IterantString.isString = function(obj) {
+  return 'string' === typeof obj || obj instanceof Segments;
+};
+/**
+ * Creates the {@link IterantString} for {@link Iterant.split}.
+ * 
+ * @private
+ * @param {string} text
+ * @param {string|RegExp} separator
+ * @returns {IterantString}
+ */
+IterantString.split = function(text, separator) {
+  const literal = 'string' === typeof separator;
+  return IterantString(new Segments(text, {
+    pattern: literal ? new RegExp(separator.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')) : separator,
+    separator: literal ? separator : ''
+  }));
+};
+/**
+ * Lazily skips to `begin` and stops at `end`, like {@link Array#slice}. 
+ * Negative indexes count from the end, so they need a pass to count first.
+ * 
+ * @override
+ * @param {number} [begin=0]
+ * @param {number} [end]
+ * @returns {IterantString}
+ */
+IterantString.prototype.slice = function(begin, end) {
+  const segments = this._iterable;
+  let length = Infinity;
+  if (begin < 0 || end < 0) {
+    length = this.count();
+  }
+  function resolve(index, fallback) {
+    if (undefined === index) {
+      return fallback;
+    }
+    index = Iterant.toInteger(index);
+    return index < 0 ? Math.max(0, length + index) : index;
+  }
+  const from = segments.begin + resolve(begin, 0);
+  const to = Math.min(segments.end, segments.begin + resolve(end, Infinity));
+  return IterantString(new Segments(segments.text, segments.by, {
+    begin: from,
+    end: to
+  }));
+};
+/**
+ * The number of items, counted without keeping them.
+ * 
+ * @returns {number}
+ */
+IterantString.prototype.count = function() {
+  const iterator = this._iterable[Symbol.iterator]();
+  let count = 0;
+  while (!iterator.next().done) {
+    count++;
+  }
+  return count;
+};
+/**
+ * Concatenates the items into a string, like {@link Iterant#joinToString}. 
+ * Without a `separator`, the default depends on the unit: code points and 
+ * graphemes are joined with `''`, reassembling the original, lines with 
+ * `'\n'`, words and tokens with `' '`, and the pieces of {@link Iterant.split} 
+ * with the separator string, or `''` for a `RegExp`.
+ * 
+ * @example
+ * Iterant.lines(text)
+ *   .slice(0, 10)
+ *   .joinToString(); // The first ten lines
+ * 
+ * @override
+ * @param {string} [separator]
+ * @returns {string}
+ */
+IterantString.prototype.joinToString = function(separator) {
+  if (undefined !== separator) {
+    return Iterant.prototype.joinToString.call(this, separator);
+  }
+  return Iterant.concatenate(this._iterable, this._iterable.separator());
+};
@@ -0,0 +1,377 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+/* global BigInt, BigInt64Array, BigUint64Array */
+module.exports = IterantTypedArray;
+const Iterant = require('./iterant');
+const IterantArray = require('./iterant-array');
+
+/**
+ * Whether a typed array holds `bigint` rather than `number` elements.
+ * 
+ * @private
+ * @param {TypedArray} typed
+ * @returns {boolean}
+ */
+function isBigInt(typed) {
+  if ('undefined' === typeof BigInt64Array) {
+    return false;
+  }
+  return typed instanceof BigInt64Array || typed instanceof BigUint64Array;
+}
+function isFloat(typed) {
+  return typed instanceof Float32Array || typed instanceof Float64Array;
+}
+/**
+ * `0` of the element type, to start sums from.
+ * 
+ * @private
+ * @param {TypedArray} typed
+ * @returns {number|bigint}
+ */
+function zero(typed) {
+  return isBigInt(typed) ? BigInt(0) : 0;
+}
+
+/**
+ * An {@link IterantTypedArray} extends {@link Iterant} with functionality 
+ * specific to typed arrays, like {@link Float64Array} or {@link Int32Array}. 
+ * It delegates to the native methods, so, for example, {@link IterantTypedArray#sort} 
+ * sorts numerically by default, and adds numeric reductions that run in a 
+ * plain loop, without a callback per item.
+ * 
+ * @example
+ * const scores = Iterant(new Float64Array([10, 9, 1.5]));
+ * scores.map(s => s * 2);  // IterantTypedArray<Float64Array>
+ * scores.dot([1, 1, 2]);   // 22
+ * scores.sort().toArray(); // [1.5, 9, 10], rather than [1.5, 10, 9] by string
+ * 
+ * @class IterantTypedArray
+ * @augments Iterant
+ * 
+ * @constructs IterantTypedArray
+ * @function
+ * @param {TypedArray} typed - Any typed array, but not a {@link DataView}
+ * @returns {IterantTypedArray} - A new {@link IterantTypedArray}
+ * @throws {TypeError} - If `typed` isn’t a typed array
+ */
+function IterantTypedArray(typed) {
+  if (!IterantTypedArray.isTypedArray(typed)) {
+    throw new TypeError('Can only wrap a TypedArray');
+  }
+  if (!this) {
+    return new IterantTypedArray(typed);
+  }
+  return Iterant.call(this, typed);
+}
+// Inherit from Iterant
+IterantTypedArray.prototype = Object.create(Iterant.prototype);
+
+IterantTypedArray.prototype[Symbol.toStringTag] = 'IterantTypedArray';
+IterantTypedArray.prototype[Symbol.species] = IterantTypedArray;
+
+/**
+ * Whether an object is a typed array, for the {@link Iterant} factory.
+ * 
+ * @private
+ * @param {*} obj
+ * @returns {boolean}
+ */
+IterantTypedArray.isTypedArray = function(obj) {
+  return ArrayBuffer.isView(obj) && !(obj instanceof DataView);
+};
+/**
+ * Delegates to {@link TypedArray#slice}, which copies.
+ * 
+ * @param {number} [begin]
+ * @param {number} [end]
+ * @returns {IterantTypedArray}
+ */
+IterantTypedArray.prototype.slice = function(begin, end) {
+  return IterantTypedArray(this._iterable.slice(begin, end));
+};
+/**
+ * Maps into the same element type when every result is of it: a number, 
+ * or a `bigint` for {@link BigInt64Array} and {@link BigUint64Array}. 
+ * Integer results that don’t fit an integer type, like fractions or 
+ * out-of-range values, are kept in a {@link Float64Array} instead of being 
+ * truncated or wrapped, as {@link TypedArray#map} would. Other results 
+ * end up in an {@link IterantArray}.
+ * 
+ * As with {@link IterantArray#map}, an error policy set with 
+ * {@link Iterant#onError}, {@link Iterant#catchError} or {@link Iterant#retry} 
+ * falls back to {@link Iterant#map}. The same goes for `reduce` and `filter`. 
+ * Without one, errors thrown by `mapper` are still wrapped in an {@link IterantError}.
+ * 
+ * @param {function} mapper
+ * @param {object} [that]
+ * @returns {IterantTypedArray|IterantArray}
+ */
+IterantTypedArray.prototype.map = function(mapper, that) {
+  if (this._policy) {
+    return Iterant.prototype.map.call(this, mapper, that);
+  }
+  const typed = this._iterable;
+  const results = Array.prototype.map.call(typed, Iterant.guard(this, mapper, {
+    operator: 'map',
+    that
+  }));
+  const type = isBigInt(typed) ? 'bigint' : 'number';
+  if (!results.every(result => type === typeof result)) {
+    return IterantArray(results);
+  }
+  const mapped = new typed.constructor(results);
+  const exact = isFloat(typed) || results.every((result, i) => result === mapped[i]);
+  return IterantTypedArray(exact ? mapped : new Float64Array(results));
+};
+/**
+ * Delegates to {@link TypedArray#reduce}, with `reducer` guarded like 
+ * {@link Iterant#reduce} guards it.
+ * 
+ * @override
+ * @param {function} reducer
+ * @param {*} [init]
+ * @returns {*}
+ */
+IterantTypedArray.prototype.reduce = function(reducer, init) {
+  if (this._policy) {
+    return Iterant.prototype.reduce.call(this, reducer, init);
+  }
+  return this._iterable.reduce(Iterant.guard(this, reducer, {operator: 'reduce'}), init);
+};
+/**
+ * Delegates to {@link TypedArray#filter}, which keeps the element type.
+ * 
+ * @override
+ * @param {function} predicate
+ * @param {object} [that]
+ * @returns {IterantTypedArray}
+ */
+IterantTypedArray.prototype.filter = function(predicate, that) {
+  if (this._policy) {
+    return Iterant.prototype.filter.call(this, predicate, that);
+  }
+  return IterantTypedArray(this._iterable.filter(Iterant.guard(this, predicate, {
+    operator: 'filter',
+    that
+  })));
+};
+/**
+ * Delegates to {@link TypedArray#sort}, which sorts numerically by 
+ * default. Like {@link IterantArray#sort}, it sorts a copy, so that the 
+ * wrapped typed array isn’t changed.
+ * 
+ * @param {function} [comparator]
+ * @returns {IterantTypedArray}
+ */
+IterantTypedArray.prototype.sort = function(comparator) {
+  return IterantTypedArray(this._iterable.slice().sort(comparator));
+};
+/**
+ * The same as {@link IterantArray#find}, which works on typed arrays too.
+ * 
+ * @override
+ * @function
+ * @param {function} predicate
+ * @param {object} [that]
+ * @returns {number|bigint|undefined}
+ */
+IterantTypedArray.prototype.find = IterantArray.prototype.find;
+/**
+ * The same as {@link IterantArray#findIndex}.
+ * 
+ * @override
+ * @function
+ * @param {function} predicate
+ * @param {object} [that]
+ * @returns {number}
+ */
+IterantTypedArray.prototype.findIndex = IterantArray.prototype.findIndex;
+/**
+ * The same as {@link IterantArray#some}.
+ * 
+ * @override
+ * @function
+ * @param {function} predicate
+ * @param {object} [that]
+ * @returns {boolean}
+ */
+IterantTypedArray.prototype.some = IterantArray.prototype.some;
+/**
+ * The same as {@link IterantArray#every}.
+ * 
+ * @override
+ * @function
+ * @param {function} predicate
+ * @param {object} [that]
+ * @returns {boolean}
+ */
+IterantTypedArray.prototype.every = IterantArray.prototype.every;
+/**
+ * Delegates to {@link TypedArray#indexOf}.
+ * 
+ * @override
+ * @param {number|bigint} value
+ * @param {number} [fromIndex]
+ * @returns {number}
+ */
+IterantTypedArray.prototype.indexOf = function(value, fromIndex) {
+  return this._iterable.indexOf(value, fromIndex);
+};
+/**
+ * Delegates to {@link TypedArray#includes}, which, unlike `indexOf`, finds `NaN`.
+ * 
+ * @override
+ * @param {number|bigint} value
+ * @param {number} [fromIndex]
+ * @returns {boolean}
+ */
+IterantTypedArray.prototype.includes = function(value, fromIndex) {
+  return this._iterable.includes(value, fromIndex);
+};
+/**
+ * The same as {@link IterantArray#at}.
+ * 
+ * @override
+ * @function
+ * @param {number} index
+ * @returns {number|bigint|undefined}
+ */
+IterantTypedArray.prototype.at = IterantArray.prototype.at;
+/**
+ * The same as {@link IterantArray#first}.
+ * 
+ * @override
+ * @function
+ * @returns {number|bigint|undefined}
+ */
+IterantTypedArray.prototype.first = IterantArray.prototype.first;
+/**
+ * The same as {@link IterantArray#last}.
+ * 
+ * @override
+ * @function
+ * @returns {number|bigint|undefined}
+ */
+IterantTypedArray.prototype.last = IterantArray.prototype.last;
+/**
+ * The length of the typed array, without iterating.
+ * 
+ * @override
+ * @returns {number}
+ */
+IterantTypedArray.prototype.count = function() {
+  return this._iterable.length;
+};
+/**
+ * Copies the wrapped typed array, like {@link IterantArray#clone}.
+ * 
+ * @override
+ * @returns {IterantTypedArray}
+ */
+IterantTypedArray.prototype.clone = function() {
+  return IterantTypedArray(this._iterable.slice());
+};
+/**
+ * A typed array is already in memory and replayable, so this is a no-op.
+ * 
+ * @override
+ * @returns {IterantTypedArray} - This instance
+ */
+IterantTypedArray.prototype.cache = function() {
+  return this;
+};
+/**
+ * The sum of the elements, `0` if there are none. A `bigint` for 
+ * {@link BigInt64Array} and {@link BigUint64Array}. With `fct`, falls back 
+ * to {@link Iterant#sum}.
+ * 
+ * @param {function} [fct]
+ * @returns {number|bigint}
+ */
+IterantTypedArray.prototype.sum = function(fct) {
+  if (fct) {
+    return Iterant.prototype.sum.call(this, fct);
+  }
+  const typed = this._iterable;
+  let sum = zero(typed);
+  for (let i = 0; i < typed.length; i++) {
+    sum += typed[i];
+  }
+  return sum;
+};
+/**
+ * The dot product with a vector of the same length: the sum of the products 
+ * of the elements at each index.
+ * 
+ * @example
+ * Iterant(new Float64Array(weights)).dot(features);
+ * 
+ * @param {TypedArray|Array<number>|IterantTypedArray|IterantArray} other
+ * @returns {number|bigint}
+ * @throws {RangeError} - If the lengths differ
+ */
+IterantTypedArray.prototype.dot = function(other) {
+  const typed = this._iterable;
+  const vector = other instanceof Iterant ? other._iterable : other;
+  if (!vector || typed.length !== vector.length) {
+    throw new RangeError('other must be a vector of length ' + typed.length);
+  }
+  let sum = zero(typed);
+  for (let i = 0; i < typed.length; i++) {
+    sum += typed[i] * vector[i];
+  }
+  return sum;
+};
+/**
+ * The least element, `undefined` if there are none, or `NaN` if any is. 
+ * With a `comparator`, falls back to {@link Iterant#min}.
+ * 
+ * @param {function} [comparator]
+ * @returns {number|bigint|undefined}
+ */
+IterantTypedArray.prototype.min = function(comparator) {
+  if (comparator) {
+    return Iterant.prototype.min.call(this, comparator);
+  }
+  return extreme(this._iterable, (a, b) => a < b);
+};
+/**
+ * The greatest element, `undefined` if there are none, or `NaN` if any is. 
+ * With a `comparator`, falls back to {@link Iterant#max}.
+ * 
+ * @param {function} [comparator]
+ * @returns {number|bigint|undefined}
+ */
+IterantTypedArray.prototype.max = function(comparator) {
+  if (comparator) {
+    return Iterant.prototype.max.call(this, comparator);
+  }
+  return extreme(this._iterable, (a, b) => a > b);
+};
+function extreme(typed, better) {
+  let result = typed[0];
+  for (let i = 1; i < typed.length; i++) {
+    const value = typed[i];
+    if (Number.isNaN(value)) {
+      return value;
+    }
+    if (better(value, result)) {
+      result = value;
+    }
+  }
+  return result;
+}
@@ -14,9 +14,30 @@
  * limitations under the License.                                             *
  * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
 'use strict';
+/* global Sequence, xdmp */
 module.exports = Iterant;
 // Watch out: Circular dependency. The export needs to happen before the require
 const IterantArray = require('./iterant-array.js');
+const IterantSorted = require('./iterant-sorted.js');
+const IterantSequence = require('./iterant-sequence.js');
+const IterantMap = require('./iterant-map.js');
+const IterantSet = require('./iterant-set.js');
+const IterantRange = require('./iterant-range.js');
+const IterantRepeat = require('./iterant-repeat.js');
+const IterantString = require('./iterant-string.js');
+const IterantTypedArray = require('./iterant-typed-array.js');
+const AsyncIterant = require('./async-iterant.js');
+const IterantError = require('./iterant-error.js');
+const jsonPath = require('./json-path.js');
+const domPath = require('./dom-path.js');
+
+// Subclasses, in the order they’re tried by the factory. See Iterant.register.
+const registry = [];
+// Whether the built-in subclasses are in the registry yet. See registerBuiltins.
+let builtins = false;
+// Path expression evaluators, in the order they’re tried by Iterant#query. 
+// See Iterant.registerEvaluator.
+const evaluators = [];
 
 /* Inspired by <http://www.benmvp.com/learning-es6-generators-as-iterators/> */
 /**
@@ -57,6 +78,16 @@ const IterantArray = require('./iterant-array.js');
  * extensions override the built-in methods to provide implementations that delegate to their 
  * wrapped concrete types.
  * 
+ * Operators are lazy and only hold on to the upstream iterator while they’re being consumed.
+ * Stopping early—`break` in a `for..of` loop, a short-circuiting method like {@link Iterant#find}, 
+ * an exception thrown from a callback, or an explicit `iterator.return()` or `iterator.throw()`—closes 
+ * every upstream iterator, including each argument of {@link Iterant#concat}. Thus, a generator’s 
+ * `finally` block always runs, making it a safe place to release a database cursor or a file handle.
+ * 
+ * Called as a function, rather than with `new`, `Iterant` is a factory that returns the most 
+ * specific registered subclass for the iterable, for example, an {@link IterantArray} for an 
+ * `Array`, so that the native fast paths are used. See {@link Iterant.register}.
+ * 
  * @example
  * Iterant(
  *   cts.collections() // Any iterable, such as Array, Map, generator function, etc.
@@ -75,10 +106,18 @@ const IterantArray = require('./iterant-array.js');
  * 
  * @see IterantArray
  * @see IterantSequence
+ * @see IterantMap
+ * @see IterantSet
+ * @see IterantRange
+ * @see IterantRepeat
+ * @see IterantString
+ * @see IterantTypedArray
  */
 function Iterant(iterable) {
   if (!this) {
-    return new Iterant(iterable);
+    registerBuiltins();
+    const entry = registry.find(candidate => candidate.predicate(iterable));
+    return new (entry ? entry.Subclass : Iterant)(iterable);
   }
   // Call as a factory, 
   // not a constructor
@@ -112,6 +151,150 @@ function Iterant(iterable) {
   return this;
 }
 
+/**
+ * Registers a subclass for the {@link Iterant} factory to use when its predicate 
+ * matches the wrapped iterable. Registrations with a higher `priority` are tried 
+ * first. Among equal priorities, the most recent registration wins, so you can 
+ * override a built-in subclass by registering your own at the same priority.
+ * 
+ * The built-in {@link IterantArray}, {@link IterantSequence}, {@link IterantMap}, 
+ * {@link IterantSet}, {@link IterantRange}, {@link IterantRepeat}, 
+ * {@link IterantString} and {@link IterantTypedArray} are registered with priority `0`.
+ * 
+ * @example
+ * function IterantCursor(cursor) { … }
+ * IterantCursor.prototype = Object.create(Iterant.prototype);
+ * Iterant.register(obj => obj instanceof Cursor, IterantCursor, 10);
+ * 
+ * Iterant(db.find(query)); // IterantCursor
+ * 
+ * @memberof Iterant
+ * 
+ * @param {function} predicate - Given the iterable, returns `true` if `Subclass` can wrap it
+ * @param {function} Subclass - A constructor that extends {@link Iterant}
+ * @param {number} [priority=0]
+ * @throws {TypeError}
+ */
+Iterant.register = function(predicate, Subclass, priority) {
+  if ('function' !== typeof predicate) {
+    throw new TypeError('predicate must be a function');
+  }
+  if ('function' !== typeof Subclass || !(Subclass.prototype instanceof Iterant)) {
+    throw new TypeError('Subclass must extend Iterant');
+  }
+  priority = undefined === priority ? 0 : priority;
+  if ('number' !== typeof priority) {
+    throw new TypeError('priority must be a number');
+  }
+  registerBuiltins();
+  const index = registry.findIndex(entry => entry.priority <= priority);
+  registry.splice(-1 === index ? registry.length : index, 0, {
+    predicate,
+    Subclass,
+    priority
+  });
+};
+/**
+ * Registers an evaluator of a path expression language for 
+ * {@link Iterant#query}. Each item is evaluated by the most recently 
+ * registered evaluator of the language that accepts it, so you can add 
+ * support for other kinds of items to a language, or override a built-in 
+ * evaluator, as well as add languages.
+ * 
+ * Built in are:
+ *   * **`'xpath'`** On MarkLogic {@link Node} and {@link Document} instances, and on anything else 
+ *     with its own `xpath(expression, bindings)` method, it calls that method. On other DOM-like 
+ *     objects, with a `nodeType`, a `nodeName` and `childNodes`, it evaluates a subset of XPath 1.0 
+ *     in JavaScript, so that code written for MarkLogic can be tested against stand-in nodes.
+ *   * **`'jsonpath'`** On anything, the same as {@link Iterant#select}
+ * 
+ * @example
+ * const jmespath = require('jmespath');
+ * Iterant.registerEvaluator(
+ *   'jmespath', 
+ *   item => null !== item && 'object' === typeof item, 
+ *   expression => item => [jmespath.search(item, expression)]
+ * );
+ * Iterant(docs).query('people[?age > `20`].name', {language: 'jmespath'});
+ * 
+ * @memberof Iterant
+ * 
+ * @param {string} language - The name for the `language` option of {@link Iterant#query}
+ * @param {function} accepts - Given an item, returns `true` if the evaluator can evaluate expressions on it
+ * @param {function} compile - Called with the expression and the options of {@link Iterant#query}, 
+ * at most once per query, before the first item it accepts. Returns a function that’s called with 
+ * each accepted item and returns an iterable of the results.
+ * @throws {TypeError}
+ */
+Iterant.registerEvaluator = function(language, accepts, compile) {
+  if ('string' !== typeof language) {
+    throw new TypeError('language must be a string');
+  }
+  if ('function' !== typeof accepts) {
+    throw new TypeError('accepts must be a function');
+  }
+  if ('function' !== typeof compile) {
+    throw new TypeError('compile must be a function');
+  }
+  evaluators.unshift({
+    language,
+    accepts,
+    compile
+  });
+};
+/**
+ * Wraps the output of an operator in the {@link Iterant} instance’s 
+ * `Symbol.species`, so that subclasses that don’t override an operator 
+ * still get their own type back. If the species is a registered subclass 
+ * whose predicate doesn’t accept the output, for example, an 
+ * {@link IterantSequence} and a generator, the factory picks the type instead.
+ * The error policy, set with {@link Iterant#onError}, {@link Iterant#catchError} 
+ * or {@link Iterant#retry}, carries over to the output.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterant} iterant - The instance whose species to use
+ * @param {Iterable} iterable - The output to wrap
+ * @returns {Iterant}
+ */
+Iterant.species = function(iterant, iterable) {
+  const Species = iterant[Symbol.species] || Iterant;
+  let result;
+  if (Iterant === Species) {
+    result = Iterant(iterable);
+  } else {
+    registerBuiltins();
+    const entries = registry.filter(entry => Species === entry.Subclass);
+    const accepts = entries.some(entry => entry.predicate(iterable));
+    result = 0 === entries.length || accepts ? new Species(iterable) : Iterant(iterable);
+  }
+  if (iterant._policy) {
+    Iterant.setPolicy(result, iterant._policy);
+  }
+  return result;
+};
+/**
+ * Sets the error policy of an {@link Iterant}. Like the wrapped iterable, 
+ * it’s an own property that isn’t enumerable.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterant} iterant
+ * @param {Object} policy
+ * @returns {Iterant} - The same instance
+ */
+Iterant.setPolicy = function(iterant, policy) {
+  return Object.defineProperties(iterant, {
+    '_policy': {
+      enumerable: false,
+      configurable: false,
+      writable: true,
+      value: policy
+    }
+  });
+};
 /**
  * Whether an object is iterable. Only checks for `Symbol.iterator`. This
  * won’t catch the case where a function implicitly returns a duck-typed
@@ -137,6 +320,198 @@ Iterant.isIterable = function(obj, ignoreStrings) {
     return false;
   return Boolean(obj[Symbol.iterator]);
 };
+/**
+ * Whether iterating an iterable more than once yields the same items. 
+ * Iterators, such as generator objects, can only be iterated once. Most 
+ * collections, like `Array`, `Map`, or `Sequence`, can be replayed.
+ * 
+ * @example
+ * Iterant.isReplayable([1, 2, 3]);         // true
+ * Iterant.isReplayable((function*(){})()); // false
+ * 
+ * @memberof Iterant
+ * 
+ * @param {*} iterable - Any object, including `null` or `undefined`
+ * @returns {boolean} Whether the object is iterable more than once
+ */
+Iterant.isReplayable = function(iterable) {
+  if (!Iterant.isIterable(iterable)) {
+    return false;
+  }
+  if (iterable instanceof Iterant) {
+    return iterable.isReplayable;
+  }
+  return 'function' !== typeof iterable.next;
+};
+/**
+ * Wraps an iterable so that each item is remembered the first time it’s 
+ * pulled. Subsequent iterations replay the remembered items before pulling 
+ * any more. The source is only iterated once. An iteration that stops early 
+ * leaves the source open, so later ones pick up where it left off. The 
+ * source is closed when it’s exhausted, or by the `return()` method, after 
+ * which iterations replay only the items read so far.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterable} iterable
+ * @returns {Iterable} - A replayable iterable
+ */
+Iterant.cache = function(iterable) {
+  const items = [];
+  let iterator = null, done = false;
+  function close() {
+    if (!done) {
+      done = true;
+      Iterant.close(iterator);
+    }
+  }
+  function pull() {
+    if (done) {
+      return false;
+    }
+    if (null === iterator) {
+      iterator = iterable[Symbol.iterator]();
+    }
+    const step = iterator.next();
+    if (step.done) {
+      done = true;
+      return false;
+    }
+    items.push(step.value);
+    return true;
+  }
+  return {
+    *[Symbol.iterator]() {
+      for (let index = 0; ; index++) {
+        if (index === items.length && !pull()) {
+          return;
+        }
+        yield items[index];
+      }
+    },
+    return: close
+  };
+};
+/**
+ * Splits one iterable into `count` independent, single-use iterables. Items 
+ * are buffered only until every branch has read them, so the buffer is as 
+ * large as the distance between the fastest and the slowest branch, up to 
+ * `limit`. The source is closed once every branch has finished or been closed.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterable} iterable
+ * @param {number} count - The number of branches
+ * @param {number} [limit=10000] - The maximum number of buffered items
+ * @returns {Array<Iterable>}
+ * @throws {TypeError} - For an invalid `count` or `limit`
+ * @throws {RangeError} - If a branch gets more than `limit` items ahead of another
+ */
+Iterant.tee = function(iterable, count, limit) {
+  Iterant.assertPositiveInteger(count, 'count');
+  limit = undefined === limit ? 10000 : limit;
+  Iterant.assertPositiveInteger(limit, 'limit');
+  // A ring buffer, like Iterant.tail’s: the item at position `p` is at 
+  // `ring[p % limit]`, and the ones before `offset` have been dropped.
+  const ring = [];
+  // The position of each branch. Infinity once it’s no longer reading.
+  const positions = Array.from({length: count}, () => 0);
+  // The number of branches at each position, so that dropping the oldest 
+  // item doesn’t have to look at every branch
+  const waiting = new Map([[0, count]]);
+  let iterator = null, offset = 0, size = 0, done = false;
+  function move(id, position) {
+    const from = positions[id], left = waiting.get(from) - 1;
+    if (0 === left) {
+      waiting.delete(from);
+    } else {
+      waiting.set(from, left);
+    }
+    positions[id] = position;
+    if (Infinity !== position) {
+      waiting.set(position, (waiting.get(position) || 0) + 1);
+    }
+    while (size > 0 && !waiting.has(offset)) {
+      ring[offset % limit] = undefined;
+      offset++;
+      size--;
+    }
+  }
+  function pull() {
+    if (done) {
+      return false;
+    }
+    if (size >= limit) {
+      throw new RangeError('tee buffer exceeded ' + String(limit) + ' items');
+    }
+    if (null === iterator) {
+      iterator = iterable[Symbol.iterator]();
+    }
+    const step = iterator.next();
+    if (step.done) {
+      done = true;
+      return false;
+    }
+    ring[(offset + size) % limit] = step.value;
+    size++;
+    return true;
+  }
+  // Idempotent, because a started branch finishes both in its generator’s 
+  // `finally` and in the wrapper’s `return()`
+  function finish(id) {
+    if (Infinity === positions[id]) {
+      return;
+    }
+    move(id, Infinity);
+    if (!done && 0 === waiting.size) {
+      done = true;
+      Iterant.close(iterator);
+    }
+  }
+  function* read(id) {
+    try {
+      for (let position = 0; ; position++) {
+        if (position > 0) {
+          move(id, position);
+        }
+        if (position - offset === size && !pull()) {
+          return;
+        }
+        yield ring[position % limit];
+      }
+    } finally {
+      finish(id);
+    }
+  }
+  // A generator closed before its first `next()` skips its `finally`, so 
+  // the branch also finishes from outside the generator body.
+  function branch(id) {
+    const generator = read(id);
+    return {
+      [Symbol.iterator]() {
+        return this;
+      },
+      next(value) {
+        return generator.next(value);
+      },
+      return(value) {
+        const result = generator.return(value);
+        finish(id);
+        return result;
+      },
+      throw(error) {
+        try {
+          return generator.throw(error);
+        } finally {
+          finish(id);
+        }
+      }
+    };
+  }
+  return positions.map((position, id) => branch(id));
+};
 /**
  * Loop over an iterable, executing a function on each item, yielding 
  * an iterable.
@@ -183,6 +558,66 @@ Iterant.delegate = function*(iterable, gen, that) {
     yield* gen.call(that || null, item);
   }
 };
+/**
+ * Maps each item and yields the items of each result that’s iterable, 
+ * except strings. Other results, including strings, are yielded as-is.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterable} iterable
+ * @param {function} fct - A mapper function
+ * @param {object} [that]
+ * @returns {Iterable}
+ */
+Iterant.flatMap = function*(iterable, fct, that) {
+  for (const value of Iterant.map(iterable, fct, that)) {
+    if (Iterant.isIterable(value, true)) {
+      yield* value;
+    } else {
+      yield value;
+    }
+  }
+};
+/**
+ * Yields the items of nested iterables, except strings, down to `depth` 
+ * levels.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterable} iterable
+ * @param {number} depth - A non-negative integer or `Infinity`
+ * @returns {Iterable}
+ */
+Iterant.flatten = function*(iterable, depth) {
+  for (const item of iterable) {
+    if (depth > 0 && Iterant.isIterable(item, true)) {
+      yield* Iterant.flatten(item, depth - 1);
+    } else {
+      yield item;
+    }
+  }
+};
+/**
+ * Defaults and validates the `depth` of {@link Iterant#flatten}.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {number} [depth=1]
+ * @returns {number}
+ * @throws {TypeError} - Unless `depth` is a non-negative integer or `Infinity`
+ */
+Iterant.flattenDepth = function(depth) {
+  if (undefined === depth) {
+    return 1;
+  }
+  if (0 !== depth && Infinity !== depth) {
+    Iterant.assertPositiveInteger(depth, 'depth');
+  }
+  return depth;
+};
 /**
  * 
  * @private
@@ -204,7 +639,8 @@ Iterant.reduce = function(iterable, fct, init) {
   return value;
 };
 /**
- * Yeilds a portion of an iterable between two offsets.
+ * Yields a portion of an iterable between two offsets. Iteration stops, 
+ * closing the iterable’s iterator, as soon as `end` is reached.
  * 
  * @private
  * @memberof Iterant
@@ -228,12 +664,18 @@ Iterant.slice = function*(iterable, begin, end) {
   if ('number' !== typeof begin) {
     throw new TypeError('begin must be a number');
   }
+  if ('undefined' !== typeof end && 'number' !== typeof end) {
+    throw new TypeError('end must be a number');
+  }
+  if (end <= begin) {
+    return;
+  }
   let index = 0;
   for (const value of iterable) {
-    if (index++ >= begin) {
+    if (index >= begin) {
       yield value;
     }
-    if (index > end) {
+    if (++index >= end) {
       break;
     }
   }
@@ -270,189 +712,4731 @@ Iterant.filter = function*(iterable, predicate, that) {
     }
   }
 };
+/**
+ * Closes an iterator, if it supports it, by calling its `return()` method.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterator} iterator
+ */
+Iterant.close = function(iterator) {
+  if (iterator && 'function' === typeof iterator.return) {
+    iterator.return();
+  }
+};
+/**
+ * Yields the items of `iterable` followed by each of `args`. Iterable arguments,
+ * except strings, are flattened. Other types are yielded as-is. 
+ * 
+ * If iteration stops early, the argument being iterated is closed by `yield*`. 
+ * Arguments that haven’t been reached yet, but are themselves iterators, such 
+ * as generator objects, are closed too.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterable} iterable
+ * @param {...*} args
+ * @returns {Iterable}
+ */
 Iterant.concat = function*(iterable, ...args) {
-  yield* iterable;
-  for (const arg of args) {
-    yield* arg;
+  let started = 0;
+  try {
+    yield* iterable;
+    for (const arg of args) {
+      started++;
+      if (Iterant.isIterable(arg, true)) {
+        yield* arg;
+      } else {
+        yield arg;
+      }
+    }
+  } finally {
+    for (const arg of args.slice(started)) {
+      if (arg && 'function' === typeof arg.next) {
+        Iterant.close(arg);
+      }
+    }
   }
 };
 
 /**
- * Gets the iterator associated with the underlying concrete iterable.
- * 
- * @name Symbol.iterator
+ * SameValueZero equality, as used by {@link Array#includes}: like `===`,
+ * except that `NaN` equals `NaN`.
+ *
+ * @private
  * @memberof Iterant
- * @instance
- * @type {Iterator}
- * @readonly
+ *
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
  */
-Iterant.prototype[Symbol.iterator] = function*() {
-  yield* this._iterable;
+Iterant.sameValueZero = function(a, b) {
+  if (a === b) {
+    return true;
+  }
+  return Number.isNaN(a) && Number.isNaN(b);
 };
 /**
- * The type name that shows up in {@Obejct#toString}.
- * 
- * @name Symbol.toStringTag
+ * Converts a relative index, like the one passed to {@link Array#at}, to an
+ * integer. `NaN` and missing values are `0`.
+ *
+ * @private
  * @memberof Iterant
- * @instance
- * @type {string}
- * @readonly
+ *
+ * @param {*} index
+ * @returns {number}
  */
-Iterant.prototype[Symbol.toStringTag] = 'Iterant';
-// Iterant.prototype[Symbol.species] = Iterant;
+Iterant.toInteger = function(index) {
+  const num = Math.trunc(Number(index));
+  return Number.isNaN(num) ? 0 : num;
+};
 /**
- * Applys a function to each item of the current iterable and returns a new iterable. 
- * 
- * @param {function} fct - The function to apply
- * @param {*} [that=null] - What `this` should mean when calling `fct` (i.e. the first parameter of `Function.prototype.call`) 
- * @returns {Iterable} - A new {@link Iterable} containing the mapped items
+ * The index of the first item for which `predicate` returns a truthy value,
+ * or `-1`. Stops iterating, closing the iterator, as soon as there’s a match.
+ *
+ * @private
+ * @memberof Iterant
+ *
+ * @param {Iterable} iterable
+ * @param {function} predicate - Called with `item`, `index`, and `iterable`
+ * @param {object} [that] - `this` binding of `predicate` call
+ * @returns {number}
+ * @throws {TypeError}
  */
-Iterant.prototype.map = function map(fct, that) {
-  const Constructor = this._iterable[Symbol.species] || Iterable;
-
-  return Constructor(Iterant.map(this._iterable, fct, that));
+Iterant.findIndex = function(iterable, predicate, that) {
+  if (!Iterant.isIterable(iterable)) {
+    throw new TypeError('iterable must be iterable');
+  }
+  if ('function' !== typeof predicate) {
+    throw new TypeError('predicate must be a function');
+  }
+  let index = 0;
+  for (const item of iterable) {
+    if (predicate.call(that || null, item, index, iterable)) {
+      return index;
+    }
+    index++;
+  }
+  return -1;
 };
 /**
- * Accumulate an aggregate value over all of an {@link Iterable} instance’s items. 
- * 
- * @example
- * Iterant([1, 2, 3])
- *   .reduce((prev, item) => prev + item, 0);
- * 
- * // First iteration:  (0, 1) => 1
- * // Second iteration: (1, 2) => 3
- * // Third iteration:  (3, 3) => 6
- * // Final result: 6
- * 
- * @param {function} reducer - The function that takes the previous value and the current item and 
- * returns a new value for the next iteration. 
- *   * **`prev`** (`any`) The accumulated value returned from the previous iteration
- *   * **`item`** (`any`) The current item
- *   * **`index`** (`number`) The current index
- *   * **`self`** (<code>{@link Iterant}</code>) 
- * @param {*} init - The initial value
- * @returns {*} - The accumlated value
+ * The last `count` items of an iterable and the index of the first of them.
+ * Only `count` items are held in memory at a time.
+ *
+ * @private
+ * @memberof Iterant
+ *
+ * @param {Iterable} iterable
+ * @param {number} count - A positive integer
+ * @returns {{items: Array, offset: number}}
  */
-Iterant.prototype.reduce = function reduce(reducer, init) {
-  return Iterant.reduce(this, reducer, init);
+Iterant.tail = function(iterable, count) {
+  // A ring buffer: the oldest item is overwritten in place, rather than 
+  // shifted out, which would move the other `count - 1` every time.
+  const ring = [];
+  let seen = 0;
+  for (const item of iterable) {
+    ring[seen % count] = item;
+    seen++;
+  }
+  const start = seen > count ? seen % count : 0;
+  return {
+    items: ring.slice(start).concat(ring.slice(0, start)),
+    offset: seen - ring.length
+  };
 };
+
 /**
- * Get a subsection of an {@link Iterant} as an {@link Iterant} as 
- * new {@link Iterant}. The default implementation naïvely loops from 
- * the start of the {@link Iterant} to the `end`. Subclasses delegate to
- * more efficient implementations, delegating to the backing {@Iterable}.
+ * Normalizes a reducer, which is either a function that takes the previous 
+ * accumulated value, the current item, and its index, like the callback of 
+ * {@link Iterant#reduce}, or an object with `init`, `step`, and optional 
+ * `result` methods. A function’s first accumulated value is `undefined`, so 
+ * use a default parameter for the initial value, e.g. `(sum = 0, item) => sum + item`.
  * 
- * @param {number} begin - The zero-based index where to start
- * @param {number} [end] - The zero-based index before which to stop. Defaults to the rest of the {@Iterant}, which could be infinite. (Don’t do that.)  
- * @returns {Iterant} - A new {@link Iterant}
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {function|Object} reducer
+ * @returns {{init: function, step: function, result: function}}
+ * @throws {TypeError}
  */
-Iterant.prototype.slice = function slice(begin, end) {
-  const Constructor = this._iterable[Symbol.species] || Iterant;
-
-  return Constructor(Iterant.slice(this._iterable, begin, end));
+Iterant.reducer = function(reducer) {
+  if ('function' === typeof reducer) {
+    return {
+      init: () => undefined,
+      step: reducer,
+      result: value => value
+    };
+  }
+  if (reducer && 'function' === typeof reducer.init && 'function' === typeof reducer.step) {
+    return {
+      init: () => reducer.init(),
+      step: (prev, item, index) => reducer.step(prev, item, index),
+      result: 'function' === typeof reducer.result 
+        ? value => reducer.result(value) 
+        : value => value
+    };
+  }
+  throw new TypeError('reducer must be a function or an object with init and step methods');
 };
 /**
- * Evaluates each item using a supplied predicate function. Returns a new 
- * {@Iterant} containing only items for which the predicate returns `true`.
+ * Assigns each item to a group by key, in a single pass. 
  * 
- * **Warning:** `filter` is almost always better implemented as an upstream query when 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterable} iterable
+ * @param {function} keyFn - Called with `item` and `index`. Keys are compared like {@link Map} keys. 
+ * Items whose key is {@link Iterant.SKIP} are left out.
+ * @param {function} add - Called with the group’s previous value (`undefined` 
+ * for a new group), the `item`, and the item’s index within the group. Returns the new value.
+ * @returns {Map}
+ * @throws {TypeError}
+ */
+Iterant.group = function(iterable, keyFn, add) {
+  if ('function' !== typeof keyFn) {
+    throw new TypeError('keyFn must be a function');
+  }
+  const groups = new Map(), counts = new Map();
+  let index = 0;
+  for (const item of iterable) {
+    const key = keyFn(item, index++);
+    if (Iterant.SKIP !== key) {
+      const count = counts.get(key) || 0;
+      groups.set(key, add(groups.get(key), item, count));
+      counts.set(key, count + 1);
+    }
+  }
+  return groups;
+};
+/**
+ * Throws unless `value` is a positive integer.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {*} value
+ * @param {string} name - The parameter name to report
+ * @throws {TypeError}
+ */
+Iterant.assertPositiveInteger = function(value, name) {
+  if ('number' !== typeof value || value < 1 || 0 !== value % 1) {
+    throw new TypeError(name + ' must be a positive integer');
+  }
+};
+/**
+ * Yields arrays of `size` consecutive items. The last may be shorter.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterable} iterable
+ * @param {number} size - A positive integer
+ * @returns {Iterable<Array>}
+ */
+Iterant.chunk = function*(iterable, size) {
+  Iterant.assertPositiveInteger(size, 'size');
+  let chunk = [];
+  for (const item of iterable) {
+    chunk.push(item);
+    if (chunk.length === size) {
+      yield chunk;
+      chunk = [];
+    }
+  }
+  if (chunk.length > 0) {
+    yield chunk;
+  }
+};
+/**
+ * Yields arrays of `size` consecutive items, starting every `step` items. 
+ * Only complete windows are yielded. A `step` larger than `size` skips the 
+ * items in between. Only one window is held in memory.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterable} iterable
+ * @param {number} size - A positive integer
+ * @param {number} step - A positive integer
+ * @returns {Iterable<Array>}
+ */
+Iterant.window = function*(iterable, size, step) {
+  Iterant.assertPositiveInteger(size, 'size');
+  Iterant.assertPositiveInteger(step, 'step');
+  let buffer = [], skip = 0;
+  for (const item of iterable) {
+    if (skip > 0) {
+      skip--;
+    } else {
+      buffer.push(item);
+    }
+    if (buffer.length === size) {
+      yield buffer.slice();
+      if (step < size) {
+        buffer.splice(0, step);
+      } else {
+        buffer = [];
+        skip = step - size;
+      }
+    }
+  }
+};
+/**
+ * Yields arrays of consecutive items whose combined weight doesn’t exceed 
+ * `maxWeight`. An item that on its own weighs more than `maxWeight` is yielded 
+ * in a batch by itself.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterable} iterable
+ * @param {function} weightFn - Returns the weight of an item, a non-negative number
+ * @param {number} maxWeight
+ * @returns {Iterable<Array>}
+ */
+Iterant.batchBy = function*(iterable, weightFn, maxWeight) {
+  if ('function' !== typeof weightFn) {
+    throw new TypeError('weightFn must be a function');
+  }
+  if ('number' !== typeof maxWeight || !(maxWeight > 0)) {
+    throw new TypeError('maxWeight must be a positive number');
+  }
+  let batch = [], total = 0, index = 0;
+  for (const item of iterable) {
+    const weight = weightFn(item, index++);
+    if (batch.length > 0 && total + weight > maxWeight) {
+      yield batch;
+      batch = [];
+      total = 0;
+    }
+    batch.push(item);
+    total += weight;
+  }
+  if (batch.length > 0) {
+    yield batch;
+  }
+};
+/**
+ * Iterates several iterables in lockstep. `fill` is `undefined` to stop at 
+ * the shortest or a value to pad the exhausted ones until the longest is done. 
+ * Every iterator that’s still open is closed when iteration stops.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Array<Iterable>} iterables
+ * @param {boolean} longest - Whether to continue until the longest is exhausted
+ * @param {*} [fill] - The placeholder for exhausted iterables
+ * @returns {Iterable<Array>}
+ */
+Iterant.lockstep = function*(iterables, longest, fill) {
+  const iterators = iterables.map(iterable => iterable[Symbol.iterator]());
+  const open = iterators.map(() => true);
+  function pull(i) {
+    if (open[i]) {
+      const step = iterators[i].next();
+      if (!step.done) {
+        return step;
+      }
+      open[i] = false;
+    }
+    return undefined;
+  }
+  try {
+    while (open.some(Boolean)) {
+      const tuple = [];
+      for (let i = 0; i < iterators.length; i++) {
+        const step = pull(i);
+        if (!step && !longest) {
+          return;
+        }
+        tuple.push(step ? step.value : fill);
+      }
+      if (open.some(Boolean)) {
+        yield tuple;
+      }
+    }
+  } finally {
+    iterators.forEach((iterator, i) => {
+      if (open[i]) {
+        Iterant.close(iterator);
+      }
+    });
+  }
+};
+/**
+ * Closes the arguments that are themselves iterators, such as generator 
+ * objects, whether or not they were started.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Array} args
+ */
+Iterant.closeAll = function(args) {
+  for (const arg of args) {
+    if (arg && 'function' === typeof arg.next) {
+      Iterant.close(arg);
+    }
+  }
+};
+/**
+ * Lazily combines several iterables into an {@link Iterant} of arrays, where 
+ * the *n*th array holds the *n*th item of each iterable. Stops with the 
+ * shortest iterable and closes the others.
+ * 
+ * @example
+ * Iterant.zip(uris, cts.frequency(uris)); // [[uri1, freq1], [uri2, freq2], …]
+ * 
+ * @memberof Iterant
+ * 
+ * @param {...Iterable} iterables
+ * @returns {Iterant} - A new {@link Iterant} of {@link Array} tuples
+ */
+Iterant.zip = function(...iterables) {
+  return Iterant(Iterant.lockstep(iterables, false));
+};
+/**
+ * Like {@link Iterant.zip}, but continues until the longest iterable is 
+ * exhausted, using `fill` in place of the items of the shorter ones.
+ * 
+ * @example
+ * Iterant.zipLongest(0, [1, 2, 3], [10]); // [1, 10], [2, 0], [3, 0]
+ * 
+ * @memberof Iterant
+ * 
+ * @param {*} fill - The placeholder for exhausted iterables
+ * @param {...Iterable} iterables
+ * @returns {Iterant} - A new {@link Iterant} of {@link Array} tuples
+ */
+Iterant.zipLongest = function(fill, ...iterables) {
+  return Iterant(Iterant.lockstep(iterables, true, fill));
+};
+/**
+ * Like {@link Iterant.zip}, but combines the items of each tuple by calling 
+ * a function with them as arguments.
+ * 
+ * @example
+ * Iterant.zipWith((a, b) => a + b, [1, 2], [10, 20]); // 11, 22
+ * 
+ * @memberof Iterant
+ * 
+ * @param {function} fct - Called with one item from each iterable
+ * @param {...Iterable} iterables
+ * @returns {Iterant} - A new {@link Iterant} of the combined items
+ */
+Iterant.zipWith = function(fct, ...iterables) {
+  if ('function' !== typeof fct) {
+    throw new TypeError('fct must be a function');
+  }
+  return Iterant(Iterant.map(Iterant.lockstep(iterables, false), tuple => fct(...tuple)));
+};
+/**
+ * Lazily alternates between the items of several iterables, one from each in 
+ * turn. Stops, closing the others, as soon as one is exhausted, so only 
+ * complete rounds are yielded.
+ * 
+ * @example
+ * Iterant.interleave([1, 2, 3], ['a', 'b']); // 1, 'a', 2, 'b'
+ * 
+ * @memberof Iterant
+ * 
+ * @param {...Iterable} iterables
+ * @returns {Iterant}
+ * 
+ * @see Iterant.roundRobin
+ */
+Iterant.interleave = function(...iterables) {
+  return Iterant(Iterant.delegate(Iterant.lockstep(iterables, false), function*(tuple) {
+    yield* tuple;
+  }));
+};
+/**
+ * Lazily alternates between the items of several iterables, one from each in 
+ * turn, skipping those that are exhausted, until all of them are.
+ * 
+ * @example
+ * Iterant.roundRobin([1, 2, 3], ['a']); // 1, 'a', 2, 3
+ * 
+ * @memberof Iterant
+ * 
+ * @param {...Iterable} iterables
+ * @returns {Iterant}
+ * 
+ * @see Iterant.interleave
+ */
+Iterant.roundRobin = function(...iterables) {
+  function* roundRobin() {
+    let iterators = iterables.map(iterable => iterable[Symbol.iterator]());
+    try {
+      while (iterators.length > 0) {
+        const exhausted = [];
+        for (const iterator of iterators) {
+          const step = iterator.next();
+          if (step.done) {
+            exhausted.push(iterator);
+          } else {
+            yield step.value;
+          }
+        }
+        iterators = iterators.filter(iterator => !exhausted.includes(iterator));
+      }
+    } finally {
+      iterators.forEach(Iterant.close);
+    }
+  }
+  return Iterant(roundRobin());
+};
+/**
+ * Lazily yields the cartesian product of several iterables as arrays, with 
+ * the last iterable varying fastest. The first iterable is only iterated once. 
+ * The others are iterated once per item of the ones before them, so 
+ * single-use iterables, like generators, are cached as they’re read. 
+ * 
+ * @example
+ * Iterant.product([1, 2], ['a', 'b']); // [1, 'a'], [1, 'b'], [2, 'a'], [2, 'b']
+ * 
+ * @memberof Iterant
+ * 
+ * @param {...Iterable} iterables
+ * @returns {Iterant} - A new {@link Iterant} of {@link Array} tuples
+ */
+Iterant.product = function(...iterables) {
+  const sources = iterables.map(
+    (iterable, i) =>
+      0 === i || Iterant.isReplayable(iterable) ? iterable : Iterant.cache(iterable)
+  );
+  function* combine(depth, prefix) {
+    if (depth === sources.length) {
+      yield prefix;
+      return;
+    }
+    for (const item of sources[depth]) {
+      yield* combine(depth + 1, prefix.concat([item]));
+    }
+  }
+  function* product() {
+    try {
+      yield* combine(0, []);
+    } finally {
+      // The caches close the sources they wrap, such as an Iterant of a 
+      // generator, which closeAll doesn’t recognize as an iterator.
+      sources
+        .filter((source, i) => source !== iterables[i])
+        .forEach(Iterant.close);
+      Iterant.closeAll(iterables);
+    }
+  }
+  return Iterant(product());
+};
+/**
+ * The number of items in an iterable, if it’s known without iterating, 
+ * otherwise `undefined`. Doesn’t force an {@link Iterant} with `_deferred` 
+ * items, such as the result of {@link Iterant#sort}, to produce them.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterable} iterable
+ * @returns {number|undefined}
+ */
+Iterant.knownSize = function(iterable) {
+  if (iterable instanceof Iterant) {
+    return iterable._deferred ? undefined : Iterant.knownSize(iterable._iterable);
+  }
+  if (Array.isArray(iterable)) {
+    return iterable.length;
+  }
+  if (iterable instanceof Map || iterable instanceof Set) {
+    return iterable.size;
+  }
+  return undefined;
+};
+/**
+ * Which results each join type produces.
+ * 
+ * @private
+ */
+const JOIN_TYPES = {
+  inner: {pairs: true},
+  left: {
+    pairs: true,
+    leftOuter: true
+  },
+  right: {
+    pairs: true,
+    rightOuter: true
+  },
+  full: {
+    pairs: true,
+    leftOuter: true,
+    rightOuter: true
+  },
+  semi: {semi: true},
+  anti: {anti: true}
+};
+/**
+ * Looks up which results a join type produces.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {string} [type='inner']
+ * @returns {Object}
+ * @throws {TypeError}
+ */
+Iterant.joinType = function(type) {
+  type = type || 'inner';
+  if (!Object.prototype.hasOwnProperty.call(JOIN_TYPES, type)) {
+    throw new TypeError('type must be one of ' + Object.keys(JOIN_TYPES).join(', '));
+  }
+  return Object.assign({}, JOIN_TYPES[type]);
+};
+/**
+ * Validates and fills in the defaults of join options.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {function} leftKey
+ * @param {Object} [options]
+ * @param {function} [options.rightKey] - Defaults to `leftKey`
+ * @returns {Object}
+ * @throws {TypeError}
+ */
+Iterant.joinOptions = function(leftKey, options) {
+  options = options || {};
+  const rightKey = undefined === options.rightKey || null === options.rightKey 
+    ? leftKey 
+    : options.rightKey;
+  if ('function' !== typeof leftKey || 'function' !== typeof rightKey) {
+    throw new TypeError('leftKey and rightKey must be functions');
+  }
+  return Object.assign(Iterant.joinType(options.type), {
+    leftKey,
+    rightKey,
+    build: options.build,
+    comparator: options.comparator
+  });
+};
+/**
+ * Indexes items by key. `null` and `undefined` keys are left out, because, 
+ * like SQL `NULL`, they never match.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterable} iterable
+ * @param {function} keyFn
+ * @returns {{all: Array, byKey: Map}} - Entries of `{item, matched}`, in order and by key
+ */
+Iterant.index = function(iterable, keyFn) {
+  const all = [], byKey = new Map();
+  for (const item of iterable) {
+    const entry = {
+      item,
+      matched: false
+    };
+    const key = keyFn(item);
+    all.push(entry);
+    if (null !== key && undefined !== key) {
+      if (byKey.has(key)) {
+        byKey.get(key).push(entry);
+      } else {
+        byKey.set(key, [entry]);
+      }
+    }
+  }
+  return {
+    all,
+    byKey
+  };
+};
+/**
+ * Hash join that indexes the right side and streams the left, so results 
+ * are in the order of the left side.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterable} left
+ * @param {Iterable} right
+ * @param {Object} options - See {@link Iterant.joinOptions}
+ * @returns {Iterable}
+ */
+Iterant.probeLeft = function*(left, right, options) {
+  const index = Iterant.index(right, options.rightKey);
+  for (const item of left) {
+    const matches = index.byKey.get(options.leftKey(item));
+    if (options.semi || options.anti) {
+      if (Boolean(matches) === Boolean(options.semi)) {
+        yield item;
+      }
+    } else if (matches) {
+      for (const match of matches) {
+        match.matched = true;
+        yield [item, match.item];
+      }
+    } else if (options.leftOuter) {
+      yield [item, undefined];
+    }
+  }
+  if (options.rightOuter) {
+    for (const entry of index.all) {
+      if (!entry.matched) {
+        yield [undefined, entry.item];
+      }
+    }
+  }
+};
+/**
+ * Hash join that indexes the left side and streams the right, so pairs are 
+ * in the order of the right side. Unmatched left items, and the results of 
+ * semi and anti joins, follow in the order of the left side.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterable} left
+ * @param {Iterable} right
+ * @param {Object} options - See {@link Iterant.joinOptions}
+ * @returns {Iterable}
+ */
+Iterant.probeRight = function*(left, right, options) {
+  const index = Iterant.index(left, options.leftKey);
+  for (const item of right) {
+    const matches = index.byKey.get(options.rightKey(item));
+    if (matches) {
+      for (const match of matches) {
+        match.matched = true;
+        if (options.pairs) {
+          yield [match.item, item];
+        }
+      }
+    } else if (options.rightOuter) {
+      yield [undefined, item];
+    }
+  }
+  for (const entry of index.all) {
+    if (entry.matched ? options.semi : options.anti) {
+      yield entry.item;
+    } else if (!entry.matched && options.leftOuter) {
+      yield [entry.item, undefined];
+    }
+  }
+};
+/**
+ * Nested-loop join that tests every pair of items with a predicate. The 
+ * right side is cached if it can’t be replayed. Results are in the order of 
+ * the left side, followed by unmatched right items for right and full joins.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterable} left
+ * @param {Iterable} right
+ * @param {Object} options - A {@link Iterant.joinType} with a `predicate`
+ * @returns {Iterable}
+ */
+Iterant.nestedLoopJoin = function*(left, right, options) {
+  const rights = Iterant.isReplayable(right) ? right : Iterant.cache(right);
+  function* join() {
+    const matched = [];
+    for (const item of left) {
+      let found = false, index = 0;
+      for (const other of rights) {
+        if (options.predicate(item, other)) {
+          found = true;
+          matched[index] = true;
+          if (options.pairs) {
+            yield [item, other];
+          }
+        }
+        index++;
+      }
+      if (options.semi || options.anti) {
+        if (found === Boolean(options.semi)) {
+          yield item;
+        }
+      } else if (!found && options.leftOuter) {
+        yield [item, undefined];
+      }
+    }
+    if (options.rightOuter) {
+      let index = 0;
+      for (const other of rights) {
+        if (!matched[index++]) {
+          yield [undefined, other];
+        }
+      }
+    }
+  }
+  try {
+    yield* join();
+  } finally {
+    if (rights !== right) {
+      Iterant.close(rights);
+    }
+  }
+};
+/**
+ * Yields runs of consecutive items with equal keys as `{key, items}`. Each 
+ * item with a `null` or `undefined` key is a run of its own, marked 
+ * `unkeyed`, wherever it is in the input, because those keys never match.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterable} iterable - Sorted by key
+ * @param {function} keyFn
+ * @param {function} comparator - Compares keys
+ * @returns {Iterable<{key: *, items: Array}>}
+ * @throws {RangeError} - If the keys aren’t sorted
+ */
+Iterant.runs = function*(iterable, keyFn, comparator) {
+  let run = null;
+  for (const item of iterable) {
+    const key = keyFn(item);
+    if (null === key || undefined === key) {
+      yield {
+        key,
+        items: [item],
+        unkeyed: true
+      };
+    } else {
+      const order = null === run ? 1 : comparator(run.key, key);
+      if (order > 0 && null !== run) {
+        throw new RangeError('mergeJoin inputs must be sorted by key');
+      }
+      if (0 === order) {
+        run.items.push(item);
+      } else {
+        if (null !== run) {
+          yield run;
+        }
+        run = {
+          key,
+          items: [item]
+        };
+      }
+    }
+  }
+  if (null !== run) {
+    yield run;
+  }
+};
+/**
+ * The default comparator for keys, using `<` and `>`.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {*} a
+ * @param {*} b
+ * @returns {number}
+ */
+Iterant.compareKeys = function(a, b) {
+  if (a < b) {
+    return -1;
+  }
+  if (a > b) {
+    return 1;
+  }
+  return 0;
+};
+/**
+ * Merge join of two iterables sorted by key. Only the current run of equal 
+ * keys from each side is held in memory. Like the hash joins, items with a 
+ * `null` or `undefined` key are unmatched.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterable} left
+ * @param {Iterable} right
+ * @param {Object} options - See {@link Iterant.joinOptions}
+ * @returns {Iterable}
+ */
+Iterant.mergeJoin = function*(left, right, options) {
+  const comparator = options.comparator || Iterant.compareKeys;
+  const lefts = Iterant.runs(left, options.leftKey, comparator);
+  const rights = Iterant.runs(right, options.rightKey, comparator);
+  // Whether unmatched items from each side produce anything
+  const leftOnly = options.leftOuter || options.anti;
+  const rightOnly = options.rightOuter;
+  function pending(l, r) {
+    if (!l.done && !r.done) {
+      return true;
+    }
+    return l.done ? !r.done && Boolean(rightOnly) : Boolean(leftOnly);
+  }
+  function compare(l, r) {
+    if (l.done) {
+      return 1;
+    }
+    if (r.done) {
+      return -1;
+    }
+    // Unmatched, so they go first
+    if (l.value.unkeyed) {
+      return -1;
+    }
+    if (r.value.unkeyed) {
+      return 1;
+    }
+    return comparator(l.value.key, r.value.key);
+  }
+  function* emit(l, r) {
+    if (!r) {
+      yield* l.items.map(item => options.anti ? item : [item, undefined]);
+    } else if (!l) {
+      yield* r.items.map(item => [undefined, item]);
+    } else if (options.semi) {
+      yield* l.items;
+    } else if (options.pairs) {
+      for (const a of l.items) {
+        yield* r.items.map(b => [a, b]);
+      }
+    }
+  }
+  try {
+    let l = lefts.next(), r = rights.next();
+    while (pending(l, r)) {
+      const order = compare(l, r);
+      if (order < 0) {
+        if (leftOnly) {
+          yield* emit(l.value);
+        }
+        l = lefts.next();
+      } else if (order > 0) {
+        if (rightOnly) {
+          yield* emit(undefined, r.value);
+        }
+        r = rights.next();
+      } else {
+        yield* emit(l.value, r.value);
+        l = lefts.next();
+        r = rights.next();
+      }
+    }
+  } finally {
+    lefts.return();
+    rights.return();
+  }
+};
+/**
+ * Serializes a value to JSON with object properties in sorted order, so that 
+ * structurally equal values have the same serialization.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {*} value
+ * @returns {string|undefined}
+ */
+Iterant.canonicalJSON = function(value) {
+  return JSON.stringify(value, (name, item) => {
+    if (null === item || 'object' !== typeof item || Array.isArray(item)) {
+      return item;
+    }
+    const sorted = {};
+    for (const property of Object.keys(item).sort()) {
+      sorted[property] = item[property];
+    }
+    return sorted;
+  });
+};
+/**
+ * Equality strategies for de-duplication and set operations. Each maps an 
+ * item’s key to a value whose SameValueZero equality, as used by 
+ * {@link Set} and {@link Map}, is the equality of the strategy.
+ * 
+ * @private
+ */
+const EQUALITIES = {
+  sameValueZero: key => key,
+  json: Iterant.canonicalJSON
+};
+/**
+ * Builds the function that determines the identity of items from the `key` 
+ * and `equality` options of de-duplication and set operations.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Object} [options]
+ * @param {function} [options.key] - Gets the key to compare an item by, defaults to the item itself
+ * @param {string} [options.equality='sameValueZero'] - `sameValueZero` or `json`
+ * @returns {function} - Gets the identity of an item
+ * @throws {TypeError}
+ */
+Iterant.identity = function(options) {
+  options = options || {};
+  const key = options.key, equality = options.equality || 'sameValueZero';
+  if (undefined !== key && 'function' !== typeof key) {
+    throw new TypeError('key must be a function');
+  }
+  if (!Object.prototype.hasOwnProperty.call(EQUALITIES, equality)) {
+    throw new TypeError('equality must be one of ' + Object.keys(EQUALITIES).join(', '));
+  }
+  const normalize = EQUALITIES[equality];
+  return key ? item => normalize(key(item)) : normalize;
+};
+/**
+ * Yields the first item with each identity.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterable} iterable
+ * @param {function} identity - See {@link Iterant.identity}
+ * @param {Set} [seen] - Identities to leave out, updated as items are yielded
+ * @returns {Iterable}
+ */
+Iterant.distinct = function*(iterable, identity, seen) {
+  seen = seen || new Set();
+  for (const item of iterable) {
+    const id = identity(item);
+    if (!seen.has(id)) {
+      seen.add(id);
+      yield item;
+    }
+  }
+};
+/**
+ * Yields items whose identity differs from the previous item’s.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterable} iterable
+ * @param {function} identity - See {@link Iterant.identity}
+ * @returns {Iterable}
+ */
+Iterant.distinctUntilChanged = function*(iterable, identity) {
+  let first = true, previous;
+  for (const item of iterable) {
+    const id = identity(item);
+    if (first || !Iterant.sameValueZero(id, previous)) {
+      yield item;
+    }
+    first = false;
+    previous = id;
+  }
+};
+/**
+ * The identities of all of the items of an iterable.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterable} iterable
+ * @param {function} identity - See {@link Iterant.identity}
+ * @returns {Set}
+ */
+Iterant.identities = function(iterable, identity) {
+  const ids = new Set();
+  for (const item of iterable) {
+    ids.add(identity(item));
+  }
+  return ids;
+};
+/**
+ * Distinct items from `left`, then those from `right` not in `left`.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterable} left
+ * @param {Iterable} right
+ * @param {function} identity - See {@link Iterant.identity}
+ * @returns {Iterable}
+ */
+Iterant.union = function*(left, right, identity) {
+  const seen = new Set();
+  yield* Iterant.distinct(left, identity, seen);
+  yield* Iterant.distinct(right, identity, seen);
+};
+/**
+ * Distinct items from `left` that are also in `right`. `right` is read in 
+ * full before the first item is yielded.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterable} left
+ * @param {Iterable} right
+ * @param {function} identity - See {@link Iterant.identity}
+ * @returns {Iterable}
+ */
+Iterant.intersect = function*(left, right, identity) {
+  const ids = Iterant.identities(right, identity);
+  yield* Iterant.distinct(
+    Iterant.filter(left, item => ids.has(identity(item))),
+    identity
+  );
+};
+/**
+ * Distinct items from `left` that aren’t in `right`. `right` is read in full 
+ * before the first item is yielded.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterable} left
+ * @param {Iterable} right
+ * @param {function} identity - See {@link Iterant.identity}
+ * @returns {Iterable}
+ */
+Iterant.difference = function*(left, right, identity) {
+  yield* Iterant.distinct(left, identity, Iterant.identities(right, identity));
+};
+/**
+ * Distinct items from `left` that aren’t in `right`, then those from `right` 
+ * that aren’t in `left`. `right` is buffered before the first item is yielded.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterable} left
+ * @param {Iterable} right
+ * @param {function} identity - See {@link Iterant.identity}
+ * @returns {Iterable}
+ */
+Iterant.symmetricDifference = function*(left, right, identity) {
+  const rights = Array.from(right), leftIds = new Set();
+  const rightIds = Iterant.identities(rights, identity);
+  for (const item of left) {
+    const id = identity(item);
+    if (!rightIds.has(id) && !leftIds.has(id)) {
+      yield item;
+    }
+    leftIds.add(id);
+  }
+  yield* Iterant.distinct(rights, identity, leftIds);
+};
+/**
+ * Returned from a callback, or from a {@link Iterant#catchError} handler, to 
+ * leave the item out, as if a predicate had rejected it. {@link Iterant#reduce} 
+ * keeps the previous accumulator. It only has this meaning once an error 
+ * policy is set, with {@link Iterant#onError}, {@link Iterant#catchError} or 
+ * {@link Iterant#retry}. Otherwise, it’s a value like any other.
+ * 
+ * @example
+ * Iterant(docs)
+ *   .catchError(error => Iterant.SKIP)
+ *   .map(doc => JSON.parse(doc));
+ * 
+ * @memberof Iterant
+ * @type {Symbol}
+ */
+Iterant.SKIP = Symbol('Iterant.SKIP');
+/**
+ * Leaves out {@link Iterant.SKIP}, which a guarded callback returns for a 
+ * failure that the error policy skips.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterable} iterable
+ * @returns {Iterable}
+ */
+Iterant.unskipped = function*(iterable) {
+  for (const item of iterable) {
+    if (Iterant.SKIP !== item) {
+      yield item;
+    }
+  }
+};
+/**
+ * Error policy modes.
+ * 
+ * @private
+ */
+const ERROR_MODES = ['throw', 'skip', 'collect'];
+/**
+ * Sleeps the request for `ms` milliseconds with 
+ * {@link https://docs.marklogic.com/xdmp.sleep xdmp.sleep()} in MarkLogic. 
+ * Elsewhere, it does nothing, rather than block the event loop.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {number} ms
+ */
+Iterant.sleep = function(ms) {
+  if (!(ms > 0)) {
+    return;
+  }
+  if ('undefined' !== typeof xdmp) {
+    xdmp.sleep(ms);
+  }
+};
+/**
+ * The delay before a retry. A number is the delay before the first retry, 
+ * doubled for each one after. A function is called with the number of the 
+ * retry, starting at 1, and the error, and returns the delay.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {number|function} [backoff] - Milliseconds
+ * @param {number} attempt - 1 for the first retry
+ * @param {*} error - The error that caused the retry
+ * @returns {number} - Milliseconds
+ */
+Iterant.backoff = function(backoff, attempt, error) {
+  if ('function' === typeof backoff) {
+    return backoff(attempt, error);
+  }
+  return (backoff || 0) * Math.pow(2, attempt - 1);
+};
+/**
+ * Applies an error policy to an {@link IterantError}: throws it, collects it, 
+ * or hands it to the policy’s handler. Otherwise the item is skipped.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Object} policy
+ * @param {IterantError} error
+ * @returns {*} - The callback’s substitute result, or {@link Iterant.SKIP}
+ * @throws {IterantError}
+ */
+Iterant.fail = function(policy, error) {
+  if (policy.handler) {
+    return policy.handler(error);
+  }
+  if ('collect' === policy.mode) {
+    policy.errors.push(error);
+  } else if ('skip' !== policy.mode) {
+    throw error;
+  }
+  return Iterant.SKIP;
+};
+/**
+ * Wraps an operator’s callback so that its failures are retried, and then 
+ * wrapped in an {@link IterantError} and handled according to the 
+ * {@link Iterant} instance’s error policy.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterant} iterant - The instance whose policy to apply
+ * @param {function} fct - The callback. Anything else is returned as-is, for the operator to reject.
+ * @param {Object} options
+ * @param {string} options.operator - The name of the operator, for {@link IterantError#operator}
+ * @param {*} [options.that] - `this` binding of `fct`
+ * @returns {function}
+ */
+Iterant.guard = function(iterant, fct, options) {
+  if ('function' !== typeof fct) {
+    return fct;
+  }
+  const operator = options.operator, that = options.that;
+  const policy = iterant._policy || {mode: 'throw'};
+  const position = 'reduce' === operator ? 1 : 0;
+  let index = 0;
+  return function(...args) {
+    const item = args[position], at = index++;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return fct.apply(that || null, args);
+      } catch (cause) {
+        if (attempt > (policy.retries || 0)) {
+          return Iterant.fail(policy, new IterantError(cause, {
+            item,
+            index: at,
+            operator
+          }));
+        }
+        Iterant.sleep(Iterant.backoff(policy.backoff, attempt, cause));
+      }
+    }
+  };
+};
+/**
+ * Guards the predicate of a query, like {@link Iterant#find}, that stops at 
+ * the first item that matches, or, with `options.fails`, at the first one 
+ * that doesn’t. An item whose failure the error policy skips or collects 
+ * does neither.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterant} iterant - The instance whose policy to apply
+ * @param {function} predicate
+ * @param {Object} options - The options of {@link Iterant.guard}
+ * @param {boolean} [options.fails=false] - Whether to stop where `predicate` returns a falsy value
+ * @returns {function} - Whether to stop at an item
+ * @throws {TypeError} - If `predicate` isn’t a function
+ */
+Iterant.stopsAt = function(iterant, predicate, options) {
+  if ('function' !== typeof predicate) {
+    throw new TypeError('predicate must be a function');
+  }
+  const guarded = Iterant.guard(iterant, predicate, options);
+  return (...args) => {
+    const result = guarded(...args);
+    return Iterant.SKIP !== result && Boolean(options.fails) !== Boolean(result);
+  };
+};
+/**
+ * A copy of an {@link Iterant} with changes to its error policy.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterant} iterant
+ * @param {Object} changes
+ * @returns {Iterant}
+ */
+Iterant.withPolicy = function(iterant, changes) {
+  const policy = Object.assign({}, iterant._policy, changes);
+  return Iterant.setPolicy(Iterant.species(iterant, iterant._iterable), policy);
+};
+/**
+ * Calls a function with each item and its index for its side effects, and 
+ * yields the item unchanged.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterable} iterable
+ * @param {function} fct
+ * @param {*} [that] - `this` binding of `fct`
+ * @returns {Iterable}
+ */
+Iterant.tap = function*(iterable, fct, that) {
+  let index = 0;
+  for (const item of iterable) {
+    if (Iterant.SKIP !== fct.call(that || null, item, index++)) {
+      yield item;
+    }
+  }
+};
+/**
+ * The current time in milliseconds, with sub-millisecond precision where 
+ * `performance.now()` is available.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @returns {number}
+ */
+Iterant.now = function() {
+  if ('undefined' !== typeof performance && 'function' === typeof performance.now) {
+    return performance.now();
+  }
+  return Date.now();
+};
+/**
+ * Yields the items of an iterable, counting them and timing each pull 
+ * against an instrumentation stage.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterable} iterable
+ * @param {Object} stage
+ * @returns {Iterable}
+ */
+Iterant.counted = function*(iterable, stage) {
+  const iterator = iterable[Symbol.iterator]();
+  try {
+    for (;;) {
+      const start = Iterant.now();
+      const step = iterator.next();
+      stage.wallTime += Iterant.now() - start;
+      if (step.done) {
+        return;
+      }
+      stage.itemsOut++;
+      yield step.value;
+    }
+  } finally {
+    Iterant.close(iterator);
+  }
+};
+/**
+ * Wraps a callback to add the time spent in it to an instrumentation stage.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {function} fct
+ * @param {Object} stage
+ * @param {*} [that] - `this` binding of `fct`
+ * @returns {function}
+ */
+Iterant.timed = function(fct, stage, that) {
+  return (...args) => {
+    const start = Iterant.now();
+    try {
+      return fct.apply(that || null, args);
+    } finally {
+      stage.calls++;
+      stage.callbackTime += Iterant.now() - start;
+    }
+  };
+};
+/**
+ * Formats an instrumentation report as one line per stage.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Object} report - See {@link Iterant#stats}
+ * @returns {string}
+ */
+Iterant.formatStats = function(report) {
+  function count(value) {
+    return undefined === value ? '?' : String(value);
+  }
+  return report.stages
+    .map(stage => stage.operator + ': ' + count(stage.itemsIn) + ' in, ' + 
+      count(stage.itemsOut) + ' out, ' + stage.callbackTime.toFixed(3) + 
+      ' ms in ' + String(stage.calls) + ' callbacks, ' + 
+      stage.wallTime.toFixed(3) + ' ms wall')
+    .join('\n');
+};
+/**
+ * Builds the report of an instrumentation recorder.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Object} recorder
+ * @returns {Object} - See {@link Iterant#stats}
+ */
+Iterant.report = function(recorder) {
+  return {
+    stages: recorder.stages.map(stage => ({
+      operator: stage.operator,
+      itemsIn: stage.input ? stage.input.itemsOut : undefined,
+      itemsOut: stage.itemsOut,
+      calls: stage.calls,
+      callbackTime: stage.callbackTime,
+      wallTime: stage.wallTime
+    }))
+  };
+};
+/**
+ * Hooks that emit an instrumentation report, by name.
+ * 
+ * @private
+ */
+const STATS_HOOKS = {
+  'xdmp.log': (report, text) => xdmp.log(text),
+  console: (report, text) => console.log(text)
+};
+/**
+ * The operators whose second argument is the `this` binding of the callback 
+ * before it, like {@link Iterant#map}’s `that`.
+ * 
+ * @private
+ */
+const RECEIVERS = new Set([
+  'map', 'filter', 'flatMap', 'find', 'findIndex', 'some', 'every', 
+  'groupBy', 'countBy', 'partition', 'tap'
+]);
+/**
+ * Wraps an {@link Iterant} in a {@link Proxy} that records a stage for each 
+ * operator called on it, and wraps the {@link Iterant} instances the 
+ * operators return in turn. The operators themselves run unchanged on the 
+ * unwrapped instance.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterant} iterant
+ * @param {Object} recorder - `{stages, hook}`
+ * @param {Object} stage - The stage that produced `iterant`
+ * @returns {Iterant}
+ */
+Iterant.instrumented = function(iterant, recorder, stage) {
+  function record(operator, args) {
+    const next = {
+      operator,
+      input: stage,
+      itemsOut: undefined,
+      calls: 0,
+      callbackTime: 0,
+      wallTime: 0
+    };
+    recorder.stages.push(next);
+    const that = RECEIVERS.has(operator) ? args[1] : undefined;
+    const start = Iterant.now();
+    const result = iterant[operator](
+      ...args.map(arg => 'function' === typeof arg ? Iterant.timed(arg, next, that) : arg)
+    );
+    next.wallTime += Iterant.now() - start;
+    if (!(result instanceof Iterant)) {
+      if (recorder.hook) {
+        const report = Iterant.report(recorder);
+        recorder.hook(report, Iterant.formatStats(report));
+      }
+      return result;
+    }
+    if (result._deferred || Iterant.isReplayable(result)) {
+      next.itemsOut = Iterant.knownSize(result);
+    } else {
+      next.itemsOut = 0;
+      result._iterable = Iterant.counted(result._iterable, next);
+    }
+    return Iterant.instrumented(result, recorder, next);
+  }
+  return new Proxy(iterant, {
+    get(target, name) {
+      const value = target[name];
+      if ('stats' === name) {
+        return () => Iterant.report(recorder);
+      }
+      const passThrough = 'string' !== typeof name || name in Object.prototype;
+      if ('function' !== typeof value || passThrough || 'instrument' === name) {
+        return value;
+      }
+      return (...args) => record(name, args);
+    }
+  });
+};
+/**
+ * The default comparator of {@link Iterant#sort}, like {@link Array#sort}’s: 
+ * converts both values to strings and compares code points.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {*} a
+ * @param {*} b
+ * @returns {number}
+ */
+Iterant.defaultComparator = function(a, b) {
+  a = String(a), b = String(b);
+  if (a === b) {
+    return 0;
+  }
+  if (a < b) {
+    return -1;
+  }
+  return 1;
+};
+/**
+ * A binary heap whose top is the greatest entry according to `compare`. 
+ * Reverse `compare` for the least.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {function} compare
+ * @returns {{items: Array, push: function, pop: function, replaceTop: function}}
+ */
+Iterant.heap = function(compare) {
+  const items = [];
+  function swap(i, j) {
+    const entry = items[i];
+    items[i] = items[j];
+    items[j] = entry;
+  }
+  function siftUp(i) {
+    while (i > 0) {
+      const parent = Math.floor((i - 1) / 2);
+      if (compare(items[i], items[parent]) <= 0) {
+        return;
+      }
+      swap(i, parent);
+      i = parent;
+    }
+  }
+  function siftDown(i) {
+    for (;;) {
+      const right = 2 * (i + 1), left = right - 1;
+      let largest = i;
+      if (left < items.length && compare(items[left], items[largest]) > 0) {
+        largest = left;
+      }
+      if (right < items.length && compare(items[right], items[largest]) > 0) {
+        largest = right;
+      }
+      if (largest === i) {
+        return;
+      }
+      swap(i, largest);
+      i = largest;
+    }
+  }
+  return {
+    items,
+    push(entry) {
+      items.push(entry);
+      siftUp(items.length - 1);
+    },
+    replaceTop(entry) {
+      items[0] = entry;
+      siftDown(0);
+    },
+    pop() {
+      const top = items[0], last = items.pop();
+      if (items.length > 0) {
+        this.replaceTop(last);
+      }
+      return top;
+    }
+  };
+};
+/**
+ * The `k` smallest items of an iterable, sorted, in one pass with a bounded 
+ * max-heap: O(n log k) time and O(k) memory. Equal items keep their order, 
+ * as with a stable sort, so the result is the same as sorting everything 
+ * and taking the first `k`.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterable} iterable
+ * @param {number} k - A non-negative integer
+ * @param {function} comparator
+ * @returns {Array}
+ */
+Iterant.smallest = function(iterable, k, comparator) {
+  if (0 === k) {
+    return [];
+  }
+  function compare(a, b) {
+    return comparator(a.item, b.item) || a.index - b.index;
+  }
+  const heap = Iterant.heap(compare);
+  let index = 0;
+  for (const item of iterable) {
+    const entry = {
+      item,
+      index: index++
+    };
+    if (heap.items.length < k) {
+      heap.push(entry);
+    } else if (compare(entry, heap.items[0]) < 0) {
+      heap.replaceTop(entry);
+    }
+  }
+  return heap.items.sort(compare).map(entry => entry.item);
+};
+/**
+ * Validates the `k` of {@link Iterant#topK} and {@link Iterant#bottomK}.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {number} k
+ * @param {function} [comparator]
+ * @returns {function} - The comparator or the default
+ * @throws {TypeError}
+ */
+Iterant.assertTopK = function(k, comparator) {
+  if (0 !== k) {
+    Iterant.assertPositiveInteger(k, 'k');
+  }
+  if (undefined !== comparator && 'function' !== typeof comparator) {
+    throw new TypeError('comparator must be a function');
+  }
+  return comparator || Iterant.defaultComparator;
+};
+/**
+ * A run store for {@link Iterant#externalSort} that keeps runs in memory. 
+ * It’s the default. It’s useful where the sort itself, rather than the 
+ * items, is the problem, and for testing adapters.
+ * 
+ * A run store is an object with:
+ * 
+ * - `write(items)`, which stores an {@link Iterable} of sorted items and 
+ *   returns a handle, such as a URI or a file name. It’s an {@link Array} 
+ *   for the first runs, and a lazy merge of earlier runs when there are 
+ *   more than `fanIn` of them, so read it once, ideally without 
+ *   collecting it.
+ * - `read(handle)`, which returns an {@link Iterable} of the items in the 
+ *   order they were written, ideally reading them lazily
+ * - `remove(handle)`, optional, which deletes a run once it’s been merged
+ * - `close()`, optional, which is called when the sort is finished
+ * 
+ * @example
+ * // Runs as MarkLogic temporary documents, written in separate transactions 
+ * // so that they’re visible to the query that merges them
+ * const store = {
+ *   write(items) {
+ *     const uri = '/tmp/sort/' + sem.uuidString() + '.json';
+ *     const run = Array.from(items);
+ *     xdmp.invokeFunction(() => xdmp.documentInsert(uri, run), {update: 'true'});
+ *     return uri;
+ *   },
+ *   read(uri) {
+ *     return cts.doc(uri).toObject();
+ *   },
+ *   remove(uri) {
+ *     xdmp.invokeFunction(() => xdmp.documentDelete(uri), {update: 'true'});
+ *   }
+ * };
+ * 
+ * @memberof Iterant
+ * 
+ * @returns {Object} - A run store
+ */
+Iterant.memoryStore = function() {
+  const runs = new Map();
+  let count = 0;
+  return {
+    write(items) {
+      runs.set(count, Array.from(items));
+      return count++;
+    },
+    read(handle) {
+      return runs.get(handle);
+    },
+    remove(handle) {
+      runs.delete(handle);
+    }
+  };
+};
+/**
+ * Validates a run store.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Object} store
+ * @throws {TypeError}
+ */
+Iterant.assertStore = function(store) {
+  if (!store || 'function' !== typeof store.write || 'function' !== typeof store.read) {
+    throw new TypeError('store must have write and read functions');
+  }
+  for (const name of ['remove', 'close']) {
+    if (undefined !== store[name] && 'function' !== typeof store[name]) {
+      throw new TypeError('store.' + name + ' must be a function');
+    }
+  }
+};
+/**
+ * Merges sorted iterables into one sorted sequence, with a heap of the 
+ * current item of each. Equal items come from the earlier iterable first.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Array<Iterable>} iterables - Each sorted
+ * @param {function} comparator
+ * @returns {Iterable}
+ */
+Iterant.merge = function*(iterables, comparator) {
+  const iterators = iterables.map(iterable => iterable[Symbol.iterator]());
+  const heap = Iterant.heap(
+    (a, b) => comparator(b.value, a.value) || b.index - a.index
+  );
+  try {
+    iterators.forEach((iterator, index) => {
+      const step = iterator.next();
+      if (!step.done) {
+        heap.push({
+          value: step.value,
+          index
+        });
+      }
+    });
+    while (heap.items.length > 0) {
+      const top = heap.items[0];
+      yield top.value;
+      const step = iterators[top.index].next();
+      if (step.done) {
+        heap.pop();
+      } else {
+        heap.replaceTop({
+          value: step.value,
+          index: top.index
+        });
+      }
+    }
+  } finally {
+    iterators.forEach(Iterant.close);
+  }
+};
+/**
+ * Sorts `runSize` items at a time, writes each sorted run to a store, and 
+ * merges the runs back. If everything fits in one run, it isn’t written. 
+ * While there are more than `fanIn` runs, consecutive groups of `fanIn` 
+ * are merged into longer runs, in passes, so that no more than `fanIn` 
+ * runs are ever read at once. Groups keep their order, so the sort stays 
+ * stable.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterable} iterable
+ * @param {function} comparator
+ * @param {Object} options - `runSize`, `fanIn` and `store`
+ * @returns {Iterable}
+ */
+Iterant.externalSort = function*(iterable, comparator, options) {
+  const store = options.store, live = new Set();
+  function write(items) {
+    const handle = store.write(items);
+    live.add(handle);
+    return handle;
+  }
+  function remove(handle) {
+    live.delete(handle);
+    if (store.remove) {
+      store.remove(handle);
+    }
+  }
+  function merge(handles) {
+    return Iterant.merge(handles.map(handle => store.read(handle)), comparator);
+  }
+  try {
+    let handles = [];
+    for (const run of Iterant.chunk(iterable, options.runSize)) {
+      run.sort(comparator);
+      if (0 === handles.length && run.length < options.runSize) {
+        // Everything fit in one run
+        yield* run;
+        return;
+      }
+      handles.push(write(run));
+    }
+    while (handles.length > options.fanIn) {
+      const merged = [];
+      for (let i = 0; i < handles.length; i += options.fanIn) {
+        const group = handles.slice(i, i + options.fanIn);
+        if (1 === group.length) {
+          merged.push(group[0]);
+        } else {
+          merged.push(write(merge(group)));
+          group.forEach(remove);
+        }
+      }
+      handles = merged;
+    }
+    yield* merge(handles);
+  } finally {
+    Array.from(live).forEach(remove);
+    if (store.close) {
+      store.close();
+    }
+  }
+};
+/**
+ * Sorts a copy of an {@link Array}, keeping equal items in their original 
+ * order even where {@link Array#sort} isn’t stable.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Array} array
+ * @param {function} comparator
+ * @returns {Array}
+ */
+Iterant.stableSort = function(array, comparator) {
+  return array
+    .map((item, index) => ({
+      item,
+      index
+    }))
+    .sort((a, b) => comparator(a.item, b.item) || a.index - b.index)
+    .map(entry => entry.item);
+};
+/**
+ * Compiles a dot-separated property path, like `address.city` or 
+ * `tags.0`, into a function that gets it from an item. Missing 
+ * properties along the way give `undefined`.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {string} path
+ * @returns {function}
+ */
+Iterant.property = function(path) {
+  const names = path.split('.');
+  return item => names.reduce(
+    (value, name) => null === value || undefined === value ? undefined : value[name],
+    item
+  );
+};
+/**
+ * The order of types when `auto` mode compares keys of different types.
+ * 
+ * @private
+ */
+const TYPE_ORDER = ['boolean', 'number', 'string'];
+/**
+ * Where a key’s type goes in the order of {@link TYPE_ORDER}, with any 
+ * other type last.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {*} value
+ * @returns {number}
+ */
+Iterant.typeRank = function(value) {
+  const index = TYPE_ORDER.indexOf(typeof value);
+  return -1 === index ? TYPE_ORDER.length : index;
+};
+/**
+ * Compares two sort keys that aren’t missing, ascending, according to a mode.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Object} key - A normalized key spec, with `mode` and `collator`
+ * @param {*} a
+ * @param {*} b
+ * @returns {number}
+ */
+Iterant.compareBy = function(key, a, b) {
+  if ('numeric' === key.mode) {
+    return Number(a) - Number(b);
+  }
+  const strings = 'string' === typeof a && 'string' === typeof b;
+  if ('string' === key.mode || strings) {
+    return key.collator(String(a), String(b));
+  }
+  if (typeof a !== typeof b) {
+    return Iterant.typeRank(a) - Iterant.typeRank(b);
+  }
+  return Iterant.compareKeys(a, b);
+};
+/**
+ * Whether a sort key counts as missing, for `nulls` placement.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {*} value
+ * @param {string} mode
+ * @returns {boolean}
+ */
+Iterant.isNullKey = function(value, mode) {
+  if (null === value || undefined === value || Number.isNaN(value)) {
+    return true;
+  }
+  return 'numeric' === mode && Number.isNaN(Number(value));
+};
+/**
+ * Validates and normalizes one key of a {@link Iterant.comparator} spec.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {string|function|Object} spec
+ * @returns {Object} - `{get, order, nulls, mode, collator}`
+ * @throws {TypeError}
+ */
+Iterant.sortKey = function(spec) {
+  if ('string' === typeof spec || 'function' === typeof spec) {
+    spec = {key: spec};
+  }
+  const kind = spec ? typeof spec.key : undefined;
+  if ('string' !== kind && 'function' !== kind) {
+    throw new TypeError('key must be a property path or a function');
+  }
+  const key = Object.assign({
+    order: 'asc',
+    nulls: 'last',
+    mode: 'auto'
+  }, spec);
+  if (-1 === ['asc', 'desc'].indexOf(key.order)) {
+    throw new TypeError('order must be asc or desc');
+  }
+  if (-1 === ['first', 'last'].indexOf(key.nulls)) {
+    throw new TypeError('nulls must be first or last');
+  }
+  if (-1 === ['auto', 'numeric', 'string'].indexOf(key.mode)) {
+    throw new TypeError('mode must be auto, numeric or string');
+  }
+  let collator = Iterant.compareKeys;
+  if (undefined !== key.locale || undefined !== key.collation) {
+    collator = new Intl.Collator(key.locale, key.collation).compare;
+  }
+  return {
+    get: 'string' === typeof key.key ? Iterant.property(key.key) : key.key,
+    direction: 'asc' === key.order ? 1 : -1,
+    nulls: 'first' === key.nulls ? -1 : 1,
+    mode: key.mode,
+    collator
+  };
+};
+/**
+ * Builds a comparator from a declarative spec, for {@link Iterant#sortBy}, 
+ * or for {@link Iterant#sort}, {@link Iterant#topK} and 
+ * {@link Iterant#externalSort}. A spec is a key or an {@link Array} of keys, 
+ * compared in turn until one differs. A key is a property path, a function 
+ * that gets the key from an item, or an object with:
+ * 
+ * - `key`, the property path or function
+ * - `order`, `asc`, the default, or `desc`
+ * - `nulls`, `last`, the default, or `first`: where `null`, `undefined` and 
+ *   `NaN` keys go, regardless of `order`
+ * - `mode`: `auto`, the default, compares numbers as numbers and strings as 
+ *   strings, `numeric` converts keys to numbers, and `string` to strings
+ * - `locale` and `collation`: compare strings with an {@link Intl.Collator} 
+ *   with these locales and options, rather than by code points
+ * 
+ * Objects, such as dates, are compared by their `valueOf()`.
+ * 
+ * @example
+ * Iterant.comparator([
+ *   {key: 'lastName', locale: 'de', collation: {sensitivity: 'base'}},
+ *   {key: person => person.age, order: 'desc', nulls: 'first'}
+ * ]);
+ * 
+ * @memberof Iterant
+ * 
+ * @param {string|function|Object|Array} spec
+ * @returns {function} - A comparator
+ * @throws {TypeError} - For an invalid spec
+ */
+Iterant.comparator = function(spec) {
+  const keys = (Array.isArray(spec) ? spec : [spec]).map(Iterant.sortKey);
+  if (0 === keys.length) {
+    throw new TypeError('spec must have at least one key');
+  }
+  function normalize(value) {
+    return null !== value && 'object' === typeof value ? value.valueOf() : value;
+  }
+  return (a, b) => {
+    for (const key of keys) {
+      const x = normalize(key.get(a)), y = normalize(key.get(b));
+      const xNull = Iterant.isNullKey(x, key.mode), yNull = Iterant.isNullKey(y, key.mode);
+      let order = 0;
+      if (xNull || yNull) {
+        order = (Number(xNull) - Number(yNull)) * key.nulls;
+      } else {
+        order = Iterant.compareBy(key, x, y) * key.direction;
+      }
+      if (0 !== order) {
+        return order;
+      }
+    }
+    return 0;
+  };
+};
+/**
+ * Wraps a generator function in an iterable that calls it afresh for each 
+ * iteration, so that it can be replayed.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {GeneratorFunction} gen
+ * @returns {Iterable}
+ */
+Iterant.replayable = function(gen) {
+  return {
+    [Symbol.iterator]() {
+      return gen();
+    }
+  };
+};
+/**
+ * A lazy arithmetic progression from `start`, up to but not including 
+ * `end`, by `step`. With one argument, it’s the `end`, starting from `0`. 
+ * With none, it counts up from `0` forever. The {@link IterantRange} 
+ * computes `slice`, `at`, `count` and membership without iterating.
+ * 
+ * @example
+ * Iterant.range(5);              // 0, 1, 2, 3, 4
+ * Iterant.range(10, 0, -3);      // 10, 7, 4, 1
+ * Iterant.range().slice(10, 13); // 10, 11, 12
+ * 
+ * @memberof Iterant
+ * 
+ * @param {number} [start=0]
+ * @param {number} [end=Infinity] - Not included. May be `Infinity` or `-Infinity`.
+ * @param {number} [step] - Not `0`. Defaults to `1`, or `-1` if `end` is less than `start`.
+ * @returns {IterantRange}
+ * @throws {TypeError} - For non-numeric or non-finite arguments, or a step of `0`
+ */
+Iterant.range = function(start, end, step) {
+  if (undefined === end) {
+    end = undefined === start ? Infinity : start;
+    start = 0;
+  }
+  if (!Number.isFinite(start) || 'number' !== typeof end || Number.isNaN(end)) {
+    throw new TypeError('start must be a finite number and end a number');
+  }
+  if (undefined === step) {
+    step = end < start ? -1 : 1;
+  }
+  if (!Number.isFinite(step) || 0 === step) {
+    throw new TypeError('step must be a finite number other than 0');
+  }
+  return IterantRange.from(start, end, step);
+};
+/**
+ * Repeats a value `count` times, or forever, in a lazy {@link IterantRepeat}
+ * that knows its count and items without iterating or allocating them.
+ * 
+ * @example
+ * Iterant.repeat('-', 3); // '-', '-', '-'
+ * 
+ * @memberof Iterant
+ * 
+ * @param {*} value
+ * @param {number} [count=Infinity] - A non-negative integer or `Infinity`
+ * @returns {IterantRepeat}
+ * @throws {TypeError} - For an invalid count
+ */
+Iterant.repeat = function(value, count) {
+  count = undefined === count ? Infinity : count;
+  if (0 !== count && Infinity !== count) {
+    Iterant.assertPositiveInteger(count, 'count');
+  }
+  return IterantRepeat.from(value, count);
+};
+/**
+ * The infinite sequence `seed`, `fct(seed)`, `fct(fct(seed))`, and so on. 
+ * Use `slice`, or a short-circuiting operator, to stop.
+ * 
+ * @example
+ * Iterant.iterate(1, n => n * 2).slice(0, 5); // 1, 2, 4, 8, 16
+ * 
+ * @memberof Iterant
+ * 
+ * @param {*} seed - The first item
+ * @param {function} fct - Gets the next item from the previous one
+ * @returns {Iterant}
+ * @throws {TypeError} - If `fct` isn’t a function
+ */
+Iterant.iterate = function(seed, fct) {
+  if ('function' !== typeof fct) {
+    throw new TypeError('fct must be a function');
+  }
+  return Iterant(Iterant.replayable(function*() {
+    for (let value = seed; ; value = fct(value)) {
+      yield value;
+    }
+  }));
+};
+/**
+ * Builds a sequence from a state. `fct` is called with the state and 
+ * returns `[item, nextState]`, or `null` or `undefined` to stop.
+ * 
+ * @example
+ * // Fibonacci numbers under 100
+ * Iterant.unfold([0, 1], pair => pair[0] < 100 ? [pair[0], [pair[1], pair[0] + pair[1]]] : null);
+ * 
+ * // Pages of search results
+ * Iterant.unfold(1, start => {
+ *   const page = fn.subsequence(cts.search(query), start, 100);
+ *   return fn.empty(page) ? null : [page, start + 100];
+ * });
+ * 
+ * @memberof Iterant
+ * 
+ * @param {*} seed - The initial state
+ * @param {function} fct - Called with the state
+ * @returns {Iterant}
+ * @throws {TypeError} - If `fct` isn’t a function, or while iterating, if it returns something other than a pair
+ */
+Iterant.unfold = function(seed, fct) {
+  if ('function' !== typeof fct) {
+    throw new TypeError('fct must be a function');
+  }
+  return Iterant(Iterant.replayable(function*() {
+    for (let state = seed; ;) {
+      const next = fct(state);
+      if (null === next || undefined === next) {
+        return;
+      }
+      if (!Array.isArray(next) || 2 !== next.length) {
+        throw new TypeError('fct must return [item, nextState], null or undefined');
+      }
+      yield next[0];
+      state = next[1];
+    }
+  }));
+};
+/**
+ * Calls a function for each item, forever, with the index. Each iteration 
+ * starts again from index `0`.
+ * 
+ * @example
+ * Iterant.generate(() => xdmp.random(100)).slice(0, 10);
+ * 
+ * @memberof Iterant
+ * 
+ * @param {function} fct - Called with the index
+ * @returns {Iterant}
+ * @throws {TypeError} - If `fct` isn’t a function
+ */
+Iterant.generate = function(fct) {
+  if ('function' !== typeof fct) {
+    throw new TypeError('fct must be a function');
+  }
+  return Iterant(Iterant.replayable(function*() {
+    for (let index = 0; ; index++) {
+      yield fct(index);
+    }
+  }));
+};
+/**
+ * An {@link IterantArray} of the arguments, like {@link Array.of}.
+ * 
+ * @example
+ * Iterant.of(1, 'a', [2]); // 1, 'a', [2]
+ * 
+ * @memberof Iterant
+ * 
+ * @param {...*} items
+ * @returns {IterantArray}
+ */
+Iterant.of = function(...items) {
+  return IterantArray(items);
+};
+/**
+ * An empty {@link IterantArray}.
+ * 
+ * @memberof Iterant
+ * 
+ * @returns {IterantArray}
+ */
+Iterant.empty = function() {
+  return IterantArray([]);
+};
+/**
+ * An {@link IterantMap} of an object’s own enumerable string-keyed 
+ * properties, in the order of {@link Object.keys}.
+ * 
+ * @example
+ * Iterant.fromEntries({a: 1, b: 2}).mapValues(n => n * 10).toObject(); // {a: 10, b: 20}
+ * 
+ * @memberof Iterant
+ * 
+ * @param {Object} obj
+ * @returns {IterantMap}
+ * @throws {TypeError} - If `obj` is `null` or `undefined`
+ */
+Iterant.fromEntries = function(obj) {
+  if (null === obj || undefined === obj) {
+    throw new TypeError('obj must be an object');
+  }
+  return IterantMap(new Map(Object.keys(obj).map(key => [key, obj[key]])));
+};
+/**
+ * The children of a plain object or an array, keyed by property name or 
+ * index. Other values are leaves.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {*} node
+ * @returns {Map|Array|undefined}
+ */
+Iterant.objectChildren = function(node) {
+  if (Array.isArray(node)) {
+    return node;
+  }
+  if (null === node || 'object' !== typeof node) {
+    return undefined;
+  }
+  const proto = Object.getPrototypeOf(node);
+  if (Object.prototype !== proto && null !== proto) {
+    return undefined;
+  }
+  return new Map(Object.keys(node).map(key => [key, node[key]]));
+};
+/**
+ * The `childNodes` of a MarkLogic {@link Node}, keyed by property name for 
+ * the children of a JSON object node, otherwise by index.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Node} node
+ * @returns {Map}
+ */
+Iterant.nodeChildren = function(node) {
+  const list = node.childNodes, children = new Map();
+  const named = Node.OBJECT_NODE === node.nodeType;
+  for (let i = 0; i < list.length; i++) {
+    const child = list.item(i);
+    children.set(named ? child.nodeName : i, child);
+  }
+  return children;
+};
+/**
+ * Whether a value is a MarkLogic {@link Node} or {@link Document}, without 
+ * failing outside of MarkLogic.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {*} value
+ * @returns {boolean}
+ */
+Iterant.isNode = function(value) {
+  if ('undefined' !== typeof Node && value instanceof Node) {
+    return true;
+  }
+  return 'undefined' !== typeof Document && value instanceof Document;
+};
+/**
+ * Built-in child accessors for {@link Iterant.walk}.
+ * 
+ * @private
+ */
+const WALK_CHILDREN = {
+  object: Iterant.objectChildren,
+  node: Iterant.nodeChildren,
+  auto: node => (Iterant.isNode(node) ? Iterant.nodeChildren : Iterant.objectChildren)(node)
+};
+/**
+ * Yields the entries for the children of a walked entry, skipping any child 
+ * that’s also one of its ancestors, and nothing beyond `maxDepth`.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Object} entry - `{node, path, depth, parent, up}`, where `up` is the parent entry
+ * @param {Object} walker - `{children, maxDepth}`
+ * @returns {Iterable<Object>}
+ */
+Iterant.walkChildren = function*(entry, walker) {
+  if (entry.depth >= walker.maxDepth) {
+    return;
+  }
+  const children = walker.children(entry.node, entry.depth);
+  if (null === children || undefined === children) {
+    return;
+  }
+  if (!Iterant.isIterable(children, true)) {
+    throw new TypeError('children must return an iterable, null or undefined');
+  }
+  const entries = children instanceof Map ? children : Iterant.zip(Iterant.range(), children);
+  for (const pair of entries) {
+    const child = pair[1];
+    let cycle = false;
+    for (let up = entry; up && !cycle; up = up.up) {
+      cycle = 'object' === typeof child && null !== child && up.node === child;
+    }
+    if (!cycle) {
+      yield {
+        node: child,
+        path: entry.path.concat([pair[0]]),
+        depth: entry.depth + 1,
+        parent: entry.node,
+        up: entry
+      };
+    }
+  }
+};
+/**
+ * The public record of a walked entry, without the link to its parent entry.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Object} entry
+ * @returns {Object} - `{node, path, depth, parent}`
+ */
+Iterant.walkRecord = function(entry) {
+  return {
+    node: entry.node,
+    path: entry.path,
+    depth: entry.depth,
+    parent: entry.parent
+  };
+};
+/**
+ * Traversal orders for {@link Iterant.walk}. Each yields the records of an 
+ * entry and its descendants.
+ * 
+ * @private
+ */
+const WALK_ORDERS = {
+  pre: function* pre(entry, walker) {
+    yield Iterant.walkRecord(entry);
+    for (const child of Iterant.walkChildren(entry, walker)) {
+      yield* pre(child, walker);
+    }
+  },
+  post: function* post(entry, walker) {
+    for (const child of Iterant.walkChildren(entry, walker)) {
+      yield* post(child, walker);
+    }
+    yield Iterant.walkRecord(entry);
+  },
+  bfs: function*(entry, walker) {
+    let level = [entry];
+    while (level.length > 0) {
+      const next = [];
+      for (const current of level) {
+        yield Iterant.walkRecord(current);
+        next.push(...Iterant.walkChildren(current, walker));
+      }
+      level = next;
+    }
+  }
+};
+/**
+ * Walks a tree, or a graph, from its `root`, yielding a record for each 
+ * node: `{node, path, depth, parent}`. `path` is the array of keys from the 
+ * root, property names or indexes, and `depth` its length. The root’s 
+ * `parent` is `undefined`.
+ * 
+ * Children come from `children`, either a function or the name of a 
+ * built-in accessor:
+ *   * **`'object'`** Arrays and plain objects, keyed by index and property name. Everything else, 
+ *     including strings, dates and class instances, is a leaf.
+ *   * **`'node'`** A MarkLogic {@link Node}’s `childNodes`, keyed by index, or by property name for 
+ *     the children of a JSON object node
+ *   * **`'auto'`** (default) `'node'` for a {@link Node} or {@link Document}, otherwise `'object'`
+ * 
+ * A function is called with a node and its depth, and returns its children: 
+ * a `Map` of keys to children, any other iterable, keyed by index, or 
+ * `null` or `undefined` for a leaf.
+ * 
+ * A child that’s also one of its own ancestors, a back-reference, is 
+ * skipped, so that graphs with cycles don’t loop forever. A child shared by 
+ * different parents is walked under each of them.
+ * 
+ * The walk is lazy and replayable. Each iteration reads the children afresh.
+ * 
+ * @example
+ * Iterant.walk(doc.toObject())
+ *   .filter(record => 'string' === typeof record.node)
+ *   .map(record => record.path.join('.') + ': ' + record.node);
+ * 
+ * // Only the top two levels of an XML document, level by level
+ * Iterant.walk(cts.doc(uri), 'node', {order: 'bfs', maxDepth: 2});
+ * 
+ * // Any tree
+ * Iterant.walk(org, person => person.reports, {order: 'post'});
+ * 
+ * @memberof Iterant
+ * 
+ * @param {*} root - Where to start
+ * @param {function|string} [children='auto'] - Gets the children of a node, or the name of a built-in accessor
+ * @param {Object} [options]
+ * @param {string} [options.order='pre'] - `'pre'` yields each node before its descendants, 
+ * `'post'` after them, both depth-first, and `'bfs'` yields level by level, breadth-first.
+ * @param {number} [options.maxDepth=Infinity] - The depth beyond which not to descend. `0` yields only the root.
+ * @returns {Iterant} - An {@link Iterant} of records
+ * @throws {TypeError} - For an unknown order or accessor, or an invalid `maxDepth`
+ */
+Iterant.walk = function(root, children, options) {
+  children = undefined === children ? 'auto' : children;
+  options = options || {};
+  if ('function' !== typeof children) {
+    if (!Object.prototype.hasOwnProperty.call(WALK_CHILDREN, children)) {
+      throw new TypeError('children must be a function or one of ' + Object.keys(WALK_CHILDREN).join(', '));
+    }
+    children = WALK_CHILDREN[children];
+  }
+  const order = options.order || 'pre';
+  if (!Object.prototype.hasOwnProperty.call(WALK_ORDERS, order)) {
+    throw new TypeError('order must be one of ' + Object.keys(WALK_ORDERS).join(', '));
+  }
+  const maxDepth = undefined === options.maxDepth ? Infinity : options.maxDepth;
+  if (0 !== maxDepth && Infinity !== maxDepth) {
+    Iterant.assertPositiveInteger(maxDepth, 'maxDepth');
+  }
+  const walker = {
+    children,
+    maxDepth
+  };
+  return Iterant(Iterant.replayable(() => WALK_ORDERS[order]({
+    node: root,
+    path: [],
+    depth: 0,
+    parent: undefined,
+    up: undefined
+  }, walker)));
+};
+/**
+ * The lines of a string, lazily, without their `\n`, `\r\n` or `\r` line 
+ * endings. A trailing newline doesn’t make an empty last line.
+ * 
+ * @example
+ * Iterant.lines(xdmp.filesystemFile('/var/log/app.log'))
+ *   .filter(line => line.includes('ERROR'))
+ *   .slice(0, 20);
+ * 
+ * @memberof Iterant
+ * 
+ * @param {string} text
+ * @returns {IterantString}
+ * @throws {TypeError} - If `text` isn’t a string
+ */
+Iterant.lines = function(text) {
+  return IterantString(text, 'line');
+};
+/**
+ * The words of a string, lazily, without whitespace or punctuation.
+ * 
+ * @example
+ * Iterant.words('It’s a dog-eat-dog world.').count();
+ * 
+ * @memberof Iterant
+ * 
+ * @param {string} text
+ * @returns {IterantString}
+ * @throws {TypeError} - If `text` isn’t a string
+ */
+Iterant.words = function(text) {
+  return IterantString(text, 'word');
+};
+/**
+ * Splits a string lazily, like {@link String#split}, but without building 
+ * the array. Unlike {@link String#split}, groups captured by a `RegExp` 
+ * separator aren’t included.
+ * 
+ * @example
+ * Iterant.split(script, ';')
+ *   .find(statement => statement.startsWith('DROP'));
+ * 
+ * @memberof Iterant
+ * 
+ * @param {string} text
+ * @param {string|RegExp} separator
+ * @returns {IterantString}
+ * @throws {TypeError} - If `text` isn’t a string or `separator` isn’t a string or a `RegExp`
+ */
+Iterant.split = function(text, separator) {
+  if ('string' !== typeof text) {
+    throw new TypeError('text must be a string');
+  }
+  if ('string' !== typeof separator && !(separator instanceof RegExp)) {
+    throw new TypeError('separator must be a string or a RegExp');
+  }
+  return IterantString.split(text, separator);
+};
+/**
+ * Concatenates the items into a string, like {@link Array#join}.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterable} iterable
+ * @param {string} separator
+ * @returns {string}
+ */
+Iterant.concatenate = function(iterable, separator) {
+  let result = '', first = true;
+  for (const item of iterable) {
+    if (!first) {
+      result += separator;
+    }
+    result += null === item || undefined === item ? '' : String(item);
+    first = false;
+  }
+  return result;
+};
+/**
+ * Runs a normalized reducer over an iterable.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Iterable} iterable
+ * @param {{init: function, step: function, result: function}} reducer
+ * @returns {*}
+ */
+Iterant.run = function(iterable, reducer) {
+  let value = reducer.init(), index = 0;
+  for (const item of iterable) {
+    value = reducer.step(value, item, index++);
+  }
+  return reducer.result(value);
+};
+/**
+ * Gets the number to aggregate for an item, from the item itself or from 
+ * `fct`. Like SQL aggregates, `null` and `undefined` are ignored, and so 
+ * is {@link Iterant.SKIP}, which a guarded `fct` returns for a skipped failure.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {function} [fct] - Called with the item and its index
+ * @param {string} operator - For the error message
+ * @returns {function} - Returns a number, or `undefined` to ignore the item
+ * @throws {TypeError} - If `fct` isn’t a function, or, when called, for a value that isn’t a number
+ */
+Iterant.numeric = function(fct, operator) {
+  if (undefined !== fct && null !== fct && 'function' !== typeof fct) {
+    throw new TypeError('fct must be a function');
+  }
+  return (item, index) => {
+    const value = fct ? fct(item, index) : item;
+    if (null === value || undefined === value || Iterant.SKIP === value) {
+      return undefined;
+    }
+    if ('number' !== typeof value) {
+      throw new TypeError(operator + ' needs numbers, not ' + typeof value);
+    }
+    return value;
+  };
+};
+/**
+ * A mergeable sketch of a distribution, a t-digest, for approximate 
+ * quantiles in bounded memory. Values are buffered, then merged into at 
+ * most about `compression × π / 2` centroids, which are smaller, and so 
+ * more accurate, towards the tails.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {number} [compression=100]
+ * @returns {{add: function, quantile: function}}
+ * 
+ * @see https://arxiv.org/abs/1902.04023
+ */
+Iterant.digest = function(compression) {
+  compression = compression || 100;
+  const capacity = 5 * compression;
+  let centroids = [], buffer = [], min = Infinity, max = -Infinity;
+  const scale = compression / (2 * Math.PI);
+  // The largest cumulative fraction a centroid starting at q may reach, one 
+  // unit further along the scale function k(q) = δ / 2π × asin(2q - 1)
+  function limit(q) {
+    const doubled = 2 * q;
+    const k = Math.asin(doubled - 1) * scale;
+    const next = k + 1;
+    if (next >= compression / 4) {
+      return 1;
+    }
+    return (Math.sin(next / scale) + 1) / 2;
+  }
+  // Linear interpolation
+  function between(a, b, fraction) {
+    const offset = fraction * (b - a);
+    return a + offset;
+  }
+  function compress() {
+    const points = centroids
+      .concat(buffer.map(mean => ({
+        mean,
+        count: 1
+      })))
+      .sort((a, b) => a.mean - b.mean);
+    buffer = [];
+    if (0 === points.length) {
+      return;
+    }
+    const total = points.reduce((sum, point) => sum + point.count, 0);
+    const merged = [Object.assign({}, points[0])];
+    let before = 0, bound = limit(0);
+    for (const point of points.slice(1)) {
+      const current = merged[merged.length - 1];
+      if ((before + current.count + point.count) / total <= bound) {
+        current.mean += (point.mean - current.mean) * point.count / (current.count + point.count);
+        current.count += point.count;
+      } else {
+        before += current.count;
+        bound = limit(before / total);
+        merged.push(Object.assign({}, point));
+      }
+    }
+    centroids = merged;
+  }
+  return {
+    add(value) {
+      if (Number.isNaN(value)) {
+        return;
+      }
+      buffer.push(value);
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+      if (buffer.length >= capacity) {
+        compress();
+      }
+    },
+    /**
+     * Interpolates between the centroids’ means, each taken to sit at the 
+     * middle of its rank range, and the exact minimum and maximum at the ends.
+     * 
+     * @param {number} q - Between `0` and `1`
+     * @returns {number|undefined} - `undefined` if nothing was added
+     */
+    quantile(q) {
+      compress();
+      if (0 === centroids.length) {
+        return undefined;
+      }
+      const total = centroids.reduce((sum, centroid) => sum + centroid.count, 0);
+      const rank = q * total;
+      let previous = {
+        mean: min,
+        center: 0
+      }, before = 0;
+      for (const centroid of centroids) {
+        const half = centroid.count / 2;
+        const center = before + half;
+        if (rank <= center) {
+          const span = center - previous.center;
+          const fraction = 0 === span ? 0 : (rank - previous.center) / span;
+          return between(previous.mean, centroid.mean, fraction);
+        }
+        previous = {
+          mean: centroid.mean,
+          center
+        };
+        before += centroid.count;
+      }
+      const span = total - previous.center;
+      const fraction = 0 === span ? 0 : (rank - previous.center) / span;
+      return between(previous.mean, max, fraction);
+    }
+  };
+};
+/**
+ * Welford’s online algorithm for the count, mean and sum of squared 
+ * deviations, which is numerically stable in a single pass.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {function} [fct]
+ * @param {string} operator
+ * @param {function} result - Called with `{count, mean, m2}`
+ * @returns {{init: function, step: function, result: function}}
+ */
+Iterant.moments = function(fct, operator, result) {
+  const value = Iterant.numeric(fct, operator);
+  return {
+    init: () => ({
+      count: 0,
+      mean: 0,
+      m2: 0
+    }),
+    step: (state, item, index) => {
+      const x = value(item, index);
+      if (undefined !== x) {
+        state.count++;
+        const delta = x - state.mean;
+        state.mean += delta / state.count;
+        state.m2 += delta * (x - state.mean);
+      }
+      return state;
+    },
+    result
+  };
+};
+/**
+ * Finds the least item, or the item with the least key. Ties go to the 
+ * first. `null` and `undefined` items, or keys, are ignored.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {function} [keyFn]
+ * @param {function} [comparator=Iterant.compareKeys]
+ * @param {number} sign - `1` for the least, `-1` for the greatest
+ * @returns {{init: function, step: function, result: function}}
+ */
+Iterant.extreme = function(keyFn, comparator, sign) {
+  if (undefined !== keyFn && null !== keyFn && 'function' !== typeof keyFn) {
+    throw new TypeError('keyFn must be a function');
+  }
+  comparator = comparator || Iterant.compareKeys;
+  if ('function' !== typeof comparator) {
+    throw new TypeError('comparator must be a function');
+  }
+  return {
+    init: () => ({found: false}),
+    step: (state, item, index) => {
+      const key = keyFn ? keyFn(item, index) : item;
+      if (null === key || undefined === key || Iterant.SKIP === key) {
+        return state;
+      }
+      if (state.found) {
+        const order = comparator(key, state.key);
+        // A guarded comparator that failed under a skip policy
+        if (Iterant.SKIP === order || sign * order >= 0) {
+          return state;
+        }
+      }
+      state.found = true;
+      state.item = item;
+      state.key = key;
+      return state;
+    },
+    result: state => state.item
+  };
+};
+/**
+ * The index of the bucket for a value: `0` below the first boundary, 
+ * `boundaries.length` above the last, and otherwise `i` for 
+ * `[boundaries[i - 1], boundaries[i])`, except that the last inner bucket 
+ * includes its upper boundary.
+ * 
+ * @private
+ * @memberof Iterant
+ * 
+ * @param {Array<number>} boundaries - Ascending
+ * @param {number} value
+ * @returns {number}
+ */
+Iterant.bucket = function(boundaries, value) {
+  const last = boundaries.length - 1;
+  if (value === boundaries[last]) {
+    return last;
+  }
+  let low = 0, high = boundaries.length;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (boundaries[middle] <= value) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+};
+/**
+ * Reducers for the statistics methods, like {@link Iterant#sum}. Each 
+ * returns a new reducer, `{init, step, result}`, see {@link Iterant.reducer}.
+ * 
+ * @private
+ */
+const STATISTICS = {
+  count: () => ({
+    init: () => 0,
+    step: count => count + 1,
+    result: count => count
+  }),
+  // Neumaier’s compensated summation, so that many small values aren’t lost
+  sum: fct => {
+    const value = Iterant.numeric(fct, 'sum');
+    return {
+      init: () => ({
+        sum: 0,
+        compensation: 0
+      }),
+      step: (state, item, index) => {
+        const x = value(item, index);
+        if (undefined !== x) {
+          const total = state.sum + x;
+          if (Math.abs(state.sum) >= Math.abs(x)) {
+            state.compensation += state.sum - total + x;
+          } else {
+            state.compensation += x - total + state.sum;
+          }
+          state.sum = total;
+        }
+        return state;
+      },
+      result: state => Number.isFinite(state.sum) ? state.sum + state.compensation : state.sum
+    };
+  },
+  mean: fct => Iterant.moments(fct, 'mean', state => 0 === state.count ? undefined : state.mean),
+  variance: (fct, options) => {
+    const correction = options && options.sample ? 1 : 0;
+    return Iterant.moments(fct, 'variance', state => {
+      const degrees = state.count - correction;
+      return degrees > 0 ? state.m2 / degrees : undefined;
+    });
+  },
+  stddev: (fct, options) => {
+    const variance = STATISTICS.variance(fct, options);
+    return Object.assign({}, variance, {
+      result: state => {
+        const value = variance.result(state);
+        return undefined === value ? undefined : Math.sqrt(value);
+      }
+    });
+  },
+  min: comparator => Iterant.extreme(undefined, comparator, 1),
+  max: comparator => Iterant.extreme(undefined, comparator, -1),
+  minBy: (keyFn, comparator) => Iterant.extreme(keyFn, comparator, 1),
+  maxBy: (keyFn, comparator) => Iterant.extreme(keyFn, comparator, -1),
+  percentile: (p, fct) => {
+    if ('number' !== typeof p || !(p >= 0 && p <= 100)) {
+      throw new RangeError('p must be a number from 0 to 100');
+    }
+    const value = Iterant.numeric(fct, 'percentile');
+    return {
+      init: () => Iterant.digest(),
+      step: (digest, item, index) => {
+        const x = value(item, index);
+        if (undefined !== x) {
+          digest.add(x);
+        }
+        return digest;
+      },
+      result: digest => digest.quantile(p / 100)
+    };
+  },
+  median: fct => STATISTICS.percentile(50, fct),
+  histogram: (boundaries, fct) => {
+    if (!Array.isArray(boundaries) || 0 === boundaries.length ||
+      !boundaries.every((boundary, i) => 'number' === typeof boundary && (0 === i || boundaries[i - 1] < boundary))) {
+      throw new TypeError('boundaries must be an ascending Array of numbers');
+    }
+    const value = Iterant.numeric(fct, 'histogram');
+    return {
+      init: () => boundaries.map(() => 0).concat([0]),
+      step: (counts, item, index) => {
+        const x = value(item, index);
+        if (undefined !== x && !Number.isNaN(x)) {
+          counts[Iterant.bucket(boundaries, x)]++;
+        }
+        return counts;
+      },
+      result: counts => counts
+        .map((count, i) => ({
+          from: 0 === i ? -Infinity : boundaries[i - 1],
+          to: i === boundaries.length ? Infinity : boundaries[i],
+          count
+        }))
+        .filter(bucket => bucket.count > 0 || Number.isFinite(bucket.from + bucket.to))
+    };
+  }
+};
+/**
+ * Reducers to compute in a single pass with {@link Iterant#aggregate} and 
+ * {@link Iterant#aggregateBy}. Each is a factory that returns a new reducer. 
+ * 
+ * A custom reducer is an object with three methods:
+ *   * **`init()`** returns the initial accumulated value. It’s called once for each aggregation, so mutable state is safe.
+ *   * **`step(acc, item, index)`** returns the accumulated value after `item`
+ *   * **`result(acc)`** (optional) returns the aggregate from the final accumulated value
+ * 
+ * A plain function, like the callback of {@link Iterant#reduce}, is also a 
+ * reducer, with an initial value of `undefined`.
+ * 
+ * @example
+ * const {count, sum, max, filter} = Iterant.reducers;
+ * Iterant(orders).aggregate({
+ *   count: count(),
+ *   total: sum(order => order.price),
+ *   top: max(),
+ *   refunds: filter(order => order.refunded, count())
+ * });
+ * 
+ * @namespace
+ * @memberof Iterant
+ */
+Iterant.reducers = {
+  /**
+   * @returns {Object} - The number of items
+   */
+  count: STATISTICS.count,
+  /**
+   * @param {function} [fct]
+   * @returns {Object} - The same as {@link Iterant#sum}
+   */
+  sum: STATISTICS.sum,
+  /**
+   * @param {function} [fct]
+   * @returns {Object} - The same as {@link Iterant#mean}
+   */
+  mean: STATISTICS.mean,
+  /**
+   * @param {function} [fct]
+   * @param {Object} [options]
+   * @returns {Object} - The same as {@link Iterant#variance}
+   */
+  variance: STATISTICS.variance,
+  /**
+   * @param {function} [fct]
+   * @param {Object} [options]
+   * @returns {Object} - The same as {@link Iterant#stddev}
+   */
+  stddev: STATISTICS.stddev,
+  /**
+   * @param {function} [comparator]
+   * @returns {Object} - The same as {@link Iterant#min}
+   */
+  min: STATISTICS.min,
+  /**
+   * @param {function} [comparator]
+   * @returns {Object} - The same as {@link Iterant#max}
+   */
+  max: STATISTICS.max,
+  /**
+   * @param {function} keyFn
+   * @param {function} [comparator]
+   * @returns {Object} - The same as {@link Iterant#minBy}
+   */
+  minBy: STATISTICS.minBy,
+  /**
+   * @param {function} keyFn
+   * @param {function} [comparator]
+   * @returns {Object} - The same as {@link Iterant#maxBy}
+   */
+  maxBy: STATISTICS.maxBy,
+  /**
+   * @param {Array<number>} boundaries
+   * @param {function} [fct]
+   * @returns {Object} - The same as {@link Iterant#histogram}
+   */
+  histogram: STATISTICS.histogram,
+  /**
+   * @param {number} p
+   * @param {function} [fct]
+   * @returns {Object} - The same as {@link Iterant#percentile}
+   */
+  percentile: STATISTICS.percentile,
+  /**
+   * @param {function} [fct]
+   * @returns {Object} - The same as {@link Iterant#median}
+   */
+  median: STATISTICS.median,
+  /**
+   * @returns {Object} - The items in an {@link Array}
+   */
+  toArray: () => ({
+    init: () => [],
+    step: (items, item) => {
+      items.push(item);
+      return items;
+    },
+    result: items => items
+  }),
+  /**
+   * @returns {Object} - The first item, or `undefined` if there are none
+   */
+  first: () => ({
+    init: () => ({found: false}),
+    step: (state, item) => {
+      if (!state.found) {
+        state.found = true;
+        state.item = item;
+      }
+      return state;
+    },
+    result: state => state.item
+  }),
+  /**
+   * @returns {Object} - The last item, or `undefined` if there are none
+   */
+  last: () => ({
+    init: () => undefined,
+    step: (prev, item) => item,
+    result: item => item
+  }),
+  /**
+   * Only passes the items that match `predicate` on to `reducer`. Indexes 
+   * passed to `reducer` count the matching items.
+   * 
+   * @param {function} predicate - Called with `item` and `index`
+   * @param {function|Object} reducer
+   * @returns {Object}
+   */
+  filter: (predicate, reducer) => {
+    if ('function' !== typeof predicate) {
+      throw new TypeError('predicate must be a function');
+    }
+    reducer = Iterant.reducer(reducer);
+    return {
+      init: () => ({
+        acc: reducer.init(),
+        index: 0
+      }),
+      step: (state, item, index) => {
+        if (predicate(item, index)) {
+          state.acc = reducer.step(state.acc, item, state.index++);
+        }
+        return state;
+      },
+      result: state => reducer.result(state.acc)
+    };
+  },
+  /**
+   * Passes `fct` applied to each item on to `reducer`.
+   * 
+   * @param {function} fct - Called with `item` and `index`
+   * @param {function|Object} reducer
+   * @returns {Object}
+   */
+  map: (fct, reducer) => {
+    if ('function' !== typeof fct) {
+      throw new TypeError('fct must be a function');
+    }
+    reducer = Iterant.reducer(reducer);
+    return {
+      init: reducer.init,
+      step: (acc, item, index) => reducer.step(acc, fct(item, index), index),
+      result: reducer.result
+    };
+  },
+  /**
+   * Broadcasts each item to every reducer in `reducers`, computing an object 
+   * of their results. Because the result is itself a reducer, aggregates can 
+   * be nested.
+   * 
+   * @param {Object<string, function|Object>} reducers - By name
+   * @returns {Object} - An object with the same names
+   * @throws {TypeError}
+   */
+  fork: reducers => {
+    if (null === reducers || 'object' !== typeof reducers) {
+      throw new TypeError('reducers must be an object');
+    }
+    const fields = Object.keys(reducers);
+    const normalized = fields.map(field => Iterant.reducer(reducers[field]));
+    return {
+      init: () => normalized.map(reducer => reducer.init()),
+      step: (accumulators, item, index) => {
+        normalized.forEach((reducer, i) => {
+          accumulators[i] = reducer.step(accumulators[i], item, index);
+        });
+        return accumulators;
+      },
+      result: accumulators => {
+        const aggregates = {};
+        fields.forEach((field, i) => {
+          aggregates[field] = normalized[i].result(accumulators[i]);
+        });
+        return aggregates;
+      }
+    };
+  }
+};
+/**
+ * Gets the iterator associated with the underlying concrete iterable. This is 
+ * the wrapped iterable’s own iterator, not a proxy, so `return()` and `throw()` 
+ * go straight to it.
+ * 
+ * @name Symbol.iterator
+ * @memberof Iterant
+ * @instance
+ * @type {Iterator}
+ * @readonly
+ */
+Iterant.prototype[Symbol.iterator] = function() {
+  return this._iterable[Symbol.iterator]();
+};
+/**
+ * The type name that shows up in {@Obejct#toString}.
+ * 
+ * @name Symbol.toStringTag
+ * @memberof Iterant
+ * @instance
+ * @type {string}
+ * @readonly
+ */
+Iterant.prototype[Symbol.toStringTag] = 'Iterant';
+/**
+ * The constructor used to wrap the output of operators, like {@link Iterant#map}. 
+ * Subclasses set their own, so that chaining keeps the subclass’s methods.
+ * 
+ * @name Symbol.species
+ * @memberof Iterant
+ * @instance
+ * @type {function}
+ * @readonly
+ */
+Iterant.prototype[Symbol.species] = Iterant;
+/**
+ * Applys a function to each item of the current iterable and returns a new iterable. 
+ * 
+ * @param {function} fct - The function to apply
+ * @param {*} [that=null] - What `this` should mean when calling `fct` (i.e. the first parameter of `Function.prototype.call`) 
+ * @returns {Iterant} - A new {@link Iterant} containing the mapped items
+ */
+Iterant.prototype.map = function map(fct, that) {
+  fct = Iterant.guard(this, fct, {
+    operator: 'map',
+    that
+  });
+  const mapped = Iterant.map(this._iterable, fct, that);
+  return Iterant.species(this, this._policy ? Iterant.unskipped(mapped) : mapped);
+};
+/**
+ * Accumulate an aggregate value over all of an {@link Iterable} instance’s items. 
+ * 
+ * @example
+ * Iterant([1, 2, 3])
+ *   .reduce((prev, item) => prev + item, 0);
+ * 
+ * // First iteration:  (0, 1) => 1
+ * // Second iteration: (1, 2) => 3
+ * // Third iteration:  (3, 3) => 6
+ * // Final result: 6
+ * 
+ * @param {function} reducer - The function that takes the previous value and the current item and 
+ * returns a new value for the next iteration. 
+ *   * **`prev`** (`any`) The accumulated value returned from the previous iteration
+ *   * **`item`** (`any`) The current item
+ *   * **`index`** (`number`) The current index
+ *   * **`self`** (<code>{@link Iterant}</code>) 
+ * @param {*} init - The initial value
+ * @returns {*} - The accumlated value
+ */
+Iterant.prototype.reduce = function reduce(reducer, init) {
+  const guarded = Iterant.guard(this, reducer, {operator: 'reduce'});
+  if (!this._policy) {
+    return Iterant.reduce(this, guarded, init);
+  }
+  return Iterant.reduce(this, (prev, ...rest) => {
+    const next = guarded(prev, ...rest);
+    return Iterant.SKIP === next ? prev : next;
+  }, init);
+};
+/**
+ * Get a subsection of an {@link Iterant} as an {@link Iterant} as 
+ * new {@link Iterant}. The default implementation naïvely loops from 
+ * the start of the {@link Iterant} to the `end`. Subclasses delegate to
+ * more efficient implementations, delegating to the backing {@Iterable}.
+ * 
+ * @param {number} begin - The zero-based index where to start
+ * @param {number} [end] - The zero-based index before which to stop. Defaults to the rest of the {@Iterant}, which could be infinite. (Don’t do that.)  
+ * @returns {Iterant} - A new {@link Iterant}
+ */
+Iterant.prototype.slice = function slice(begin, end) {
+  return Iterant.species(this, Iterant.slice(this._iterable, begin, end));
+};
+/**
+ * Evaluates each item using a supplied predicate function. Returns a new 
+ * {@Iterant} containing only items for which the predicate returns `true`.
+ * 
+ * **Warning:** `filter` is almost always better implemented as an upstream query when 
  * you’re working with data from a database. 
  * 
- * @param {function} predicate - A function that is evaluated for each item. 
- * Return `true` to keep the item, `false` to ignore.
- *   * **`item`** (`any`) The current item
- *   * **`index`** (`number`) The current index
- *   * **`self`** (<code>{@link Iterant}</code>) 
- *   * Returns `boolean` - Whether the current `item` matches
- * @param {*} [that]
- * @returns {Iterant} - A new {@link Iterant} with only the matching items
+ * @param {function} predicate - A function that is evaluated for each item. 
+ * Return `true` to keep the item, `false` to ignore.
+ *   * **`item`** (`any`) The current item
+ *   * **`index`** (`number`) The current index
+ *   * **`self`** (<code>{@link Iterant}</code>) 
+ *   * Returns `boolean` - Whether the current `item` matches
+ * @param {*} [that]
+ * @returns {Iterant} - A new {@link Iterant} with only the matching items
+ */
+Iterant.prototype.filter = function filter(predicate, that) {
+  const guarded = Iterant.guard(this, predicate, {
+    operator: 'filter',
+    that
+  });
+  if (this._policy) {
+    predicate = (...args) => {
+      const keep = guarded(...args);
+      return Iterant.SKIP !== keep && keep;
+    };
+  } else {
+    predicate = guarded;
+  }
+  return Iterant.species(this, Iterant.filter(this._iterable, predicate, that));
+};
+/**
+ * Concatenates items onto the end of an {@link Iterant}, returning a new {@link Iterant} instance. 
+ * {@link Iterable} instances are flattened. Other types are appended as-is. 
+ * 
+ * @example
+ * Iterant([1, 2, 3])
+ *   .concat(4, 5, [6, 7]);
+ * // Iterant([1, 2, 3, 4, 5, 6, 7])
+ * 
+ * @param {...*} items - Items to concatenate
+ * @returns {Iterant} - A new {@link Iterant} instance
+ */
+Iterant.prototype.concat = function concat(...items) {
+  return Iterant.species(this, Iterant.concat(this._iterable, ...items));
+};
+/**
+ * Maps each item to zero or more items. If `fct` returns an iterable, such 
+ * as an `Array`, a `Sequence` or a generator, its items are spliced in; 
+ * anything else, including a string, is kept as a single item. Return an 
+ * empty array to drop the item.
+ * 
+ * @example
+ * Iterant(['a b', 'c'])
+ *   .flatMap(line => line.split(' ')); // 'a', 'b', 'c'
+ * 
+ * Iterant(cts.search(query))
+ *   .flatMap(doc => doc.root.tags); // The tags of every document
+ * 
+ * @param {function} fct - Called with each item. Returns an iterable or a single item.
+ * @param {*} [that=null] - What `this` should mean when calling `fct`
+ * @returns {Iterant} - A new {@link Iterant}
+ */
+Iterant.prototype.flatMap = function flatMap(fct, that) {
+  const guarded = Iterant.guard(this, fct, {
+    operator: 'flatMap',
+    that
+  });
+  if (this._policy) {
+    fct = (...args) => {
+      const value = guarded(...args);
+      return Iterant.SKIP === value ? [] : value;
+    };
+  } else {
+    fct = guarded;
+  }
+  return Iterant.species(this, Iterant.flatMap(this._iterable, fct, that));
+};
+/**
+ * Splices the items of nested iterables, down to `depth` levels. Strings are 
+ * never exploded into characters.
+ * 
+ * @example
+ * Iterant([1, [2, [3, ['four']]]]).flatten();         // 1, 2, [3, ['four']]
+ * Iterant([1, [2, [3, ['four']]]]).flatten(Infinity); // 1, 2, 3, 'four'
+ * 
+ * @param {number} [depth=1] - How many levels to flatten, a non-negative integer or `Infinity`
+ * @returns {Iterant} - A new {@link Iterant}
+ * @throws {TypeError} - For an invalid `depth`
+ */
+Iterant.prototype.flatten = function flatten(depth) {
+  depth = Iterant.flattenDepth(depth);
+  return Iterant.species(this, Iterant.flatten(this._iterable, depth));
+};
+/**
+ * Evaluates a JSONPath expression against each item and yields the matches, 
+ * in document order. MarkLogic nodes are converted with `toObject()` first, 
+ * so the same expression works on parsed JSON and on documents.
+ * 
+ * Supported syntax:
+ *   * **`$`** The item, optional at the start of the expression
+ *   * **`.name`**, **`['name']`** A property. Names that aren’t identifiers need brackets.
+ *   * **`*`**, **`[*]`** Every property value or array item
+ *   * **`..`** Recursive descent, as in `$..price` or `$..[0]`
+ *   * **`[0]`**, **`[-1]`**, **`[0, 2]`** Array indexes, negative from the end
+ *   * **`[start:end:step]`** Array slices, as in Python
+ *   * **`[?(@.price > 10 && @.tags)]`** Filters, on each child, `@`, with `==`, `!=`, `<`, `<=`, `>`, `>=`, 
+ *     `&&`, `||`, `!` and parentheses. Strings, numbers, `true`, `false` and `null` are literals.
+ *     A path on its own, like `@.tags`, tests whether it matches anything. `$` refers to the item.
+ * 
+ * Ordering comparisons are only true between two numbers or two strings. 
+ * Script expressions, like `[(@.length - 1)]`, aren’t supported, and 
+ * nothing is evaluated as JavaScript.
+ * 
+ * @example
+ * Iterant(orders)
+ *   .select('$.lines[?(@.price > 10)].sku');
+ * 
+ * Iterant(cts.search(query))
+ *   .select('$..author.name')
+ *   .distinct();
+ * 
+ * @param {string} path - A JSONPath expression
+ * @returns {Iterant} - A new {@link Iterant} of the matches
+ * @throws {TypeError} - If `path` isn’t a string
+ * @throws {SyntaxError} - For an invalid expression
+ */
+Iterant.prototype.select = function select(path) {
+  const evaluate = jsonPath(path);
+  return Iterant.species(
+    this,
+    Iterant.delegate(this._iterable, item => evaluate(Iterant.isNode(item) ? item.toObject() : item))
+  );
+};
+/**
+ * Evaluates a path expression against each item and yields the results. 
+ * The `language` picks the evaluators, and each item is evaluated by the 
+ * first that accepts it. See {@link Iterant.registerEvaluator} for the 
+ * built-in languages and how to add others.
+ * 
+ * An item that no evaluator of the language accepts is an error, like a 
+ * failing callback: it throws an {@link IterantError}, unless an error policy 
+ * set with {@link Iterant#onError} or {@link Iterant#catchError} handles it. 
+ * An invalid expression throws as soon as it’s compiled, regardless of the 
+ * policy.
+ * 
+ * @example
+ * Iterant(cts.search(query))
+ *   .query('//author[@role = $role]/name', {bindings: {role: 'editor'}});
+ * 
+ * Iterant(orders)
+ *   .onError('skip')
+ *   .query('$.lines[*].sku', {language: 'jsonpath'});
+ * 
+ * @param {string} expression - The path expression
+ * @param {Object} [options] - Also passed to the evaluators
+ * @param {string} [options.language='xpath'] - The name of a registered language
+ * @param {Object} [options.bindings] - Variable bindings, for XPath
+ * @returns {Iterant} - A new {@link Iterant} of the results
+ * @throws {TypeError} - If no evaluator is registered for the language
+ * @throws {SyntaxError} - While iterating, for an invalid expression
+ */
+Iterant.prototype.query = function query(expression, options) {
+  options = Object.assign({language: 'xpath'}, options);
+  const language = options.language;
+  const candidates = evaluators.filter(entry => language === entry.language);
+  if (0 === candidates.length) {
+    throw new TypeError('No evaluator is registered for ' + language + ', see Iterant.registerEvaluator');
+  }
+  const compiled = new Map();
+  // Only evaluation is guarded. An invalid expression isn’t the item’s fault.
+  const evaluate = Iterant.guard(this, (item, entry) => {
+    if (undefined === entry) {
+      throw new TypeError('No ' + language + ' evaluator accepts ' + Object.prototype.toString.call(item));
+    }
+    return compiled.get(entry)(item);
+  }, {operator: 'query'});
+  return Iterant.species(this, Iterant.delegate(this._iterable, item => {
+    const entry = candidates.find(candidate => candidate.accepts(item));
+    if (undefined !== entry && !compiled.has(entry)) {
+      compiled.set(entry, entry.compile(expression, options));
+    }
+    const results = evaluate(item, entry);
+    return Iterant.SKIP === results ? [] : results;
+  }));
+};
+/**
+ * Evaluates XPath against each item and yields the results. Shorthand for 
+ * {@link Iterant#query} with the `'xpath'` language, so it works on 
+ * MarkLogic nodes and, in tests, on DOM-like stand-ins.
+ * 
+ * @example
+ * Iterant(cts.search(query))
+ *   .xpath('/book[price > $max]/title', {max: 10});
+ * 
+ * @param {string} path - XPath
+ * @param {Object} [bindings] - Variable bindings
+ * @returns {Iterant} - A new {@link Iterant} of the results
+ * @throws {TypeError} - If `path` is `null` or `undefined`
+ */
+Iterant.prototype.xpath = function xpath(path, bindings) {
+  if (null === path || 'undefined' === typeof path) {
+    throw new TypeError('path must be a string of XPath');
+  }
+  return this.query(path, {
+    language: 'xpath',
+    bindings
+  });
+};
+/**
+ * Sorts the items based on a user-supplied comparator function.
+ * 
+ * **Warning:** It’s almost always better to sort upstream. The default implementation 
+ * instantiates an {@link Array} and sorts using {@link Array#sort}.
+ * 
+ * The items are only read and sorted when they’re first needed. Until then, 
+ * `slice(0, k)`, or any `slice(begin, end)` with non-negative indexes, and 
+ * `first()` are rewritten to {@link Iterant#bottomK}, so that only `end` 
+ * items are kept in memory. As with other lazy operators, if the source is 
+ * single-use, such as a generator, it can only be read once: by the 
+ * rewritten operator or by the full sort, whichever comes first.
+ * 
+ * @param {function} [comparator] - A function that compares values pairwise. 
+ * The default converts both values to `string` and compares codepoints. 
+ *   * **`a`** (`any`) The current item
+ *   * **`b`** (`any`) The next item
+ *   * Returns `number` - `-1` if `a < b`, `1` if `a > b`, and `0` if they’re equal.
+ * @returns {IterantSorted} - A sorted {@link IterantSorted}
+ * @throws {TypeError} - If `comparator` isn’t a function
+ */
+Iterant.prototype.sort = function sort(comparator) {
+  if (undefined !== comparator && 'function' !== typeof comparator) {
+    throw new TypeError('comparator must be a function');
+  }
+  return IterantSorted(this, comparator || Iterant.defaultComparator);
+};
+/**
+ * Creates a new copy of the {@link Iterant} that can be iterated separately. 
+ * This instance is left as it is. If it’s replayable, the copy wraps the 
+ * same iterable, and both are independent.
+ * 
+ * **Warning:** A single-use iterable, such as a generator, can’t be copied. 
+ * Its clone is a {@link Iterant#cache} that reads from the same source, so 
+ * **don’t iterate the original after cloning it**: it takes the items from 
+ * the source, and the clone only gets what’s left, if anything. Iterate the 
+ * clone, as many times as needed, instead. To keep two independent 
+ * {@link Iterant} instances, cache first and clone the cache, or split the 
+ * original with {@link Iterant#tee}.
+ * 
+ * @example
+ * const a = Iterant(gen()).cache();
+ * const b = a.clone();
+ * a !== b; // true
+ * a.toArray(); // Every item
+ * b.toArray(); // Every item, again
+ * 
+ * @example
+ * const original = Iterant(gen());
+ * const copy = original.clone();
+ * original.toArray(); // Every item
+ * copy.toArray();     // [], because the original used up the generator
+ * 
+ * @returns {Iterant} - A new, replayable {@link Iterant} instance
+ */
+Iterant.prototype.clone = function clone() {
+  if (this.isReplayable) {
+    return Iterant.species(this, this._iterable);
+  }
+  return this.cache();
+};
+/**
+ * Whether the {@link Iterant} can be iterated more than once, yielding the 
+ * same items each time. An {@link Iterant} that wraps a generator object, 
+ * including the output of lazy operators like {@link Iterant#map}, is 
+ * single-use. Use {@link Iterant#cache} to make it replayable.
+ * 
+ * @name isReplayable
+ * @memberof Iterant
+ * @instance
+ * @type {boolean}
+ * @readonly
+ */
+Object.defineProperty(Iterant.prototype, 'isReplayable', {
+  enumerable: false,
+  'get': function() {
+    return Iterant.isReplayable(this._iterable);
+  }
+});
+/**
+ * Remembers items as they’re first pulled, so that the returned 
+ * {@link Iterant} can be iterated any number of times, while the wrapped 
+ * iterable is only iterated once. Nothing is read until it’s needed.
+ * 
+ * Iteration that stops early, for example with {@link Iterant#first}, leaves 
+ * the wrapped iterable open, so that later iterations still yield every 
+ * item. It’s closed once it’s exhausted, or explicitly with 
+ * `cached.iterable.return()`, after which iterations replay only the items 
+ * read before it was closed.
+ * 
+ * **Warning:** Every item that’s been read stays in memory for as long as 
+ * the returned {@link Iterant} is referenced.
+ * 
+ * @example
+ * const docs = Iterant(gen()).map(expensive).cache();
+ * docs.toArray(); // Reads everything
+ * docs.toArray(); // Replays everything
+ * docs.first();   // Replays the first
+ * 
+ * @returns {Iterant} - A new, replayable {@link Iterant}
+ */
+Iterant.prototype.cache = function cache() {
+  return Iterant.species(this, Iterant.cache(this._iterable));
+};
+/**
+ * Splits the {@link Iterant} into `count` independent {@link Iterant} 
+ * instances that each yield every item, while the wrapped iterable is only 
+ * iterated once. Items are buffered only until every branch has read them.
+ * Every branch needs to be consumed or closed for the source to be closed.
+ * 
+ * @example
+ * const [a, b] = Iterant(gen()).tee(2);
+ * a.reduce((sum, item) => sum + item, 0);
+ * b.reduce((max, item) => Math.max(max, item), -Infinity);
+ * 
+ * @param {number} [count=2] - The number of branches
+ * @param {number} [limit=10000] - The maximum number of items to buffer. 
+ * Reading a branch more than `limit` items ahead of another throws a `RangeError`.
+ * @returns {Array<Iterant>} - `count` single-use {@link Iterant} instances
+ */
+Iterant.prototype.tee = function tee(count, limit) {
+  return Iterant.tee(this._iterable, undefined === count ? 2 : count, limit)
+    .map(branch => Iterant.species(this, branch));
+};
+/**
+ * Converts an {@link Iterant} to an {@link Array}. 
+ * This is a pass-through for {@link Array~from} that’s convenient for chaining.
+ * 
+ * @example
+ * function* gen() { for(let i = 0; i < 10; i++) { yield [String(i), i]; }};
+ * Iterant(new Map(gen))
+ *   .toArray();
+ * 
+ * =>
+ * [ [ '0', 0 ],
+ *   [ '1', 1 ],
+ *   [ '2', 2 ],
+ *   [ '3', 3 ],
+ *   [ '4', 4 ],
+ *   [ '5', 5 ],
+ *   [ '6', 6 ],
+ *   [ '7', 7 ],
+ *   [ '8', 8 ],
+ *   [ '9', 9 ] ]
+ * 
+ * @returns {@link Array}
+ */
+Iterant.prototype.toArray = function toArray() {
+  return Array.from(this);
+};
+/**
+ * Concatenates the items into a string, like {@link Array#join}. `null` and 
+ * `undefined` items are empty strings.
+ * 
+ * @example
+ * Iterant.lines(text)
+ *   .map(line => line.trim())
+ *   .joinToString('\n');
+ * 
+ * @param {string} [separator=','] - Goes between items
+ * @returns {string}
+ */
+Iterant.prototype.joinToString = function joinToString(separator) {
+  return Iterant.concatenate(this._iterable, undefined === separator ? ',' : String(separator));
+};
+
+/**
+ * Gets the first item for which a predicate returns `true`, or `undefined` if
+ * there isn’t one. Iteration stops at the first match and the underlying
+ * iterator is closed, so a generator’s `finally` block runs.
+ *
+ * @example
+ * Iterant(cts.collections())
+ *   .find(c => c.startsWith('/invoices/'));
+ *
+ * @param {function} predicate - Evaluated for each item until it returns `true`
+ *   * **`item`** (`any`) The current item
+ *   * **`index`** (`number`) The current index
+ *   * **`self`** (<code>{@link Iterable}</code>)
+ * @param {*} [that] - `this` binding of `predicate` call
+ * @returns {*} - The first matching item or `undefined`
+ */
+Iterant.prototype.find = function find(predicate, that) {
+  const matches = Iterant.stopsAt(this, predicate, {
+    operator: 'find',
+    that
+  });
+  let found;
+  Iterant.findIndex(
+    this,
+    (item, index, iterable) => {
+      if (matches(item, index, iterable)) {
+        found = item;
+        return true;
+      }
+      return false;
+    }
+  );
+  return found;
+};
+/**
+ * Gets the index of the first item for which a predicate returns `true`, or
+ * `-1` if there isn’t one. Stops iterating at the first match.
+ *
+ * @param {function} predicate - The same as {@link Iterant#find}
+ * @param {*} [that] - `this` binding of `predicate` call
+ * @returns {number} - The zero-based index of the first match or `-1`
+ */
+Iterant.prototype.findIndex = function findIndex(predicate, that) {
+  return Iterant.findIndex(this, Iterant.stopsAt(this, predicate, {
+    operator: 'findIndex',
+    that
+  }));
+};
+/**
+ * Whether a predicate returns `true` for at least one item. Stops iterating
+ * at the first match.
+ *
+ * @param {function} predicate - The same as {@link Iterant#find}
+ * @param {*} [that] - `this` binding of `predicate` call
+ * @returns {boolean}
+ */
+Iterant.prototype.some = function some(predicate, that) {
+  return -1 !== Iterant.findIndex(this, Iterant.stopsAt(this, predicate, {
+    operator: 'some',
+    that
+  }));
+};
+/**
+ * Whether a predicate returns `true` for every item. Stops iterating at the
+ * first item that doesn’t match. An empty {@link Iterant} is always `true`.
+ *
+ * @param {function} predicate - The same as {@link Iterant#find}
+ * @param {*} [that] - `this` binding of `predicate` call
+ * @returns {boolean}
+ */
+Iterant.prototype.every = function every(predicate, that) {
+  return -1 === Iterant.findIndex(this, Iterant.stopsAt(this, predicate, {
+    operator: 'every',
+    that,
+    fails: true
+  }));
+};
+/**
+ * Gets the index of the first item that is strictly equal (`===`) to `value`,
+ * or `-1`. Like {@link Array#indexOf}, a negative `fromIndex` counts back from
+ * the end. That requires reading to the end, but only `-fromIndex` items are
+ * held in memory.
+ *
+ * @param {*} value - The value to look for
+ * @param {number} [fromIndex=0] - The index where to start looking
+ * @returns {number} - The zero-based index of the first match or `-1`
+ */
+Iterant.prototype.indexOf = function indexOf(value, fromIndex) {
+  fromIndex = Iterant.toInteger(fromIndex);
+  if (fromIndex < 0) {
+    const tail = Iterant.tail(this, -fromIndex);
+    const index = tail.items.indexOf(value);
+    return -1 === index ? -1 : tail.offset + index;
+  }
+  return Iterant.findIndex(
+    this,
+    (item, index) => index >= fromIndex && item === value
+  );
+};
+/**
+ * Whether any item is equal to `value`, using the same SameValueZero
+ * comparison as {@link Array#includes}, i.e. `NaN` is found. Stops iterating
+ * at the first match.
+ *
+ * @param {*} value - The value to look for
+ * @param {number} [fromIndex=0] - The index where to start looking. Negative counts back from the end.
+ * @returns {boolean}
+ */
+Iterant.prototype.includes = function includes(value, fromIndex) {
+  fromIndex = Iterant.toInteger(fromIndex);
+  if (fromIndex < 0) {
+    return Iterant.tail(this, -fromIndex).items.some(
+      item => Iterant.sameValueZero(item, value)
+    );
+  }
+  return -1 !== Iterant.findIndex(
+    this,
+    (item, index) => index >= fromIndex && Iterant.sameValueZero(item, value)
+  );
+};
+/**
+ * Gets the item at an index. Like {@link Array#at}, a negative index counts
+ * back from the end. For a non-negative index, iteration stops as soon as the
+ * item is reached.
+ *
+ * @example
+ * Iterant(gen()).at(2);  // The third item
+ * Iterant(gen()).at(-1); // The last item
+ *
+ * @param {number} index - The zero-based index
+ * @returns {*} - The item or `undefined` if the index is out of bounds
+ */
+Iterant.prototype.at = function at(index) {
+  index = Iterant.toInteger(index);
+  if (index < 0) {
+    const tail = Iterant.tail(this, -index);
+    return tail.items.length === -index ? tail.items[0] : undefined;
+  }
+  let item;
+  Iterant.findIndex(this, (current, i) => {
+    if (i === index) {
+      item = current;
+      return true;
+    }
+    return false;
+  });
+  return item;
+};
+/**
+ * Gets the first item, or `undefined` if there are none. Only reads one item.
+ *
+ * @returns {*}
+ */
+Iterant.prototype.first = function first() {
+  return this.at(0);
+};
+/**
+ * Gets the last item, or `undefined` if there are none. This has to read
+ * every item, but only holds one at a time.
+ *
+ * @returns {*}
+ */
+Iterant.prototype.last = function last() {
+  return this.at(-1);
+};
+/**
+ * Groups items by the key that a function returns for each, in a single 
+ * pass. Each group is an {@link Array} of items in their original order. 
+ * Groups are ordered by the first appearance of their key.
+ * 
+ * @example
+ * Iterant(cts.search(query))
+ *   .map(doc => doc.toObject())
+ *   .groupBy(doc => doc.status);
+ * // IterantMap { 'active' => [ … ], 'archived' => [ … ] }
+ * 
+ * @param {function} keyFn - Returns the key for an item. Keys are compared like {@link Map} keys.
+ *   * **`item`** (`any`) The current item
+ *   * **`index`** (`number`) The current index
+ * @param {*} [that] - `this` binding of `keyFn` call
+ * @returns {IterantMap} - The groups, by key
+ */
+Iterant.prototype.groupBy = function groupBy(keyFn, that) {
+  return IterantMap(Iterant.group(
+    this,
+    Iterant.guard(this, keyFn, {
+      operator: 'groupBy',
+      that
+    }),
+    (group, item) => {
+      if (undefined === group) {
+        return [item];
+      }
+      group.push(item);
+      return group;
+    }
+  ));
+};
+/**
+ * Counts items by the key that a function returns for each, in a single pass.
+ * 
+ * @example
+ * Iterant(['a', 'bb', 'cc', 'd'])
+ *   .countBy(s => s.length); // IterantMap { 1 => 2, 2 => 2 }
+ * 
+ * @param {function} keyFn - The same as {@link Iterant#groupBy}
+ * @param {*} [that] - `this` binding of `keyFn` call
+ * @returns {IterantMap} - The number of items, by key
+ */
+Iterant.prototype.countBy = function countBy(keyFn, that) {
+  return IterantMap(Iterant.group(
+    this,
+    Iterant.guard(this, keyFn, {
+      operator: 'countBy',
+      that
+    }),
+    (count, item, index) => index + 1
+  ));
+};
+/**
+ * Splits items in two, in a single pass: those for which a predicate returns 
+ * `true` and those for which it doesn’t. 
+ * 
+ * **Warning:** Both halves are read eagerly into memory.
+ * 
+ * @example
+ * const [valid, invalid] = Iterant(docs).partition(isValid);
+ * 
+ * @param {function} predicate - The same as {@link Iterant#filter}
+ * @param {*} [that] - `this` binding of `predicate` call
+ * @returns {Array<IterantArray>} - A pair, the matching items followed by the rest
+ */
+Iterant.prototype.partition = function partition(predicate, that) {
+  if ('function' !== typeof predicate) {
+    throw new TypeError('predicate must be a function');
+  }
+  const passes = Iterant.guard(this, predicate, {
+    operator: 'partition',
+    that
+  });
+  const pass = [], fail = [];
+  let index = 0;
+  for (const item of this) {
+    const result = passes(item, index++, this);
+    if (Iterant.SKIP !== result) {
+      (result ? pass : fail).push(item);
+    }
+  }
+  return [IterantArray(pass), IterantArray(fail)];
+};
+/**
+ * Computes several aggregates in a single pass, broadcasting each item to 
+ * every reducer. Unlike calling {@link Iterant#reduce} several times, this 
+ * works on an {@link Iterant} that can only be iterated once, like a 
+ * generator, and evaluates a {@link Sequence} only once. Each property of 
+ * `reducers` names an aggregate and supplies its reducer, from 
+ * {@link Iterant.reducers} or a custom one with the same protocol.
+ * 
+ * @example
+ * Iterant(orders).aggregate({
+ *   count: Iterant.reducers.count(),
+ *   total: Iterant.reducers.sum(order => order.price),
+ *   top: Iterant.reducers.maxBy(order => order.price)
+ * });
+ * // {count: 3, total: 60, top: {…}}
+ * 
+ * @param {Object<string, function|Object>} reducers - The aggregates to compute, by name
+ * @returns {Object} - The aggregates, by name
+ * @throws {TypeError}
+ */
+Iterant.prototype.aggregate = function aggregate(reducers) {
+  return Iterant.run(this, Iterant.reducers.fork(reducers));
+};
+/**
+ * Computes several aggregates for each group in a single pass. Each property 
+ * of `reducers` names an aggregate and supplies its reducer: either a 
+ * function that takes the previous value, the current item, and its index 
+ * within the group, or an object with `init`, `step`, and optional `result` 
+ * methods, like those of {@link Iterant.reducers}. A function’s first previous 
+ * value is `undefined`, so use a default parameter for the initial value.
+ * 
+ * @example
+ * Iterant(orders)
+ *   .aggregateBy(order => order.customer, {
+ *     count: (n = 0) => n + 1,
+ *     total: (sum = 0, order) => sum + order.price,
+ *     largest: (max = -Infinity, order) => Math.max(max, order.price)
+ *   });
+ * // IterantMap { 'c1' => { count: 2, total: 30, largest: 20 }, … }
+ * 
+ * @param {function} keyFn - The same as {@link Iterant#groupBy}
+ * @param {Object<string, function|Object>} reducers - The aggregates to compute, by name
+ * @returns {IterantMap} - An object of aggregates, by key
+ */
+Iterant.prototype.aggregateBy = function aggregateBy(keyFn, reducers) {
+  const reducer = Iterant.reducers.fork(reducers);
+  keyFn = Iterant.guard(this, keyFn, {operator: 'aggregateBy'});
+  const groups = Iterant.group(this, keyFn, (accumulators, item, index) => 
+    reducer.step(accumulators || reducer.init(), item, index)
+  );
+  return IterantMap(groups).mapValues(reducer.result);
+};
+/**
+ * Lazily groups consecutive items into arrays of `size` items. The last array 
+ * may be shorter. Only one chunk is held in memory at a time.
+ * 
+ * @example
+ * Iterant(cts.uris())
+ *   .chunk(1000)
+ *   .map(uris => xdmp.spawnFunction(() => process(uris)));
+ * 
+ * @param {number} size - The number of items in each chunk, a positive integer
+ * @returns {Iterant} - A new {@link Iterant} of {@link Array} chunks
+ */
+Iterant.prototype.chunk = function chunk(size) {
+  Iterant.assertPositiveInteger(size, 'size');
+  return Iterant.species(this, Iterant.chunk(this._iterable, size));
+};
+/**
+ * Lazily yields sliding windows of `size` consecutive items, starting every 
+ * `step` items. Only complete windows are yielded.
+ * 
+ * @example
+ * Iterant([1, 2, 3, 4, 5]).window(3);    // [1, 2, 3], [2, 3, 4], [3, 4, 5]
+ * Iterant([1, 2, 3, 4, 5]).window(2, 3); // [1, 2], [4, 5]
+ * 
+ * @param {number} size - The number of items in each window, a positive integer
+ * @param {number} [step=1] - The distance between the start of each window, a positive integer
+ * @returns {Iterant} - A new {@link Iterant} of {@link Array} windows
+ */
+Iterant.prototype.window = function window(size, step) {
+  step = undefined === step ? 1 : step;
+  Iterant.assertPositiveInteger(size, 'size');
+  Iterant.assertPositiveInteger(step, 'step');
+  return Iterant.species(this, Iterant.window(this._iterable, size, step));
+};
+/**
+ * Lazily yields each item paired with the one before it. The same as 
+ * `window(2)`.
+ * 
+ * @example
+ * Iterant([1, 2, 3]).pairwise(); // [1, 2], [2, 3]
+ * 
+ * @returns {Iterant} - A new {@link Iterant} of `[previous, current]` pairs
+ */
+Iterant.prototype.pairwise = function pairwise() {
+  return this.window(2, 1);
+};
+/**
+ * Lazily groups consecutive items into arrays whose combined weight doesn’t 
+ * exceed `maxWeight`, for example, batches of documents under a number of 
+ * bytes. An item that on its own weighs more than `maxWeight` gets a batch 
+ * to itself.
+ * 
+ * @example
+ * Iterant(docs)
+ *   .batchBy(doc => JSON.stringify(doc).length, 1024 * 1024);
+ * 
+ * @param {function} weightFn - Returns the weight of an item, a non-negative number
+ *   * **`item`** (`any`) The current item
+ *   * **`index`** (`number`) The current index
+ * @param {number} maxWeight - The maximum combined weight of a batch
+ * @returns {Iterant} - A new {@link Iterant} of {@link Array} batches
+ */
+Iterant.prototype.batchBy = function batchBy(weightFn, maxWeight) {
+  if ('function' !== typeof weightFn) {
+    throw new TypeError('weightFn must be a function');
+  }
+  if ('number' !== typeof maxWeight || !(maxWeight > 0)) {
+    throw new TypeError('maxWeight must be a positive number');
+  }
+  return Iterant.species(this, Iterant.batchBy(this._iterable, weightFn, maxWeight));
+};
+/**
+ * Combines this {@link Iterant} with other iterables in lockstep. 
+ * See {@link Iterant.zip}.
+ * 
+ * @param {...Iterable} others
+ * @returns {Iterant} - A new {@link Iterant} of {@link Array} tuples
+ */
+Iterant.prototype.zip = function zip(...others) {
+  return Iterant.species(this, Iterant.lockstep([this].concat(others), false));
+};
+/**
+ * See {@link Iterant.zipLongest}.
+ * 
+ * @param {*} fill - The placeholder for exhausted iterables
+ * @param {...Iterable} others
+ * @returns {Iterant} - A new {@link Iterant} of {@link Array} tuples
+ */
+Iterant.prototype.zipLongest = function zipLongest(fill, ...others) {
+  return Iterant.species(this, Iterant.lockstep([this].concat(others), true, fill));
+};
+/**
+ * See {@link Iterant.zipWith}.
+ * 
+ * @example
+ * Iterant(prices).zipWith((price, qty) => price * qty, quantities);
+ * 
+ * @param {function} fct - Called with one item from each iterable
+ * @param {...Iterable} others
+ * @returns {Iterant}
+ */
+Iterant.prototype.zipWith = function zipWith(fct, ...others) {
+  return Iterant.species(this, Iterant.zipWith(fct, this, ...others)._iterable);
+};
+/**
+ * See {@link Iterant.interleave}.
+ * 
+ * @param {...Iterable} others
+ * @returns {Iterant}
+ */
+Iterant.prototype.interleave = function interleave(...others) {
+  return Iterant.species(this, Iterant.interleave(this, ...others)._iterable);
+};
+/**
+ * See {@link Iterant.roundRobin}.
+ * 
+ * @param {...Iterable} others
+ * @returns {Iterant}
  */
-Iterant.prototype.filter = function filter(predicate, that) {
-  const Constructor = this._iterable[Symbol.species] || Iterant;
-
-  return Constructor(Iterant.filter(this._iterable, predicate, that));
+Iterant.prototype.roundRobin = function roundRobin(...others) {
+  return Iterant.species(this, Iterant.roundRobin(this, ...others)._iterable);
 };
 /**
- * Concatenates items onto the end of an {@link Iterant}, returning a new {@link Iterant} instance. 
- * {@link Iterable} instances are flattened. Other types are appended as-is. 
+ * See {@link Iterant.product}.
+ * 
+ * @param {...Iterable} others
+ * @returns {Iterant} - A new {@link Iterant} of {@link Array} tuples
+ */
+Iterant.prototype.product = function product(...others) {
+  return Iterant.species(this, Iterant.product(this, ...others)._iterable);
+};
+/**
+ * Relational join with another iterable, using a hash index. Pairs of 
+ * matching items are yielded as `[left, right]`, with `undefined` standing 
+ * in for the missing side of unmatched items in outer joins. Semi and anti 
+ * joins yield the left items that do or don’t have a match. Keys are 
+ * compared with SameValueZero, and `null` or `undefined` keys never match.
+ * 
+ * By default the index is built on the left side if its size is known and 
+ * smaller than the right’s, otherwise on the right side. The other side is 
+ * streamed and results follow its order. Use `options.build` to choose.
  * 
  * @example
- * Iterant([1, 2, 3])
- *   .concat(4, 5, [6, 7]);
- * // Iterant([1, 2, 3, 4, 5, 6, 7])
+ * Iterant(orders)
+ *   .join(customers, order => order.customer, {
+ *     rightKey: customer => customer.id,
+ *     type: 'left'
+ *   })
+ *   .map(pair => Object.assign({}, pair[0], {customer: pair[1]}));
  * 
- * @param {...*} items - Items to concatenate
- * @returns {Iterant} - A new {@link Iterant} instance
+ * @param {Iterable} other - The right side
+ * @param {function} leftKey - Gets the key of a left item
+ * @param {Object} [options]
+ * @param {function} [options.rightKey] - Gets the key of a right item, defaults to `leftKey`
+ * @param {string} [options.type='inner'] - `inner`, `left`, `right`, `full`, `semi` or `anti`
+ * @param {string} [options.build] - The side to index, `left` or `right`
+ * @returns {Iterant}
+ * @throws {TypeError} - For an invalid key function or join type
  */
-Iterant.prototype.concat = function concat(...items) {
-  const Constructor = this._iterable[Symbol.species] || Iterant;
-
-  return Constructor(Iterant.concat(this._iterable, ...items));
+Iterant.prototype.join = function join(other, leftKey, options) {
+  const opts = Iterant.joinOptions(leftKey, options);
+  let build = opts.build;
+  if (undefined === build) {
+    const leftSize = Iterant.knownSize(this), rightSize = Iterant.knownSize(other);
+    const smaller = undefined === rightSize || leftSize < rightSize;
+    build = undefined !== leftSize && smaller ? 'left' : 'right';
+  }
+  if ('left' !== build && 'right' !== build) {
+    throw new TypeError('build must be left or right');
+  }
+  const joined = 'left' === build ? Iterant.probeRight : Iterant.probeLeft;
+  return Iterant.species(this, joined(this, other, opts));
 };
 /**
- * Sorts the items based on a user-supplied comparator function.
+ * Joins with another iterable on an arbitrary condition, by testing every 
+ * pair of items. Takes the same join types as {@link Iterant#join}. Use it 
+ * when the condition isn’t equality of keys, for example ranges or 
+ * structural comparison. It’s quadratic, so prefer {@link Iterant#join} 
+ * where possible.
  * 
- * **Warning:** It’s almost always better to sort upstream. The default implementation 
- * eagerly instantiates an {@link Array} and sorts using {@link Array#sort}.
+ * @example
+ * Iterant(events)
+ *   .nestedLoopJoin(windows, (event, win) => event.time >= win.start && event.time < win.end);
  * 
- * @param {function} [comparator] - A function that compares values pairwise. 
- * The default converts both values to `string` and compares codepoints. 
- *   * **`a`** (`any`) The current item
- *   * **`b`** (`any`) The next item
- *   * Returns `number` - `-1` if `a < b`, `1` if `a > b`, and `0` if they’re equal.
- * @returns {IterantArray} - A sorted {@IterantArray}
+ * @param {Iterable} other - The right side. It’s cached if it can’t be replayed.
+ * @param {function} predicate - Called with `(left, right)`, whether the pair matches
+ * @param {Object} [options]
+ * @param {string} [options.type='inner'] - `inner`, `left`, `right`, `full`, `semi` or `anti`
+ * @returns {Iterant}
+ * @throws {TypeError} - For an invalid predicate or join type
  */
-Iterant.prototype.sort = function sort(comparator) {
+Iterant.prototype.nestedLoopJoin = function nestedLoopJoin(other, predicate, options) {
+  if ('function' !== typeof predicate) {
+    throw new TypeError('predicate must be a function');
+  }
+  const opts = Object.assign(Iterant.joinType((options || {}).type), {predicate});
+  return Iterant.species(this, Iterant.nestedLoopJoin(this, other, opts));
+};
+/**
+ * Streaming join of two iterables that are both sorted by key. Takes the 
+ * same join types as {@link Iterant#join}, but only holds the current run 
+ * of equal keys in memory, and results are in key order. As with 
+ * {@link Iterant#join}, `null` or `undefined` keys never match. Their items 
+ * can be anywhere in the input, and count as unmatched where they occur.
+ * 
+ * @param {Iterable} other - The right side, sorted by key
+ * @param {function} leftKey - Gets the key of a left item
+ * @param {Object} [options]
+ * @param {function} [options.rightKey] - Gets the key of a right item, defaults to `leftKey`
+ * @param {string} [options.type='inner'] - `inner`, `left`, `right`, `full`, `semi` or `anti`
+ * @param {function} [options.comparator] - Compares keys, defaults to `<` and `>`
+ * @returns {Iterant}
+ * @throws {TypeError} - For an invalid key function or join type
+ * @throws {RangeError} - While iterating, if either side isn’t sorted by key
+ */
+Iterant.prototype.mergeJoin = function mergeJoin(other, leftKey, options) {
+  const opts = Iterant.joinOptions(leftKey, options);
+  return Iterant.species(this, Iterant.mergeJoin(this, other, opts));
+};
+/**
+ * Lazily leaves out items equal to an earlier item. Items are compared with 
+ * SameValueZero, like in a {@link Set}, or structurally with 
+ * `{equality: 'json'}`, which compares their JSON serializations 
+ * regardless of property order.
+ * 
+ * @example
+ * Iterant([1, 2, 1, NaN, NaN]).distinct();                          // 1, 2, NaN
+ * Iterant([{a: 1, b: 2}, {b: 2, a: 1}]).distinct({equality: 'json'}); // {a: 1, b: 2}
+ * 
+ * @param {Object} [options]
+ * @param {function} [options.key] - Compares items by this key instead
+ * @param {string} [options.equality='sameValueZero'] - `sameValueZero` or `json`
+ * @returns {Iterant}
+ * @throws {TypeError} - For an invalid key or equality
+ */
+Iterant.prototype.distinct = function distinct(options) {
+  const identity = Iterant.identity(options);
+  return Iterant.species(this, Iterant.distinct(this, identity));
+};
+/**
+ * Lazily leaves out items with the same key as an earlier item. The first 
+ * item with each key is kept.
+ * 
+ * @example
+ * Iterant(people).distinctBy(person => person.email.toLowerCase());
+ * 
+ * @param {function} keyFn - Gets the key to compare an item by
+ * @param {Object} [options]
+ * @param {string} [options.equality='sameValueZero'] - `sameValueZero` or `json`
+ * @returns {Iterant}
+ * @throws {TypeError} - For an invalid key function or equality
+ */
+Iterant.prototype.distinctBy = function distinctBy(keyFn, options) {
+  if ('function' !== typeof keyFn) {
+    throw new TypeError('keyFn must be a function');
+  }
+  return this.distinct(Object.assign({}, options, {key: keyFn}));
+};
+/**
+ * Lazily leaves out items equal to the item immediately before them. Only 
+ * remembers the previous item, so it works on infinite iterables.
+ * 
+ * @example
+ * Iterant([1, 1, 2, 2, 1]).distinctUntilChanged(); // 1, 2, 1
+ * 
+ * @param {Object} [options]
+ * @param {function} [options.key] - Compares items by this key instead
+ * @param {string} [options.equality='sameValueZero'] - `sameValueZero` or `json`
+ * @returns {Iterant}
+ * @throws {TypeError} - For an invalid key or equality
+ */
+Iterant.prototype.distinctUntilChanged = function distinctUntilChanged(options) {
+  const identity = Iterant.identity(options);
+  return Iterant.species(this, Iterant.distinctUntilChanged(this, identity));
+};
+/**
+ * The distinct items of this {@link Iterant} followed by those of `other` 
+ * that aren’t equal to any of them. Lazy on both sides.
+ * 
+ * @param {Iterable} other
+ * @param {Object} [options] - `key` and `equality`, like {@link Iterant#distinct}
+ * @returns {Iterant}
+ * @throws {TypeError} - For an invalid key or equality
+ */
+Iterant.prototype.union = function union(other, options) {
+  const identity = Iterant.identity(options);
+  return Iterant.species(this, Iterant.union(this, other, identity));
+};
+/**
+ * The distinct items of this {@link Iterant} that are equal to an item of 
+ * `other`, in the order of this {@link Iterant}. `other` is read in full 
+ * on the first iteration.
+ * 
+ * @param {Iterable} other
+ * @param {Object} [options] - `key` and `equality`, like {@link Iterant#distinct}
+ * @returns {Iterant}
+ * @throws {TypeError} - For an invalid key or equality
+ */
+Iterant.prototype.intersect = function intersect(other, options) {
+  const identity = Iterant.identity(options);
+  return Iterant.species(this, Iterant.intersect(this, other, identity));
+};
+/**
+ * The distinct items of this {@link Iterant} that aren’t equal to any item 
+ * of `other`. `other` is read in full on the first iteration.
+ * 
+ * @param {Iterable} other
+ * @param {Object} [options] - `key` and `equality`, like {@link Iterant#distinct}
+ * @returns {Iterant}
+ * @throws {TypeError} - For an invalid key or equality
+ */
+Iterant.prototype.difference = function difference(other, options) {
+  const identity = Iterant.identity(options);
+  return Iterant.species(this, Iterant.difference(this, other, identity));
+};
+/**
+ * The distinct items that are in either this {@link Iterant} or `other`, 
+ * but not both: first those of this {@link Iterant}, then those of `other`. 
+ * `other` is buffered on the first iteration.
+ * 
+ * @param {Iterable} other
+ * @param {Object} [options] - `key` and `equality`, like {@link Iterant#distinct}
+ * @returns {Iterant}
+ * @throws {TypeError} - For an invalid key or equality
+ */
+Iterant.prototype.symmetricDifference = function symmetricDifference(other, options) {
+  const identity = Iterant.identity(options);
+  return Iterant.species(this, Iterant.symmetricDifference(this, other, identity));
+};
+/**
+ * Sets what happens when a callback of a later operator, such as a 
+ * {@link Iterant#map} mapper or a {@link Iterant#filter} predicate, throws. 
+ * The error is wrapped in an {@link IterantError} with the item, its index 
+ * and the operator’s name.
+ * 
+ * - `throw`, the default, stops iteration with the {@link IterantError}
+ * - `skip` leaves the item out and carries on
+ * - `collect` skips too, but remembers the error in {@link Iterant#errors}
+ * 
+ * Errors thrown by the source itself, rather than by a callback, can’t be 
+ * skipped and always stop iteration.
+ * 
+ * @example
+ * const docs = Iterant(cts.search(query))
+ *   .onError('collect')
+ *   .map(doc => transform(doc));
+ * docs.toArray();
+ * docs.errors; // IterantError instances for the documents that failed
+ * 
+ * @param {string} mode - `throw`, `skip` or `collect`
+ * @returns {Iterant}
+ * @throws {TypeError} - For an unknown mode
+ */
+Iterant.prototype.onError = function onError(mode) {
+  if (-1 === ERROR_MODES.indexOf(mode)) {
+    throw new TypeError('mode must be one of ' + ERROR_MODES.join(', '));
+  }
+  return Iterant.withPolicy(this, {
+    mode,
+    handler: undefined,
+    errors: 'collect' === mode ? [] : undefined
+  });
+};
+/**
+ * Handles errors thrown by callbacks of later operators with a function. 
+ * The handler is called with the {@link IterantError}. Whatever it returns 
+ * stands in for the callback’s result, for example, a default for 
+ * {@link Iterant#map} or `false` for {@link Iterant#filter}. Return 
+ * {@link Iterant.SKIP} to leave the item out, or throw to stop iteration.
+ * 
+ * @example
+ * Iterant(['1', '{', '3'])
+ *   .catchError(error => null)
+ *   .map(JSON.parse);
+ * // 1, null, 3
+ * 
+ * @param {function} handler - Called with the {@link IterantError}
+ * @returns {Iterant}
+ * @throws {TypeError} - If `handler` isn’t a function
+ */
+Iterant.prototype.catchError = function catchError(handler) {
+  if ('function' !== typeof handler) {
+    throw new TypeError('handler must be a function');
+  }
+  return Iterant.withPolicy(this, {handler});
+};
+/**
+ * Calls callbacks of later operators up to `count` more times when they 
+ * throw, for transient failures such as timeouts. The error policy applies 
+ * once the retries are used up. The `backoff` only applies in MarkLogic, 
+ * where it sleeps the request. Elsewhere, retries are immediate, because 
+ * waiting synchronously would block the event loop.
+ * 
+ * @example
+ * Iterant(uris)
+ *   .retry(3, 100) // Waits 100, 200, then 400 ms
+ *   .onError('collect')
+ *   .map(uri => xdmp.httpGet(uri));
+ * 
+ * @param {number} count - The number of retries, a non-negative integer
+ * @param {number|function} [backoff=0] - In MarkLogic, milliseconds to wait before the first retry, doubled for each one after, or a function of the retry number, starting at 1, and the error that returns the milliseconds
+ * @returns {Iterant}
+ * @throws {TypeError} - For an invalid count or backoff
+ */
+Iterant.prototype.retry = function retry(count, backoff) {
+  if (0 !== count) {
+    Iterant.assertPositiveInteger(count, 'count');
+  }
+  const kind = typeof backoff;
+  if ('undefined' !== kind && 'number' !== kind && 'function' !== kind) {
+    throw new TypeError('backoff must be a number or a function');
+  }
+  return Iterant.withPolicy(this, {
+    retries: count,
+    backoff
+  });
+};
+/**
+ * The {@link IterantError} instances collected so far under the `collect` 
+ * policy of {@link Iterant#onError}. Read it after consuming the 
+ * {@link Iterant}. Empty for other policies.
+ * 
+ * @name errors
+ * @memberof Iterant
+ * @instance
+ * @type {Array<IterantError>}
+ * @readonly
+ */
+Object.defineProperty(Iterant.prototype, 'errors', {
+  enumerable: false,
+  'get': function() {
+    const policy = this._policy;
+    return policy && policy.errors ? policy.errors.slice() : [];
+  }
+});
+/**
+ * Calls a function with each item and its index as it passes through, for 
+ * side effects such as logging, and yields the item unchanged.
+ * 
+ * @example
+ * Iterant(cts.search(query))
+ *   .tap((doc, index) => xdmp.log(`${index}: ${xdmp.nodeUri(doc)}`))
+ *   .map(transform);
+ * 
+ * @param {function} fct - Called with `(item, index)`. Its return value is ignored.
+ * @param {*} [that] - `this` binding of `fct`
+ * @returns {Iterant}
+ * @throws {TypeError} - If `fct` isn’t a function
+ */
+Iterant.prototype.tap = function tap(fct, that) {
+  if ('function' !== typeof fct) {
+    throw new TypeError('fct must be a function');
+  }
+  fct = Iterant.guard(this, fct, {
+    operator: 'tap',
+    that
+  });
+  return Iterant.species(this, Iterant.tap(this._iterable, fct, that));
+};
+/**
+ * Turns on instrumentation for the operators called on the returned 
+ * {@link Iterant}, and on the {@link Iterant} instances they return in turn. 
+ * For each operator, it records the items in and out, the number of 
+ * callback calls and the time spent in them, and the wall time, which 
+ * includes eager work in the call and pulling items through the operator, 
+ * and so the time spent upstream. Read the report with {@link Iterant#stats}. 
+ * 
+ * After an operator that doesn’t return an {@link Iterant}, such as 
+ * {@link Iterant#toArray} or {@link Iterant#reduce}, ends the chain, the 
+ * report is passed to the `hook`, if any. `xdmp.log` and `console` write 
+ * it one line per stage. A function is called with the report, see 
+ * {@link Iterant#stats}, and the same lines, to log them some other way.
+ * 
+ * Without instrumentation, operators run as-is, with no overhead at all.
+ * 
+ * @example
+ * Iterant(cts.search(query))
+ *   .instrument({hook: 'xdmp.log'})
+ *   .filter(isValid)
+ *   .map(transform)
+ *   .toArray();
+ * // filter: 1000 in, 990 out, 4.210 ms in 1000 callbacks, 210.312 ms wall
+ * // map: 990 in, 990 out, 37.052 ms in 990 callbacks, 248.140 ms wall
+ * // toArray: 990 in, ? out, 0.000 ms in 0 callbacks, 248.901 ms wall
+ * 
+ * @example
+ * Iterant(items)
+ *   .instrument({hook: (report, text) => logger.info(text)})
+ *   .map(transform)
+ *   .toArray();
+ * 
+ * @param {Object} [options]
+ * @param {string|function} [options.hook] - `xdmp.log`, `console`, or a function that’s called with the report and its text
+ * @returns {Iterant} - An instrumented {@link Iterant}
+ * @throws {TypeError} - For an invalid hook
+ */
+Iterant.prototype.instrument = function instrument(options) {
+  options = options || {};
+  let hook = options.hook;
+  if ('string' === typeof hook && Object.prototype.hasOwnProperty.call(STATS_HOOKS, hook)) {
+    hook = STATS_HOOKS[hook];
+  }
+  if (undefined !== hook && 'function' !== typeof hook) {
+    throw new TypeError('hook must be one of ' + Object.keys(STATS_HOOKS).join(', ') + ' or a function');
+  }
+  const source = {
+    operator: 'source',
+    input: undefined,
+    itemsOut: Iterant.knownSize(this),
+    calls: 0,
+    callbackTime: 0,
+    wallTime: 0
+  };
+  let iterant = this;
+  if (!Iterant.isReplayable(this)) {
+    iterant = Iterant.species(this, this._iterable);
+    source.itemsOut = 0;
+    iterant._iterable = Iterant.counted(iterant._iterable, source);
+  }
+  const recorder = {
+    stages: [source],
+    hook
+  };
+  return Iterant.instrumented(iterant, recorder, source);
+};
+/**
+ * The instrumentation report of an {@link Iterant} returned by 
+ * {@link Iterant#instrument}, or from an operator called on one. Stages are 
+ * listed in the order their operators were called, starting with the 
+ * `source`. Item counts are `undefined` where they aren’t known without 
+ * iterating, for example, for a {@link Sequence}, and times are in 
+ * milliseconds.
+ * 
+ * @example
+ * const docs = Iterant(cts.search(query)).instrument().filter(isValid);
+ * docs.toArray();
+ * docs.stats();
+ * // {stages: [{operator: 'source', …}, {operator: 'filter', itemsIn: 1000, itemsOut: 990, calls: 1000, callbackTime: 4.21, wallTime: 210.31}, …]}
+ * 
+ * @returns {Object|null} - `{stages: [{operator, itemsIn, itemsOut, calls, callbackTime, wallTime}]}`, or `null` if the {@link Iterant} isn’t instrumented
+ */
+Iterant.prototype.stats = function stats() {
+  return null;
+};
+/**
+ * The `k` greatest items, greatest first, in one streaming pass that only 
+ * keeps `k` items in memory, using a heap. Equal items keep their order. 
+ * Prefer it to sorting everything when you only need the top few.
+ * 
+ * @example
+ * Iterant(counts.entries())
+ *   .topK(20, (a, b) => a[1] - b[1]); // The 20 most frequent
+ * 
+ * @param {number} k - The number of items, a non-negative integer
+ * @param {function} [comparator] - Like {@link Iterant#sort}’s
+ * @returns {IterantArray}
+ * @throws {TypeError} - For an invalid `k` or comparator
+ */
+Iterant.prototype.topK = function topK(k, comparator) {
+  comparator = Iterant.assertTopK(k, comparator);
+  return IterantArray(Iterant.smallest(this, k, (a, b) => comparator(b, a)));
+};
+/**
+ * The `k` least items, least first, in one streaming pass that only keeps 
+ * `k` items in memory, using a heap. The result is the same as 
+ * `sort(comparator).slice(0, k)`.
+ * 
+ * @example
+ * Iterant(latencies).bottomK(3, (a, b) => a - b); // The 3 fastest
+ * 
+ * @param {number} k - The number of items, a non-negative integer
+ * @param {function} [comparator] - Like {@link Iterant#sort}’s
+ * @returns {IterantArray}
+ * @throws {TypeError} - For an invalid `k` or comparator
+ */
+Iterant.prototype.bottomK = function bottomK(k, comparator) {
+  comparator = Iterant.assertTopK(k, comparator);
+  return IterantArray(Iterant.smallest(this, k, comparator));
+};
+/**
+ * Sorts more items than fit in memory. Sorts `runSize` items at a time, 
+ * spills each sorted run to a store, and lazily merges the runs back, 
+ * holding only one item per run in memory. With more than `fanIn` runs, 
+ * they’re merged in several passes, so that a store, like the file store, 
+ * never has more than `fanIn` runs open at once. Nothing happens until the 
+ * first item is pulled. Runs are removed from the store once the merge 
+ * finishes or iteration stops. The sort is stable.
+ * 
+ * The default store keeps runs in memory. On Node, use 
+ * `require('iterant/file-store')` to spill them to temporary files. See 
+ * {@link Iterant.memoryStore} for the interface, to write your own.
+ * 
+ * @example
+ * const fileStore = require('iterant/file-store');
+ * const rows = Iterant(exportRows())
+ *   .externalSort((a, b) => a.id - b.id, {
+ *     runSize: 500000,
+ *     store: fileStore()
+ *   });
+ * for (const row of rows) {
+ *   write(row);
+ * }
+ * 
+ * @param {function} [comparator] - Like {@link Iterant#sort}’s
+ * @param {Object} [options]
+ * @param {number} [options.runSize=100000] - The number of items to sort in memory at a time
+ * @param {number} [options.fanIn=64] - The most runs to merge at once, at least 2
+ * @param {Object} [options.store=Iterant.memoryStore()] - Where to keep sorted runs
+ * @returns {Iterant}
+ * @throws {TypeError} - For an invalid comparator, run size, fan-in or store
+ */
+Iterant.prototype.externalSort = function externalSort(comparator, options) {
   if (undefined !== comparator && 'function' !== typeof comparator) {
     throw new TypeError('comparator must be a function');
   }
-  function defaultComparator(a, b) {
-    a = String(a), b = String(b);
-    if (a === b)
-      return 0;
-    if (a < b)
-      return -1;
-    return 1;
+  options = Object.assign({
+    runSize: 100000,
+    fanIn: 64
+  }, options);
+  Iterant.assertPositiveInteger(options.runSize, 'runSize');
+  if ('number' !== typeof options.fanIn || options.fanIn < 2 || 0 !== options.fanIn % 1) {
+    throw new TypeError('fanIn must be an integer of at least 2');
   }
-  comparator = comparator || defaultComparator;
-  return IterantArray(Array.from(this).sort(comparator));
+  options.store = options.store || Iterant.memoryStore();
+  Iterant.assertStore(options.store);
+  return Iterant.species(
+    this,
+    Iterant.externalSort(this, comparator || Iterant.defaultComparator, options)
+  );
 };
 /**
- * Creates a new shallow copy of the {@link Iterant}.
+ * Sorts by a declarative spec of one or more keys, rather than a 
+ * comparator. See {@link Iterant.comparator} for the spec. The sort is 
+ * stable, and doesn’t modify the wrapped iterable, even for an 
+ * {@link IterantArray}. Like {@link Iterant#sort}, the items are only read 
+ * when they’re needed, and leading slices take only the first items.
  * 
  * @example
- * const a = Iterant([1, 2, 3]);
- * const b = a.clone();
- * a !== b; // true
+ * Iterant(people).sortBy([
+ *   'address.country',
+ *   {key: 'lastName', locale: 'en', collation: {sensitivity: 'base'}},
+ *   {key: 'age', order: 'desc', mode: 'numeric', nulls: 'first'}
+ * ]);
  * 
- * @returns {Iterant} - A new {@link Iterant} instance
+ * @param {string|function|Object|Array} spec - See {@link Iterant.comparator}
+ * @returns {IterantSorted} - A sorted {@link IterantSorted}
+ * @throws {TypeError} - For an invalid spec
  */
-Iterant.prototype.clone = function clone() {
-  return this[Symbol.species](this._iterator);
+Iterant.prototype.sortBy = function sortBy(spec) {
+  return IterantSorted(this, Iterant.comparator(spec));
 };
 /**
- * Converts an {@link Iterant} to an {@link Array}. 
- * This is a pass-through for {@link Array~from} that’s convenient for chaining.
+ * The number of items. Consumes the {@link Iterant}, unless a subclass knows 
+ * its size.
+ * 
+ * @returns {number}
+ */
+Iterant.prototype.count = function count() {
+  return Iterant.run(this, STATISTICS.count());
+};
+/**
+ * The sum of the items, or of `fct` applied to each item, in a single pass. 
+ * Uses compensated summation, so it’s accurate for many small values. 
+ * `null` and `undefined` are ignored, like SQL’s `SUM`.
  * 
  * @example
- * function* gen() { for(let i = 0; i < 10; i++) { yield [String(i), i]; }};
- * Iterant(new Map(gen))
- *   .toArray();
+ * Iterant(orders).sum(order => order.total);
  * 
- * =>
- * [ [ '0', 0 ],
- *   [ '1', 1 ],
- *   [ '2', 2 ],
- *   [ '3', 3 ],
- *   [ '4', 4 ],
- *   [ '5', 5 ],
- *   [ '6', 6 ],
- *   [ '7', 7 ],
- *   [ '8', 8 ],
- *   [ '9', 9 ] ]
+ * @param {function} [fct] - Gets the number for an item, with `item` and `index`
+ * @returns {number} - `0` if there are no items
+ * @throws {TypeError} - For a value that isn’t a number
+ */
+Iterant.prototype.sum = function sum(fct) {
+  return Iterant.run(this, STATISTICS.sum(Iterant.guard(this, fct, {operator: 'sum'})));
+};
+/**
+ * The arithmetic mean of the items, or of `fct` applied to each item, in a 
+ * single pass. `null` and `undefined` are ignored.
  * 
- * @returns {@link Array}
+ * @param {function} [fct] - Gets the number for an item, with `item` and `index`
+ * @returns {number|undefined} - `undefined` if there are no numbers
+ * @throws {TypeError} - For a value that isn’t a number
  */
-Iterant.prototype.toArray = function toArray() {
-  return Array.from(this);
+Iterant.prototype.mean = function mean(fct) {
+  return Iterant.run(this, STATISTICS.mean(Iterant.guard(this, fct, {operator: 'mean'})));
 };
+/**
+ * The variance of the items, or of `fct` applied to each item, in a single, 
+ * numerically stable pass (Welford’s algorithm). `null` and `undefined` are ignored.
+ * 
+ * @example
+ * Iterant(samples).variance(s => s.latency, {sample: true});
+ * 
+ * @param {function} [fct] - Gets the number for an item, with `item` and `index`
+ * @param {Object} [options]
+ * @param {boolean} [options.sample=false] - The sample variance, divided by `n - 1`, rather than the population variance, divided by `n`
+ * @returns {number|undefined} - `undefined` if there are too few numbers
+ * @throws {TypeError} - For a value that isn’t a number
+ */
+Iterant.prototype.variance = function variance(fct, options) {
+  return Iterant.run(this, STATISTICS.variance(Iterant.guard(this, fct, {operator: 'variance'}), options));
+};
+/**
+ * The standard deviation, the square root of {@link Iterant#variance}.
+ * 
+ * @param {function} [fct] - Gets the number for an item, with `item` and `index`
+ * @param {Object} [options]
+ * @param {boolean} [options.sample=false] - The sample standard deviation
+ * @returns {number|undefined} - `undefined` if there are too few numbers
+ * @throws {TypeError} - For a value that isn’t a number
+ */
+Iterant.prototype.stddev = function stddev(fct, options) {
+  return Iterant.run(this, STATISTICS.stddev(Iterant.guard(this, fct, {operator: 'stddev'}), options));
+};
+/**
+ * The least item. `null` and `undefined` are ignored.
+ * 
+ * @param {function} [comparator=Iterant.compareKeys] - Returns a negative number if its first argument is less than its second
+ * @returns {*} - `undefined` if there are no items
+ */
+Iterant.prototype.min = function min(comparator) {
+  return Iterant.run(this, STATISTICS.min(Iterant.guard(this, comparator, {operator: 'min'})));
+};
+/**
+ * The greatest item. `null` and `undefined` are ignored.
+ * 
+ * @param {function} [comparator=Iterant.compareKeys] - Returns a negative number if its first argument is less than its second
+ * @returns {*} - `undefined` if there are no items
+ */
+Iterant.prototype.max = function max(comparator) {
+  return Iterant.run(this, STATISTICS.max(Iterant.guard(this, comparator, {operator: 'max'})));
+};
+/**
+ * The item with the least key. The first such item wins ties. Items whose 
+ * key is `null` or `undefined` are ignored.
+ * 
+ * @example
+ * Iterant(employees).minBy(employee => employee.hired);
+ * 
+ * @param {function} keyFn - Gets the key for an item, with `item` and `index`
+ * @param {function} [comparator=Iterant.compareKeys] - Compares two keys
+ * @returns {*} - `undefined` if there are no items
+ */
+Iterant.prototype.minBy = function minBy(keyFn, comparator) {
+  if ('function' !== typeof keyFn) {
+    throw new TypeError('keyFn must be a function');
+  }
+  return Iterant.run(this, STATISTICS.minBy(Iterant.guard(this, keyFn, {operator: 'minBy'}), comparator));
+};
+/**
+ * The item with the greatest key. The first such item wins ties. Items whose 
+ * key is `null` or `undefined` are ignored.
+ * 
+ * @param {function} keyFn - Gets the key for an item, with `item` and `index`
+ * @param {function} [comparator=Iterant.compareKeys] - Compares two keys
+ * @returns {*} - `undefined` if there are no items
+ */
+Iterant.prototype.maxBy = function maxBy(keyFn, comparator) {
+  if ('function' !== typeof keyFn) {
+    throw new TypeError('keyFn must be a function');
+  }
+  return Iterant.run(this, STATISTICS.maxBy(Iterant.guard(this, keyFn, {operator: 'maxBy'}), comparator));
+};
+/**
+ * Counts the items, or `fct` applied to each item, in buckets between 
+ * ascending `boundaries`. Each bucket includes its lower boundary, 
+ * `[from, to)`, except the last inner bucket, which also includes its upper 
+ * boundary. Values outside the boundaries are counted in buckets that extend 
+ * to `-Infinity` or `Infinity`, which are only returned if they’re not empty. 
+ * `null`, `undefined` and `NaN` are ignored.
+ * 
+ * @example
+ * Iterant([1, 5, 10, 12, 30]).histogram([0, 10, 20]);
+ * // [{from: 0, to: 10, count: 2}, {from: 10, to: 20, count: 2}, {from: 20, to: Infinity, count: 1}]
+ * 
+ * @param {Array<number>} boundaries - At least one, in ascending order
+ * @param {function} [fct] - Gets the number for an item, with `item` and `index`
+ * @returns {Array<{from: number, to: number, count: number}>}
+ * @throws {TypeError}
+ */
+Iterant.prototype.histogram = function histogram(boundaries, fct) {
+  return Iterant.run(this, STATISTICS.histogram(boundaries, Iterant.guard(this, fct, {operator: 'histogram'})));
+};
+/**
+ * An approximation of the `p`th percentile of the items, or of `fct` 
+ * applied to each item, in a single pass and bounded memory. The 
+ * approximation is a t-digest, which is most accurate towards the extremes, 
+ * like the 99th percentile, and exact for the minimum and maximum. 
+ * `null`, `undefined` and `NaN` are ignored.
+ * 
+ * @example
+ * Iterant(requests).percentile(99, request => request.duration);
+ * 
+ * @param {number} p - From `0` to `100`
+ * @param {function} [fct] - Gets the number for an item, with `item` and `index`
+ * @returns {number|undefined} - `undefined` if there are no numbers
+ * @throws {RangeError} - If `p` is out of range
+ * @throws {TypeError} - For a value that isn’t a number
+ */
+Iterant.prototype.percentile = function percentile(p, fct) {
+  return Iterant.run(this, STATISTICS.percentile(p, Iterant.guard(this, fct, {operator: 'percentile'})));
+};
+/**
+ * An approximation of the median, the 50th {@link Iterant#percentile}.
+ * 
+ * @param {function} [fct] - Gets the number for an item, with `item` and `index`
+ * @returns {number|undefined} - `undefined` if there are no numbers
+ */
+Iterant.prototype.median = function median(fct) {
+  return Iterant.run(this, STATISTICS.median(Iterant.guard(this, fct, {operator: 'median'})));
+};
+/**
+ * Wraps the {@link Iterant} in an {@link AsyncIterant}, for example, to
+ * combine it with promise-returning lookups.
+ *
+ * @example
+ * Iterant(uris)
+ *   .toAsync()
+ *   .map(uri => lookup(uri), { concurrency: 4 })
+ *   .toArray(); // Promise<Array>
+ *
+ * @returns {AsyncIterant} - A new {@link AsyncIterant}
+ *
+ * @see AsyncIterant#toSync
+ */
+Iterant.prototype.toAsync = function toAsync() {
+  return AsyncIterant(this);
+};
+
+/**
+ * Registers the built-in subclasses, once, the first time the registry is 
+ * used. Not when this module loads, because of the circular dependency: if a 
+ * subclass module is required first, its prototype isn’t set up until after 
+ * this module has finished loading.
+ * 
+ * @private
+ */
+function registerBuiltins() {
+  if (builtins) {
+    return;
+  }
+  builtins = true;
+  Iterant.register(Array.isArray, IterantArray);
+  Iterant.register(obj => obj instanceof Map, IterantMap);
+  Iterant.register(obj => obj instanceof Set, IterantSet);
+  Iterant.register(IterantRange.isRange, IterantRange);
+  Iterant.register(IterantRepeat.isRepetition, IterantRepeat);
+  Iterant.register(IterantString.isString, IterantString);
+  Iterant.register(IterantTypedArray.isTypedArray, IterantTypedArray);
+  Iterant.register(
+    obj => 'undefined' !== typeof Sequence && obj instanceof Sequence,
+    IterantSequence
+  );
+}
+
+// The built-in evaluators. Later registrations are tried first, so 
+// MarkLogic’s own XPath wins over the JavaScript subset for its nodes.
+Iterant.registerEvaluator(
+  'xpath',
+  item => Object(item) === item && 'number' === typeof item.nodeType && Boolean(item.childNodes),
+  (expression, options) => {
+    const evaluate = domPath(expression);
+    return item => evaluate(item, options.bindings);
+  }
+);
+Iterant.registerEvaluator(
+  'xpath',
+  item => Object(item) === item && (Iterant.isNode(item) || 'function' === typeof item.xpath),
+  (expression, options) => item => item.xpath(expression, options.bindings)
+);
+Iterant.registerEvaluator('jsonpath', () => true, expression => {
+  const evaluate = jsonPath(expression);
+  return item => evaluate(Iterant.isNode(item) ? item.toObject() : item);
+});
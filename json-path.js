@@ -0,0 +1,376 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+module.exports = jsonPath;
+const Scanner = require('./scanner.js');
+
+/**
+ * A parser for JSONPath expressions. Each method returns what it compiled.
+ * 
+ * @private
+ * @param {string} source
+ */
+function Parser(source) {
+  Scanner.call(this, source);
+}
+Parser.prototype = Object.create(Scanner.prototype);
+
+/**
+ * `$` followed by segments. The `$` may be left out, as in `a.b[0]`.
+ * 
+ * @returns {Array<Object>} - The segments
+ */
+Parser.prototype.path = function() {
+  if (this.eat('$') || this.peek('.') || this.peek('[')) {
+    return this.segments();
+  }
+  return [{
+    descendant: false,
+    selectors: [this.nameSelector()]
+  }].concat(this.segments());
+};
+Parser.prototype.segments = function() {
+  const segments = [];
+  for (;;) {
+    const descendant = this.eat('..');
+    let selectors;
+    if (this.peek('[')) {
+      selectors = this.bracket();
+    } else if (descendant || this.eat('.')) {
+      selectors = this.eat('*') ? [{type: 'wildcard'}] : [this.nameSelector()];
+    } else {
+      return segments;
+    }
+    segments.push({
+      descendant,
+      selectors
+    });
+  }
+};
+Parser.prototype.nameSelector = function() {
+  const name = this.match(/[\w$\u0080-\uFFFF]+/y);
+  if (null === name) {
+    this.error('Expected a property name');
+  }
+  return {
+    type: 'name',
+    name
+  };
+};
+Parser.prototype.bracket = function() {
+  this.expect('[');
+  const selectors = [];
+  do {
+    this.skipSpace();
+    selectors.push(this.selector());
+    this.skipSpace();
+  } while (this.eat(','));
+  this.expect(']');
+  return selectors;
+};
+Parser.prototype.selector = function() {
+  if (this.eat('*')) {
+    return {type: 'wildcard'};
+  }
+  if (this.eat('?')) {
+    return {
+      type: 'filter',
+      test: this.or().test
+    };
+  }
+  if (this.peek('\'') || this.peek('"')) {
+    return {
+      type: 'name',
+      name: this.string()
+    };
+  }
+  const start = this.integer();
+  if (!this.peek(':')) {
+    if (null === start) {
+      this.error('Expected a selector');
+    }
+    return {
+      type: 'index',
+      index: start
+    };
+  }
+  this.expect(':');
+  const end = this.integer();
+  const step = this.eat(':') ? this.integer() : null;
+  return {
+    type: 'slice',
+    start,
+    end,
+    step: null === step ? 1 : step
+  };
+};
+Parser.prototype.integer = function() {
+  this.skipSpace();
+  const digits = this.match(/-?\d+/y);
+  this.skipSpace();
+  return null === digits ? null : Number(digits);
+};
+/*
+ * Filter expressions compile to operands, `{value, test}`, each a function of 
+ * the current item, `@`, and the root, `$`. `value` is what’s compared and 
+ * `test` whether the operand on its own is true.
+ */
+
+Parser.prototype.or = function() {
+  return this.logical('||', 'and', (left, right) => (current, root) => left(current, root) || right(current, root));
+};
+Parser.prototype.and = function() {
+  return this.logical('&&', 'not', (left, right) => (current, root) => left(current, root) && right(current, root));
+};
+Parser.prototype.logical = function(operator, next, combine) {
+  let operand = this[next]();
+  this.skipSpace();
+  while (this.eat(operator)) {
+    operand = test(combine(operand.test, this[next]().test));
+    this.skipSpace();
+  }
+  return operand;
+};
+Parser.prototype.not = function() {
+  this.skipSpace();
+  if (this.peek('!') && !this.peek('!=')) {
+    this.pos++;
+    const negated = this.not().test;
+    return test((current, root) => !negated(current, root));
+  }
+  return this.comparison();
+};
+Parser.prototype.comparison = function() {
+  const left = this.operand();
+  this.skipSpace();
+  const operator = this.match(/[=!]=|<=|>=|<|>/y);
+  if (null === operator) {
+    return left;
+  }
+  const right = this.operand(), compare = COMPARISONS[operator];
+  return test((current, root) => compare(left.value(current, root), right.value(current, root)));
+};
+Parser.prototype.operand = function() {
+  this.skipSpace();
+  if (this.eat('(')) {
+    const operand = this.or();
+    this.skipSpace();
+    this.expect(')');
+    return operand;
+  }
+  if (this.peek('@') || this.peek('$')) {
+    return this.query();
+  }
+  if (this.peek('\'') || this.peek('"')) {
+    return literal(this.string());
+  }
+  const number = this.match(/-?\d+(\.\d+)?([eE][-+]?\d+)?/y);
+  if (null !== number) {
+    return literal(Number(number));
+  }
+  const keyword = this.match(/true|false|null/y);
+  if (null !== keyword) {
+    return literal(JSON.parse(keyword));
+  }
+  return this.error('Expected a value');
+};
+Parser.prototype.query = function() {
+  const relative = '@' === this.source[this.pos++];
+  const segments = this.segments();
+  function matches(current, root) {
+    return evaluate({
+      segments,
+      root
+    }, 0, relative ? current : root);
+  }
+  return {
+    value: (current, root) => {
+      for (const match of matches(current, root)) {
+        return match;
+      }
+      return undefined;
+    },
+    test: (current, root) => !matches(current, root).next().done
+  };
+};
+
+function test(fct) {
+  return {
+    value: fct,
+    test: fct
+  };
+}
+function literal(constant) {
+  return {
+    value: () => constant,
+    test: () => Boolean(constant)
+  };
+}
+/**
+ * Whether two values are ordered. Only numbers with numbers and strings 
+ * with strings are.
+ * 
+ * @private
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function comparable(a, b) {
+  const type = typeof a;
+  return type === typeof b && ('number' === type || 'string' === type);
+}
+const COMPARISONS = {
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '<': (a, b) => comparable(a, b) && a < b,
+  '<=': (a, b) => comparable(a, b) && a <= b,
+  '>': (a, b) => comparable(a, b) && a > b,
+  '>=': (a, b) => comparable(a, b) && a >= b
+};
+
+/**
+ * The values of an array’s items or an object’s own enumerable properties.
+ * 
+ * @private
+ * @param {*} value
+ * @returns {Array}
+ */
+function children(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  if (null === value || 'object' !== typeof value) {
+    return [];
+  }
+  return Object.keys(value).map(key => value[key]);
+}
+/**
+ * The indexes of an array slice, as in Python, including a negative `step`.
+ * 
+ * @private
+ * @param {Object} slice - `{start, end, step}`, `start` and `end` may be `null`
+ * @param {number} length
+ * @returns {Iterable<number>}
+ */
+function* sliceIndexes(slice, length) {
+  const step = slice.step;
+  function bound(index, lower, upper) {
+    const absolute = index < 0 ? length + index : index;
+    return Math.min(Math.max(absolute, lower), upper);
+  }
+  if (step > 0) {
+    const end = null === slice.end ? length : bound(slice.end, 0, length);
+    for (let i = null === slice.start ? 0 : bound(slice.start, 0, length); i < end; i += step) {
+      yield i;
+    }
+  } else if (step < 0) {
+    const end = null === slice.end ? -1 : bound(slice.end, -1, length - 1);
+    for (let i = null === slice.start ? length - 1 : bound(slice.start, -1, length - 1); i > end; i += step) {
+      yield i;
+    }
+  }
+}
+/**
+ * Yields what a selector selects from a value.
+ * 
+ * @private
+ * @param {Object} selector
+ * @param {*} value
+ * @param {*} root
+ * @returns {Iterable}
+ */
+function* select(selector, value, root) {
+  const isArray = Array.isArray(value);
+  switch (selector.type) {
+    case 'name':
+      if (!isArray && null !== value && 'object' === typeof value &&
+        Object.prototype.hasOwnProperty.call(value, selector.name)) {
+        yield value[selector.name];
+      }
+      break;
+    case 'index':
+      if (isArray) {
+        const index = selector.index < 0 ? value.length + selector.index : selector.index;
+        if (index >= 0 && index < value.length) {
+          yield value[index];
+        }
+      }
+      break;
+    case 'slice':
+      if (isArray) {
+        for (const index of sliceIndexes(selector, value.length)) {
+          yield value[index];
+        }
+      }
+      break;
+    case 'filter':
+      yield* children(value).filter(child => selector.test(child, root));
+      break;
+    default:
+      yield* children(value);
+  }
+}
+/**
+ * Yields the matches of the segments from `index` on, in document order.
+ * 
+ * @private
+ * @param {{segments: Array<Object>, root: *}} path - The segments, and the 
+ * root that `$` refers to in filters
+ * @param {number} index
+ * @param {*} value
+ * @returns {Iterable}
+ */
+function* evaluate(path, index, value) {
+  if (index === path.segments.length) {
+    yield value;
+    return;
+  }
+  const segment = path.segments[index];
+  for (const selector of segment.selectors) {
+    for (const match of select(selector, value, path.root)) {
+      yield* evaluate(path, index + 1, match);
+    }
+  }
+  if (segment.descendant) {
+    for (const child of children(value)) {
+      yield* evaluate(path, index, child);
+    }
+  }
+}
+
+/**
+ * Compiles a JSONPath expression, as used by {@link Iterant#select}.
+ * 
+ * @private
+ * @param {string} expression
+ * @returns {function} - Called with a value, yields the matches
+ * @throws {TypeError} - If `expression` isn’t a string
+ * @throws {SyntaxError} - For an invalid expression
+ */
+function jsonPath(expression) {
+  if ('string' !== typeof expression) {
+    throw new TypeError('path must be a string of JSONPath');
+  }
+  const parser = new Parser(expression.trim());
+  const segments = parser.path();
+  if (!parser.done()) {
+    parser.error('Unexpected ' + parser.source[parser.pos]);
+  }
+  return value => evaluate({
+    segments,
+    root: value
+  }, 0, value);
+}
@@ -0,0 +1,103 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+module.exports = Scanner;
+
+/**
+ * The shared base of the path expression parsers. Each method consumes part 
+ * of the `source`, starting at `pos`.
+ * 
+ * @private
+ * @param {string} source
+ */
+function Scanner(source) {
+  this.source = source;
+  this.pos = 0;
+}
+Scanner.prototype.error = function(message) {
+  throw new SyntaxError(message + ' at position ' + this.pos + ' of ' + this.source);
+};
+Scanner.prototype.peek = function(token) {
+  return this.source.startsWith(token, this.pos);
+};
+Scanner.prototype.eat = function(token) {
+  if (this.peek(token)) {
+    this.pos += token.length;
+    return true;
+  }
+  return false;
+};
+Scanner.prototype.expect = function(token) {
+  if (!this.eat(token)) {
+    this.error('Expected ' + token);
+  }
+};
+Scanner.prototype.skipSpace = function() {
+  this.match(/\s*/y);
+};
+/**
+ * Consumes a match of a sticky regular expression.
+ * 
+ * @param {RegExp} regex - Has the `y` flag
+ * @returns {string|null} - The match, or `null` if there’s none
+ */
+Scanner.prototype.match = function(regex) {
+  regex.lastIndex = this.pos;
+  const match = regex.exec(this.source);
+  if (match) {
+    this.pos += match[0].length;
+    return match[0];
+  }
+  return null;
+};
+Scanner.prototype.done = function() {
+  return this.pos >= this.source.length;
+};
+/**
+ * Consumes a string literal, in single or double quotes, with JSON-style 
+ * backslash escapes.
+ * 
+ * @returns {string}
+ */
+Scanner.prototype.string = function() {
+  const quote = this.source[this.pos++];
+  let value = '';
+  for (;;) {
+    const char = this.source[this.pos++];
+    if (undefined === char) {
+      this.error('Unterminated string');
+    }
+    if (quote === char) {
+      return value;
+    }
+    value += '\\' === char ? this.escape() : char;
+  }
+};
+Scanner.prototype.escape = function() {
+  const char = this.source[this.pos++];
+  if ('u' === char) {
+    const hex = this.match(/[0-9a-fA-F]{4}/y) || this.error('Invalid \\u escape');
+    return String.fromCharCode(parseInt(hex, 16));
+  }
+  return Object.prototype.hasOwnProperty.call(ESCAPES, char) ? ESCAPES[char] : char;
+};
+const ESCAPES = {
+  b: '\b',
+  f: '\f',
+  n: '\n',
+  r: '\r',
+  t: '\t'
+};
@@ -0,0 +1,202 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+const test = require('tape');
+
+const AsyncIterant = require('../async-iterant');
+const Iterant = require('../iterant');
+const IterantArray = require('../iterant-array');
+
+function delay(value, ms) {
+  return new Promise(resolve => setTimeout(() => resolve(value), ms));
+}
+
+function asyncRange(n, log) {
+  return {
+    [AsyncIterant.asyncIterator]() {
+      let i = 0;
+      return {
+        next() {
+          return Promise.resolve(
+            {
+              value: i < n ? i++ : undefined,
+              done: i >= n
+            }
+          );
+        },
+        return(value) {
+          log.push('return');
+          return Promise.resolve({
+            value,
+            done: true
+          });
+        }
+      };
+    }
+  };
+}
+
+test('AsyncIterant factory', assert => {
+  const ai = AsyncIterant([1, 2, 3]);
+  assert.true(ai instanceof AsyncIterant, 'instanceof AsyncIterant');
+  assert.equal(
+    Object.prototype.toString.call(ai),
+    '[object AsyncIterant]',
+    'toString'
+  );
+  assert.true(AsyncIterant.isAsyncIterable(ai), 'is async iterable');
+  assert.false(AsyncIterant.isAsyncIterable([1]), 'Array is not');
+  assert.throws(() => AsyncIterant(44), TypeError, 'Not iterable is error');
+  assert.true(
+    Iterant([1, 2]).toAsync() instanceof AsyncIterant,
+    'Iterant.prototype.toAsync'
+  );
+  assert.end();
+});
+
+test('Sync iterable of Promises', assert => {
+  AsyncIterant([delay('a', 10), 'b', Promise.resolve('c')])
+    .toArray()
+    .then(items => {
+      assert.deepEqual(items, ['a', 'b', 'c'], 'resolves each item');
+      assert.end();
+    })
+    .catch(assert.end);
+});
+
+test('AsyncIterant.prototype.map preserves order with concurrency', assert => {
+  let active = 0, peak = 0;
+  function lookup(item) {
+    active++;
+    peak = Math.max(peak, active);
+    return delay(item * 10, (5 - item) * 5).then(value => {
+      active--;
+      return value;
+    });
+  }
+  AsyncIterant([1, 2, 3, 4, 5])
+    .map(lookup, {concurrency: 2})
+    .toArray()
+    .then(items => {
+      assert.deepEqual(items, [10, 20, 30, 40, 50], 'source order');
+      assert.equal(peak, 2, 'never more than concurrency pending');
+      assert.throws(
+        () => AsyncIterant([]).map(lookup, {concurrency: 0}),
+        TypeError,
+        'invalid concurrency'
+      );
+      assert.end();
+    })
+    .catch(assert.end);
+});
+
+test('AsyncIterant.prototype.map rejects once when a later item fails first', assert => {
+  let unhandled = 0;
+  function count() { unhandled++; }
+  process.on('unhandledRejection', count);
+  AsyncIterant([1, 2, 3])
+    .map(
+      item => 1 === item ? delay(item, 50) : Promise.reject(new Error('bad')),
+      {concurrency: 3}
+    )
+    .toArray()
+    .then(
+      () => assert.fail('should reject'),
+      error => assert.equal(error.message, 'bad', 'caller sees the rejection')
+    )
+    .then(() => delay(undefined, 10))
+    .then(() => {
+      process.removeListener('unhandledRejection', count);
+      assert.equal(unhandled, 0, 'no unhandled rejections');
+      assert.end();
+    })
+    .catch(assert.end);
+});
+
+test('AsyncIterant.prototype.filter', assert => {
+  AsyncIterant([1, 2, 3, 4, 5, 6])
+    .filter(item => delay(0 === item % 2, 7 - item), {concurrency: 3})
+    .toArray()
+    .then(items => {
+      assert.deepEqual(items, [2, 4, 6], 'async predicate');
+      assert.end();
+    })
+    .catch(assert.end);
+});
+
+test('AsyncIterant.prototype.reduce', assert => {
+  AsyncIterant([1, 2, 3])
+    .reduce((prev, item) => Promise.resolve(prev + item), 0)
+    .then(total => {
+      assert.equal(total, 6, 'awaits reducer');
+      assert.end();
+    })
+    .catch(assert.end);
+});
+
+test('AsyncIterant.prototype.slice closes the source', assert => {
+  const log = [];
+  AsyncIterant(asyncRange(100, log))
+    .slice(2, 4)
+    .toArray()
+    .then(items => {
+      assert.deepEqual(items, [2, 3], 'slice');
+      assert.deepEqual(log, ['return'], 'source closed at end');
+      assert.end();
+    })
+    .catch(assert.end);
+});
+
+test('AsyncIterant.prototype.map closes the source on error', assert => {
+  const log = [];
+  AsyncIterant(asyncRange(100, log))
+    .map(item => {
+      if (3 === item) throw new Error('Boom');
+      return item;
+    })
+    .toArray()
+    .then(
+      () => assert.end(new Error('Should have rejected')),
+      error => {
+        assert.equal(error.message, 'Boom', 'rejects with mapper error');
+        assert.deepEqual(log, ['return'], 'source closed');
+        assert.end();
+      }
+    );
+});
+
+test('AsyncIterant.prototype.concat and sort', assert => {
+  AsyncIterant([3, 1])
+    .concat(AsyncIterant([Promise.resolve(2)]), 5, [4])
+    .sort((a, b) => a - b)
+    .toArray()
+    .then(items => {
+      assert.deepEqual(items, [1, 2, 3, 4, 5], 'concatenated and sorted');
+      assert.end();
+    })
+    .catch(assert.end);
+});
+
+test('AsyncIterant.prototype.toSync', assert => {
+  const ai = AsyncIterant([Promise.resolve(1), 2]);
+  ai.toSync() // eslint-disable-line no-sync
+    .then(ia => {
+      assert.true(ia instanceof IterantArray, 'IterantArray');
+      assert.deepEqual(ia.toArray(), [1, 2], 'buffered');
+      assert.end();
+    })
+    .catch(assert.end);
+});
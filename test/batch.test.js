@@ -0,0 +1,96 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+const test = require('tape');
+
+const Iterant = require('../iterant');
+
+function* range(n, log) {
+  for (let i = 0; i < n; i++) {
+    if (log) {
+      log.push(i);
+    }
+    yield i;
+  }
+}
+
+test('Iterant.prototype.chunk', assert => {
+  assert.deepEqual(
+    Iterant(range(7)).chunk(3)
+      .toArray(),
+    [[0, 1, 2], [3, 4, 5], [6]],
+    'last chunk is shorter'
+  );
+  assert.deepEqual(Iterant(range(0)).chunk(3)
+    .toArray(), [], 'empty');
+  const log = [];
+  assert.deepEqual(Iterant(range(100, log)).chunk(2)
+    .first(), [0, 1], 'lazy');
+  assert.deepEqual(log, [0, 1], 'only reads the first chunk');
+  assert.throws(() => Iterant(range(1)).chunk(0), TypeError, 'size');
+  assert.end();
+});
+
+test('Iterant.prototype.window', assert => {
+  assert.deepEqual(
+    Iterant(range(5)).window(3)
+      .toArray(),
+    [[0, 1, 2], [1, 2, 3], [2, 3, 4]],
+    'sliding'
+  );
+  assert.deepEqual(
+    Iterant(range(6)).window(2, 2)
+      .toArray(),
+    [[0, 1], [2, 3], [4, 5]],
+    'tumbling'
+  );
+  assert.deepEqual(
+    Iterant(range(7)).window(2, 3)
+      .toArray(),
+    [[0, 1], [3, 4]],
+    'step larger than size skips items'
+  );
+  assert.deepEqual(Iterant(range(2)).window(3)
+    .toArray(), [], 'too short');
+  assert.throws(() => Iterant(range(1)).window(2, 0), TypeError, 'step');
+  assert.end();
+});
+
+test('Iterant.prototype.pairwise', assert => {
+  assert.deepEqual(
+    Iterant(range(4)).pairwise()
+      .toArray(),
+    [[0, 1], [1, 2], [2, 3]],
+    'pairs'
+  );
+  assert.end();
+});
+
+test('Iterant.prototype.batchBy', assert => {
+  const words = ['aa', 'b', 'cccc', 'dd', 'eeeeeeee', 'f'];
+  assert.deepEqual(
+    Iterant(words.values()).batchBy(word => word.length, 4)
+      .toArray(),
+    [['aa', 'b'], ['cccc'], ['dd'], ['eeeeeeee'], ['f']],
+    'batches under the maximum weight'
+  );
+  assert.throws(
+    () => Iterant(range(1)).batchBy(i => i, 0),
+    TypeError,
+    'maxWeight'
+  );
+  assert.end();
+});
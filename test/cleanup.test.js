@@ -0,0 +1,163 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+const test = require('tape');
+
+const Iterant = require('../iterant');
+
+/* A source that records how far it got and whether it was finalized. */
+function source(n, log, name) {
+  name = name || 'source';
+  function* generate() {
+    try {
+      for (let i = 0; i < n; i++) {
+        yield i;
+      }
+      log.push(name + ' done');
+    } finally {
+      log.push(name + ' finally');
+    }
+  }
+  return generate();
+}
+
+test('break closes every stage of a pipeline', assert => {
+  const log = [];
+  const pipeline = Iterant(source(100, log))
+    .map(i => i * 2)
+    .filter(i => 0 === i % 4)
+    .slice(1);
+  for (const item of pipeline) {
+    if (item > 8) {
+      break;
+    }
+  }
+  assert.deepEqual(log, ['source finally'], 'source finalized');
+  assert.end();
+});
+
+test('slice stops without reading past end', assert => {
+  const log = [];
+  let reads = 0;
+  const items = Iterant(source(100, log))
+    .map(i => {
+      reads++;
+      return i;
+    })
+    .slice(1, 3)
+    .toArray();
+  assert.deepEqual(items, [1, 2], 'items');
+  assert.equal(reads, 3, 'only reads up to end');
+  assert.deepEqual(log, ['source finally'], 'source finalized');
+  assert.deepEqual(Iterant([1, 2]).slice(1, 1)
+    .toArray(), [], 'empty slice');
+  assert.end();
+});
+
+test('exceptions in callbacks close the source', assert => {
+  const callbacks = {
+    map: pipeline => pipeline.map(i => {
+      if (2 === i) throw new Error('map');
+      return i;
+    }),
+    filter: pipeline => pipeline.filter(i => {
+      if (2 === i) throw new Error('filter');
+      return true;
+    }),
+    reduce: pipeline => pipeline.reduce((prev, i) => {
+      if (2 === i) throw new Error('reduce');
+      return prev + i;
+    }, 0),
+    find: pipeline => pipeline.find(i => {
+      if (2 === i) throw new Error('find');
+      return false;
+    })
+  };
+  Object.keys(callbacks).forEach(name => {
+    const log = [];
+    assert.throws(
+      () => Iterant.prototype.toArray.call(
+        Iterant(callbacks[name](Iterant(source(100, log))))
+      ),
+      new RegExp(name),
+      name + ' throws'
+    );
+    assert.deepEqual(log, ['source finally'], name + ' finalized source');
+  });
+  assert.end();
+});
+
+test('iterator.throw() propagates and closes the source', assert => {
+  const log = [];
+  const pipeline = Iterant(source(100, log))
+    .map(i => i)
+    .filter(() => true);
+  const itr = pipeline[Symbol.iterator]();
+  itr.next();
+  assert.throws(() => itr.throw(new Error('Thrown')), /Thrown/, 'rethrown');
+  assert.deepEqual(log, ['source finally'], 'source finalized');
+  assert.true(itr.next().done, 'done after throw');
+  assert.end();
+});
+
+test('iterator.return() closes the source', assert => {
+  const log = [];
+  const sliced = Iterant(source(100, log)).slice(2);
+  const itr = sliced[Symbol.iterator]();
+  itr.next();
+  itr.return();
+  assert.deepEqual(log, ['source finally'], 'source finalized');
+  assert.end();
+});
+
+test('Iterant.delegate closes the outer and inner iterables', assert => {
+  const log = [];
+  const itr = Iterant.delegate(source(100, log, 'outer'), function*(i) {
+    yield* source(i + 2, log, 'inner ' + i);
+  });
+  itr.next();
+  itr.next();
+  itr.next();
+  itr.return();
+  assert.deepEqual(
+    log,
+    ['inner 0 done', 'inner 0 finally', 'inner 1 finally', 'outer finally'],
+    'both finalized'
+  );
+  assert.end();
+});
+
+test('concat closes each of its arguments', assert => {
+  const log = [];
+  const pending = source(2, log, 'd');
+  const concatenated = Iterant(source(2, log, 'a'))
+    .concat(source(2, log, 'b'), 'c', pending);
+  assert.deepEqual(concatenated.slice(0, 3)
+    .toArray(), [0, 1, 0], 'items');
+  assert.deepEqual(
+    log,
+    ['a done', 'a finally', 'b finally'],
+    'current argument finalized'
+  );
+  assert.true(pending.next().done, 'pending argument closed');
+  assert.deepEqual(
+    Iterant([1]).concat(2, [3], 'four')
+      .toArray(),
+    [1, 2, 3, 'four'],
+    'non-iterables and strings are appended as-is'
+  );
+  assert.end();
+});
@@ -0,0 +1,143 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+const test = require('tape');
+
+const Iterant = require('../iterant');
+
+test('Iterant.prototype.distinct', assert => {
+  assert.deepEqual(
+    Iterant([1, 2, 1, NaN, '1', NaN, 0, -0])
+      .distinct()
+      .toArray(),
+    [1, 2, NaN, '1', 0],
+    'SameValueZero'
+  );
+  const ab = {
+    a: 1,
+    b: [2]
+  };
+  const ba = {
+    b: [2],
+    a: 1
+  };
+  assert.deepEqual(
+    Iterant([ab, ba, {a: 1}])
+      .distinct({equality: 'json'})
+      .toArray(),
+    [ab, {a: 1}],
+    'deep JSON equality ignores property order'
+  );
+  assert.deepEqual(
+    Iterant(['a', 'B', 'b', 'A'])
+      .distinct({key: item => item.toLowerCase()})
+      .toArray(),
+    ['a', 'B'],
+    'key'
+  );
+  assert.throws(() => Iterant([]).distinct({equality: 'deep'}), TypeError, 'unknown equality');
+  assert.throws(() => Iterant([]).distinct({key: 'id'}), TypeError, 'key must be a function');
+  assert.end();
+});
+
+test('Iterant.prototype.distinct is lazy', assert => {
+  function* cycle() {
+    for (let i = 0; ; i++) {
+      yield i % 3;
+    }
+  }
+  assert.deepEqual(
+    Iterant(cycle())
+      .distinct()
+      .slice(0, 3)
+      .toArray(),
+    [0, 1, 2],
+    'infinite'
+  );
+  assert.end();
+});
+
+test('Iterant.prototype.distinctBy', assert => {
+  const people = [
+    {
+      name: 'Ada',
+      team: {id: 1}
+    },
+    {
+      name: 'Grace',
+      team: {id: 2}
+    },
+    {
+      name: 'Edsger',
+      team: {id: 1}
+    }
+  ];
+  assert.deepEqual(
+    Iterant(people)
+      .distinctBy(person => person.team, {equality: 'json'})
+      .map(person => person.name)
+      .toArray(),
+    ['Ada', 'Grace'],
+    'first item with each key'
+  );
+  assert.throws(() => Iterant([]).distinctBy(), TypeError, 'keyFn must be a function');
+  assert.end();
+});
+
+test('Iterant.prototype.distinctUntilChanged', assert => {
+  assert.deepEqual(
+    Iterant([1, 1, 2, NaN, NaN, 2, 1])
+      .distinctUntilChanged()
+      .toArray(),
+    [1, 2, NaN, 2, 1],
+    'adjacent duplicates'
+  );
+  assert.deepEqual(
+    Iterant([[1], [1], [2]])
+      .distinctUntilChanged({equality: 'json'})
+      .toArray(),
+    [[1], [2]],
+    'json'
+  );
+  assert.end();
+});
+
+test('Set operations', assert => {
+  const left = [1, 2, 2, 3, 4], right = [3, 4, 4, 5];
+  assert.deepEqual(Iterant(left).union(right)
+    .toArray(), [1, 2, 3, 4, 5], 'union');
+  assert.deepEqual(Iterant(left).intersect(right)
+    .toArray(), [3, 4], 'intersect');
+  assert.deepEqual(Iterant(left).difference(right)
+    .toArray(), [1, 2], 'difference');
+  assert.deepEqual(Iterant(left).symmetricDifference(right)
+    .toArray(), [1, 2, 5], 'symmetricDifference');
+  assert.deepEqual(
+    Iterant([{id: 1}, {id: 2}])
+      .intersect([{id: 2}], {equality: 'json'})
+      .toArray(),
+    [{id: 2}],
+    'json'
+  );
+  assert.deepEqual(
+    Iterant(['a', 'b'])
+      .difference(['B'], {key: item => item.toUpperCase()})
+      .toArray(),
+    ['a'],
+    'key'
+  );
+  assert.end();
+});
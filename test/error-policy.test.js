@@ -0,0 +1,378 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+const test = require('tape');
+
+const Iterant = require('../iterant');
+const IterantArray = require('../iterant-array');
+const IterantError = require('../iterant-error');
+const IterantMap = require('../iterant-map');
+const IterantTypedArray = require('../iterant-typed-array');
+
+function* numbers() {
+  yield* ['1', '2', '{', '4', ']'];
+}
+
+test('IterantError', assert => {
+  const cause = new SyntaxError('Unexpected token');
+  const error = new IterantError(cause, {
+    item: '{',
+    index: 2,
+    operator: 'map'
+  });
+  assert.true(error instanceof Error, 'instanceof Error');
+  assert.true(IterantError(cause) instanceof IterantError, 'factory');
+  assert.equal(error.name, 'IterantError', 'name');
+  assert.equal(error.message, 'map failed on the item at index 2: Unexpected token', 'message');
+  assert.equal(error.cause, cause, 'cause');
+  assert.equal(error.stack.split('\n')[1], cause.stack.split('\n')[1], 'stack of the cause');
+  assert.equal(new IterantError('Boom').message, 'undefined failed on the item at index undefined: Boom', 'non-Error cause');
+  assert.end();
+});
+
+test('Callback failures are wrapped in an IterantError', assert => {
+  try {
+    Iterant(numbers())
+      .filter(item => item.length > 0)
+      .map(JSON.parse)
+      .toArray();
+    assert.fail('Should have thrown');
+  } catch (error) {
+    assert.true(error instanceof IterantError, 'IterantError');
+    assert.equal(error.operator, 'map', 'operator');
+    assert.equal(error.index, 2, 'index');
+    assert.equal(error.item, '{', 'item');
+    assert.true(error.cause instanceof SyntaxError, 'cause');
+  }
+  assert.throws(
+    () => Iterant(numbers()).reduce((sum, item) => sum + JSON.parse(item), 0),
+    IterantError,
+    'reduce'
+  );
+  assert.end();
+});
+
+test('Iterant.prototype.onError', assert => {
+  assert.deepEqual(
+    Iterant(numbers())
+      .onError('skip')
+      .map(JSON.parse)
+      .toArray(),
+    [1, 2, 4],
+    'skip'
+  );
+  const collected = Iterant(numbers())
+    .onError('collect')
+    .map(JSON.parse)
+    .filter(item => item > 1);
+  assert.deepEqual(collected.errors, [], 'nothing collected before consumption');
+  assert.deepEqual(collected.toArray(), [2, 4], 'collect skips');
+  assert.deepEqual(
+    collected.errors.map(error => [error.operator, error.index, error.item]),
+    [['map', 2, '{'], ['map', 4, ']']],
+    'collected errors'
+  );
+  assert.equal(
+    Iterant(numbers())
+      .onError('skip')
+      .reduce((sum, item) => sum + JSON.parse(item), 0),
+    7,
+    'reduce keeps the previous accumulator'
+  );
+  assert.throws(
+    () => Iterant(numbers())
+      .onError('skip')
+      .onError('throw')
+      .map(JSON.parse)
+      .toArray(),
+    IterantError,
+    'throw'
+  );
+  assert.deepEqual(
+    Iterant(['a1', 'b', 'c1'])
+      .onError('skip')
+      .filter(RegExp.prototype.test, /1/)
+      .toArray(),
+    ['a1', 'c1'],
+    'callbacks keep their this binding'
+  );
+  assert.throws(() => Iterant([]).onError('ignore'), TypeError, 'unknown mode');
+  assert.deepEqual(
+    Object.keys(Iterant(numbers())
+      .onError('skip')
+      .map(JSON.parse)),
+    Object.keys(Iterant(numbers())),
+    'policy isn’t enumerable'
+  );
+  assert.end();
+});
+
+test('Iterant.prototype.catchError', assert => {
+  const seen = [];
+  assert.deepEqual(
+    Iterant(numbers())
+      .catchError(error => {
+        seen.push(error.index);
+        return '{' === error.item ? null : Iterant.SKIP;
+      })
+      .map(JSON.parse)
+      .toArray(),
+    [1, 2, null, 4],
+    'substitute or skip'
+  );
+  assert.deepEqual(seen, [2, 4], 'handler called with the IterantError');
+  assert.deepEqual(
+    Iterant([1, 2, 3])
+      .catchError(() => false)
+      .filter(item => {
+        if (2 === item) {
+          throw new Error('Boom');
+        }
+        return true;
+      })
+      .toArray(),
+    [1, 3],
+    'substitute predicate result'
+  );
+  assert.throws(() => Iterant([]).catchError(), TypeError, 'handler must be a function');
+  assert.end();
+});
+
+test('Iterant.prototype.retry', assert => {
+  const attempts = {}, delays = [];
+  function flaky(item) {
+    attempts[item] = (attempts[item] || 0) + 1;
+    if (attempts[item] < item) {
+      throw new Error('Try again');
+    }
+    return item * 10;
+  }
+  assert.deepEqual(
+    Iterant([1, 2, 3, 4])
+      .retry(2, attempt => {
+        delays.push(attempt);
+        return 0;
+      })
+      .onError('collect')
+      .map(flaky)
+      .toArray(),
+    [10, 20, 30],
+    'retried until success'
+  );
+  assert.deepEqual(
+    [1, 2, 3, 4].map(item => attempts[item]),
+    [1, 2, 3, 3],
+    'at most count retries per item'
+  );
+  assert.deepEqual(delays, [1, 1, 2, 1, 2], 'backoff called with the retry number');
+  assert.throws(() => Iterant([]).retry(-1), TypeError, 'invalid count');
+  assert.throws(() => Iterant([]).retry(1, '1s'), TypeError, 'invalid backoff');
+  assert.end();
+});
+
+test('Iterant.prototype.retry doesn’t block outside MarkLogic', assert => {
+  let failed = false;
+  const start = Date.now();
+  assert.deepEqual(
+    Iterant([1])
+      .retry(1, 60000)
+      .map(item => {
+        if (!failed) {
+          failed = true;
+          throw new Error('Transient');
+        }
+        return item;
+      })
+      .toArray(),
+    [1],
+    'retried'
+  );
+  assert.true(Date.now() - start < 1000, 'without waiting');
+  assert.end();
+});
+
+test('IterantArray falls back to Iterant with an error policy', assert => {
+  const iterable = IterantArray(['1', 'x', '3']);
+  assert.throws(() => iterable.map(JSON.parse), IterantError, 'native without a policy');
+  const mapped = iterable.onError('collect').map(JSON.parse);
+  assert.deepEqual(mapped.toArray(), [1, 3], 'policy applied');
+  assert.equal(mapped.errors.length, 1, 'collected');
+  assert.end();
+});
+
+test('Fast paths wrap callback failures like the generic ones', assert => {
+  function failsOn(third, result) {
+    return item => {
+      if (third === item) {
+        throw new SyntaxError('third');
+      }
+      return result;
+    };
+  }
+  function failure(fct) {
+    try {
+      const result = fct();
+      if (result instanceof Iterant) {
+        result.toArray();
+      }
+    } catch (error) {
+      return [error instanceof IterantError, error.operator, error.index, error.item];
+    }
+    return null;
+  }
+  const sources = {
+    Iterant: () => Iterant(numbers()),
+    IterantArray: () => IterantArray(['1', '2', '{', '4']),
+    IterantTypedArray: () => IterantTypedArray(new Uint8Array([1, 2, 3, 4]))
+  };
+  const thirds = {
+    Iterant: '{',
+    IterantArray: '{',
+    IterantTypedArray: 3
+  };
+  Object.keys(sources).forEach(name => {
+    const source = sources[name];
+    ['map', 'filter', 'flatMap', 'find', 'findIndex', 'some', 'every', 'groupBy', 'countBy', 'partition']
+      .forEach(operator => {
+        assert.deepEqual(
+          failure(() => source()[operator](failsOn(thirds[name], 'every' === operator))),
+          [true, operator, 2, thirds[name]],
+          `${name}#${operator}`
+        );
+      });
+    assert.deepEqual(
+      failure(() => source().reduce((acc, item) => failsOn(thirds[name], acc)(item), 0)),
+      [true, 'reduce', 2, thirds[name]],
+      `${name}#reduce`
+    );
+    assert.deepEqual(
+      failure(() => source().aggregateBy(failsOn(thirds[name], 'key'), {n: Iterant.reducers.count()})),
+      [true, 'aggregateBy', 2, thirds[name]],
+      `${name}#aggregateBy`
+    );
+  });
+  assert.end();
+});
+
+test('Fast paths apply the error policy to find, some, every, partition and groupBy', assert => {
+  function parse(item) {
+    return JSON.parse(item) > 1;
+  }
+  const array = IterantArray(['1', 'x', '3']).onError('skip');
+  assert.equal(array.find(parse), '3', 'find skips');
+  assert.equal(array.findIndex(parse), 2, 'findIndex skips');
+  assert.true(array.some(parse), 'some skips');
+  assert.false(array.every(parse), 'every skips');
+  assert.deepEqual(array.partition(parse).map(part => part.toArray()), [['3'], ['1']], 'partition leaves out');
+  assert.deepEqual(
+    Array.from(array
+      .groupBy(parse)
+      .toMap()),
+    [[false, ['1']], [true, ['3']]],
+    'groupBy leaves out'
+  );
+  assert.deepEqual(
+    Array.from(array
+      .aggregateBy(parse, {n: Iterant.reducers.count()})
+      .toMap()),
+    [[false, {n: 1}], [true, {n: 1}]],
+    'aggregateBy leaves out'
+  );
+  assert.end();
+});
+
+test('IterantMap wraps callback failures', assert => {
+  const map = IterantMap(new Map([['a', '1'], ['b', 'x']]));
+  assert.throws(() => map.mapValues(JSON.parse), IterantError, 'mapValues');
+  assert.throws(() => map.mapKeys((key, value) => JSON.parse(value)), IterantError, 'mapKeys');
+  assert.throws(() => map.filterEntries(JSON.parse), IterantError, 'filterEntries');
+  assert.deepEqual(
+    Array.from(map
+      .onError('skip')
+      .mapValues(JSON.parse)
+      .toMap()),
+    [['a', 1]],
+    'skipped entries left out'
+  );
+  assert.end();
+});
+
+test('select, query and externalSort keep the error policy', assert => {
+  const iterable = Iterant([{a: '1'}, {a: 'x'}]).onError('skip');
+  assert.deepEqual(
+    iterable
+      .select('$.a')
+      .map(JSON.parse)
+      .toArray(),
+    [1],
+    'select'
+  );
+  assert.deepEqual(
+    iterable
+      .query('$.a', {language: 'jsonpath'})
+      .map(JSON.parse)
+      .toArray(),
+    [1],
+    'query'
+  );
+  assert.deepEqual(
+    Iterant(['x', '1'])
+      .onError('skip')
+      .externalSort()
+      .map(JSON.parse)
+      .toArray(),
+    [1],
+    'externalSort'
+  );
+  assert.end();
+});
+
+test('Iterant.SKIP is a plain value without an error policy', assert => {
+  function skip() {
+    return Iterant.SKIP;
+  }
+  assert.equal(
+    Iterant(numbers())
+      .map(skip)
+      .count(),
+    5,
+    'map'
+  );
+  assert.equal(
+    Iterant(numbers())
+      .filter(skip)
+      .count(),
+    5,
+    'filter'
+  );
+  assert.equal(Iterant(numbers()).reduce(skip, 0), Iterant.SKIP, 'reduce');
+  assert.equal(
+    Iterant(numbers())
+      .flatMap(skip)
+      .count(),
+    5,
+    'flatMap'
+  );
+  assert.deepEqual(
+    Iterant(numbers())
+      .onError('skip')
+      .map(skip)
+      .toArray(),
+    [],
+    'dropped under a policy'
+  );
+  assert.end();
+});
@@ -0,0 +1,206 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+const test = require('tape');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Iterant = require('../iterant');
+const fileStore = require('../file-store');
+
+function numeric(a, b) {
+  return a - b;
+}
+function* shuffled(count) {
+  for (let i = 0; i < count; i++) {
+    yield i * 7919 % count;
+  }
+}
+function range(count) {
+  return Array.from(Array(count).keys());
+}
+/** A memory store that logs what it’s asked to do */
+function spy(log) {
+  const store = Iterant.memoryStore();
+  return {
+    write(items) {
+      log.push('write ' + String(items.length));
+      return store.write(items);
+    },
+    read(handle) {
+      log.push('read ' + String(handle));
+      return store.read(handle);
+    },
+    remove(handle) {
+      log.push('remove ' + String(handle));
+      store.remove(handle);
+    },
+    close() {
+      log.push('close');
+    }
+  };
+}
+
+test('Iterant.prototype.externalSort', assert => {
+  const log = [];
+  const sorted = Iterant(shuffled(1000)).externalSort(numeric, {
+    runSize: 300,
+    store: spy(log)
+  });
+  assert.deepEqual(log, [], 'lazy');
+  assert.deepEqual(sorted.toArray(), range(1000), 'sorted');
+  assert.deepEqual(
+    log,
+    [
+      'write 300', 'write 300', 'write 300', 'write 100',
+      'read 0', 'read 1', 'read 2', 'read 3',
+      'remove 0', 'remove 1', 'remove 2', 'remove 3',
+      'close'
+    ],
+    'runs spilled, merged and removed'
+  );
+  assert.deepEqual(
+    Iterant([10, 9, 1])
+      .externalSort()
+      .toArray(),
+    [1, 10, 9],
+    'default comparator, like sort'
+  );
+  assert.throws(() => Iterant([]).externalSort('asc'), TypeError, 'invalid comparator');
+  assert.throws(() => Iterant([]).externalSort(numeric, {runSize: 0}), TypeError, 'invalid runSize');
+  assert.throws(() => Iterant([]).externalSort(numeric, {fanIn: 1}), TypeError, 'invalid fanIn');
+  assert.throws(() => Iterant([]).externalSort(numeric, {store: {}}), TypeError, 'invalid store');
+  assert.end();
+});
+
+test('Iterant.prototype.externalSort with a single run', assert => {
+  const log = [];
+  assert.deepEqual(
+    Iterant([3, 1, 2])
+      .externalSort(numeric, {store: spy(log)})
+      .toArray(),
+    [1, 2, 3],
+    'sorted'
+  );
+  assert.deepEqual(log, ['close'], 'nothing written');
+  assert.end();
+});
+
+test('Iterant.prototype.externalSort is stable', assert => {
+  const items = ['b1', 'a1', 'b2', 'a2', 'c1', 'a3', 'b3'];
+  function byLetter(a, b) {
+    return a[0].localeCompare(b[0]);
+  }
+  assert.deepEqual(
+    Iterant(items)
+      .externalSort(byLetter, {runSize: 2})
+      .toArray(),
+    items.slice().sort(byLetter),
+    'equal items in source order'
+  );
+  assert.end();
+});
+
+test('Iterant.prototype.externalSort cleans up when stopped early', assert => {
+  const log = [];
+  assert.deepEqual(
+    Iterant(shuffled(100))
+      .externalSort(numeric, {
+        runSize: 40,
+        store: spy(log)
+      })
+      .slice(0, 3)
+      .toArray(),
+    [0, 1, 2],
+    'first items'
+  );
+  assert.deepEqual(log.slice(-4), ['remove 0', 'remove 1', 'remove 2', 'close'], 'runs removed');
+  assert.end();
+});
+
+test('Iterant.prototype.externalSort merges at most fanIn runs at once', assert => {
+  const log = [];
+  const store = spy(log);
+  let open = 0, most = 0;
+  const read = store.read;
+  store.read = handle => ({
+    *[Symbol.iterator]() {
+      most = Math.max(most, ++open);
+      try {
+        yield* read(handle);
+      } finally {
+        open--;
+      }
+    }
+  });
+  assert.deepEqual(
+    Iterant(shuffled(1000))
+      .externalSort(numeric, {
+        runSize: 100,
+        fanIn: 3,
+        store
+      })
+      .toArray(),
+    range(1000),
+    'sorted'
+  );
+  assert.equal(most, 3, 'fan-in');
+  assert.equal(log.filter(entry => entry.startsWith('write')).length, 10 + 3 + 1, 'two merge passes');
+  assert.equal(
+    log.filter(entry => entry.startsWith('remove')).length,
+    log.filter(entry => entry.startsWith('write')).length,
+    'every run removed'
+  );
+  const items = ['b1', 'a1', 'b2', 'a2', 'c1', 'a3', 'b3', 'c2', 'a4'];
+  function byLetter(a, b) {
+    return a[0].localeCompare(b[0]);
+  }
+  assert.deepEqual(
+    Iterant(items)
+      .externalSort(byLetter, {
+        runSize: 1,
+        fanIn: 2
+      })
+      .toArray(),
+    items.slice().sort(byLetter),
+    'stable across passes'
+  );
+  assert.end();
+});
+
+test('file-store', assert => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'iterant-test-')); // eslint-disable-line no-sync
+  const items = Array.from(shuffled(500)).map(id => ({
+    id,
+    name: 'ünïcödé ' + String(id)
+  }));
+  const sorted = Iterant(items)
+    .externalSort((a, b) => a.id - b.id, {
+      runSize: 64,
+      fanIn: 3,
+      store: fileStore({
+        directory,
+        chunkSize: 7
+      })
+    })
+    .toArray();
+  assert.deepEqual(sorted.map(item => item.id), range(500), 'sorted');
+  assert.equal(sorted[42].name, 'ünïcödé 42', 'multi-byte characters across chunks');
+  assert.deepEqual(fs.readdirSync(directory), [], 'temp files removed'); // eslint-disable-line no-sync
+  fs.rmdirSync(directory); // eslint-disable-line no-sync
+  assert.end();
+});
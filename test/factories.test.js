@@ -0,0 +1,148 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+const test = require('tape');
+
+const Iterant = require('../iterant');
+const IterantArray = require('../iterant-array');
+const IterantMap = require('../iterant-map');
+const IterantRange = require('../iterant-range');
+const IterantRepeat = require('../iterant-repeat');
+
+test('Iterant.range', assert => {
+  assert.true(Iterant.range(3) instanceof IterantRange, 'IterantRange');
+  assert.deepEqual(Iterant.range(5).toArray(), [0, 1, 2, 3, 4], 'end only');
+  assert.deepEqual(Iterant.range(2, 5).toArray(), [2, 3, 4], 'start and end');
+  assert.deepEqual(Iterant.range(10, 0, -3).toArray(), [10, 7, 4, 1], 'negative step');
+  assert.deepEqual(Iterant.range(3, 0).toArray(), [3, 2, 1], 'descending default step');
+  assert.deepEqual(Iterant.range(0, 1, 0.25).toArray(), [0, 0.25, 0.5, 0.75], 'fractional step');
+  assert.deepEqual(Iterant.range(5, 5).toArray(), [], 'empty');
+  assert.deepEqual(Iterant.range(0, 5, -1).toArray(), [], 'wrong direction');
+  assert.throws(() => Iterant.range(0, 5, 0), TypeError, 'zero step');
+  assert.throws(() => Iterant.range('a'), TypeError, 'non-number');
+  assert.throws(() => Iterant.range(0, NaN), TypeError, 'NaN end');
+  assert.end();
+});
+
+test('IterantRange computes without iterating', assert => {
+  const naturals = Iterant.range();
+  assert.equal(naturals.count(), Infinity, 'infinite count');
+  assert.deepEqual(naturals.slice(10, 13).toArray(), [10, 11, 12], 'slice');
+  assert.true(naturals.slice(10) instanceof IterantRange, 'slice is a range');
+  assert.equal(naturals.at(1e9), 1e9, 'at');
+  assert.equal(naturals.indexOf(42), 42, 'indexOf');
+  assert.false(naturals.includes(1.5), 'includes');
+  assert.throws(() => naturals.at(-1), RangeError, 'negative at on infinite');
+  assert.throws(() => naturals.toArray(), RangeError, 'toArray on infinite');
+
+  const evens = Iterant.range(0, 10, 2);
+  assert.equal(evens.count(), 5, 'count');
+  assert.equal(evens.last(), 8, 'last');
+  assert.equal(evens.at(-2), 6, 'negative at');
+  assert.equal(evens.at(5), undefined, 'out of bounds');
+  assert.equal(evens.indexOf(6), 3, 'indexOf');
+  assert.equal(evens.indexOf(6, 4), -1, 'indexOf fromIndex');
+  assert.equal(evens.indexOf(7), -1, 'not a member');
+  assert.deepEqual(evens.slice(-2).toArray(), [6, 8], 'negative slice');
+  assert.deepEqual(Array.from(evens), Array.from(evens), 'replayable');
+  assert.deepEqual(
+    evens
+      .map(n => n / 2)
+      .slice(1, 3)
+      .toArray(),
+    [1, 2],
+    'generic operators'
+  );
+  assert.end();
+});
+
+test('Iterant.repeat', assert => {
+  assert.deepEqual(Iterant.repeat('-', 3).toArray(), ['-', '-', '-'], 'count');
+  assert.true(Iterant.repeat('-', 3) instanceof IterantRepeat, 'IterantRepeat');
+  assert.deepEqual(Iterant.repeat('-', 0).toArray(), [], 'zero');
+  assert.deepEqual(
+    Iterant.repeat(1)
+      .slice(0, 2)
+      .toArray(),
+    [1, 1],
+    'forever'
+  );
+  assert.throws(() => Iterant.repeat(1, -1), TypeError, 'negative count');
+  assert.end();
+});
+
+test('IterantRepeat computes without iterating', assert => {
+  const many = Iterant.repeat('x', 1e9);
+  assert.equal(many.first(), 'x', 'first without allocating');
+  assert.equal(many.count(), 1e9, 'count');
+  assert.equal(many.at(-1), 'x', 'negative at');
+  assert.equal(many.at(1e9), undefined, 'out of bounds');
+  assert.deepEqual(many.slice(-2).toArray(), ['x', 'x'], 'negative slice');
+  assert.true(many.slice(1) instanceof IterantRepeat, 'slice is a repetition');
+
+  const forever = Iterant.repeat(0);
+  assert.equal(forever.count(), Infinity, 'infinite count');
+  assert.equal(forever.at(1e12), 0, 'at');
+  assert.throws(() => forever.last(), RangeError, 'negative at on infinite');
+  assert.throws(() => forever.toArray(), RangeError, 'toArray on infinite');
+
+  const few = Iterant.repeat(1, 3);
+  assert.deepEqual(Array.from(few), Array.from(few), 'replayable');
+  assert.deepEqual(few.map(n => n * 2).toArray(), [2, 2, 2], 'generic operators');
+  assert.end();
+});
+
+test('Iterant.iterate, unfold and generate', assert => {
+  const powers = Iterant.iterate(1, n => n * 2);
+  assert.deepEqual(powers.slice(0, 5).toArray(), [1, 2, 4, 8, 16], 'iterate');
+  assert.deepEqual(powers.slice(0, 2).toArray(), [1, 2], 'replayable');
+  assert.throws(() => Iterant.iterate(1), TypeError, 'iterate needs a function');
+
+  function fibonacci(pair) {
+    return pair[0] < 20 ? [pair[0], [pair[1], pair[0] + pair[1]]] : null;
+  }
+  const fib = Iterant.unfold([0, 1], fibonacci);
+  assert.deepEqual(fib.toArray(), [0, 1, 1, 2, 3, 5, 8, 13], 'unfold');
+  assert.deepEqual(fib.toArray(), [0, 1, 1, 2, 3, 5, 8, 13], 'replayable');
+  assert.throws(() => Iterant.unfold(0, n => n).toArray(), TypeError, 'not a pair');
+
+  const squares = Iterant.generate(index => index * index);
+  assert.deepEqual(squares.slice(0, 4).toArray(), [0, 1, 4, 9], 'generate');
+  assert.deepEqual(squares.slice(0, 2).toArray(), [0, 1], 'restarts at 0');
+  assert.end();
+});
+
+test('Iterant.of, empty and fromEntries', assert => {
+  const of = Iterant.of(1, 'a', [2]);
+  assert.true(of instanceof IterantArray, 'of is an IterantArray');
+  assert.deepEqual(of.toArray(), [1, 'a', [2]], 'of');
+  assert.deepEqual(Iterant.empty().toArray(), [], 'empty');
+  const entries = Iterant.fromEntries({
+    a: 1,
+    b: 2
+  });
+  assert.true(entries instanceof IterantMap, 'fromEntries is an IterantMap');
+  assert.deepEqual(
+    entries.mapValues(n => n * 10).toObject(),
+    {
+      a: 10,
+      b: 20
+    },
+    'fromEntries'
+  );
+  assert.throws(() => Iterant.fromEntries(null), TypeError, 'null');
+  assert.end();
+});
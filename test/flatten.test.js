@@ -0,0 +1,101 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+const test = require('tape');
+
+const Iterant = require('../iterant');
+const IterantArray = require('../iterant-array');
+
+function* letters(word) {
+  yield* word.split('');
+}
+
+test('Iterant.prototype.flatMap', assert => {
+  const words = Iterant(new Set(['ab', 'c']));
+  assert.deepEqual(words.flatMap(letters).toArray(), ['a', 'b', 'c'], 'generators');
+  assert.deepEqual(
+    words.flatMap(word => word.toUpperCase()).toArray(),
+    ['AB', 'C'],
+    'strings aren’t exploded'
+  );
+  assert.deepEqual(
+    words.flatMap(word => 'c' === word ? [] : [word, word.length]).toArray(),
+    ['ab', 2],
+    'an empty array drops the item'
+  );
+  assert.deepEqual(
+    words.flatMap(word => [[word]]).toArray(),
+    [['ab'], ['c']],
+    'one level'
+  );
+  assert.throws(() => words.flatMap('a').toArray(), TypeError, 'not a function');
+  assert.end();
+});
+
+test('Iterant.prototype.flatten', assert => {
+  const nested = Iterant(new Set([1, [2, [3, ['four']]], 'five', new Set([6])]));
+  assert.deepEqual(
+    nested.flatten().toArray(),
+    [1, 2, [3, ['four']], 'five', 6],
+    'one level by default'
+  );
+  assert.deepEqual(
+    nested.flatten(2).toArray(),
+    [1, 2, 3, ['four'], 'five', 6],
+    'two levels'
+  );
+  assert.deepEqual(
+    nested.flatten(Infinity).toArray(),
+    [1, 2, 3, 'four', 'five', 6],
+    'all levels'
+  );
+  assert.deepEqual(nested.flatten(0).toArray(), nested.toArray(), 'zero');
+  assert.throws(() => nested.flatten(-1), TypeError, 'negative depth');
+  assert.throws(() => nested.flatten(1.5), TypeError, 'fractional depth');
+  assert.end();
+});
+
+test('IterantArray.prototype.flatMap and flatten', assert => {
+  const array = Iterant([1, [2, [3]], 'four']);
+  const flat = array.flatten();
+  assert.true(flat instanceof IterantArray, 'native flatten');
+  assert.deepEqual(flat.toArray(), [1, 2, [3], 'four'], 'flatten');
+  assert.deepEqual(array.flatten(Infinity).toArray(), [1, 2, 3, 'four'], 'Infinity');
+
+  const mixed = Iterant([[1], new Set([2, [3]])]);
+  assert.deepEqual(mixed.flatten().toArray(), [1, 2, [3]], 'non-arrays fall back');
+  assert.deepEqual(mixed.flatten(2).toArray(), [1, 2, 3], 'nested non-arrays fall back');
+
+  const mapped = Iterant(['ab', 'c']).flatMap(letters);
+  assert.true(mapped instanceof IterantArray, 'native flatMap');
+  assert.deepEqual(mapped.toArray(), ['a', 'b', 'c'], 'iterables are spliced');
+  assert.deepEqual(
+    Iterant(['ab', 'c'])
+      .flatMap(word => 'c' === word ? [] : word)
+      .toArray(),
+    ['ab'],
+    'empty arrays and strings'
+  );
+  assert.deepEqual(
+    Iterant([1, 'x', 2])
+      .onError('skip')
+      .flatMap(n => [n, n.toFixed(1)])
+      .toArray(),
+    [1, '1.0', 2, '2.0'],
+    'error policy'
+  );
+  assert.end();
+});
@@ -0,0 +1,200 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+const test = require('tape');
+
+const Iterant = require('../iterant');
+const IterantArray = require('../iterant-array');
+const IterantMap = require('../iterant-map');
+
+function makeOrder(customer, price) {
+  return {
+    customer,
+    price
+  };
+}
+const orders = [makeOrder('c1', 10), makeOrder('c2', 5), makeOrder('c1', 20)];
+
+/* A single-use source, to prove that each operator reads once. */
+function* once(items) {
+  yield* items;
+}
+
+test('Iterant.prototype.groupBy', assert => {
+  const groups = Iterant(once(orders)).groupBy(order => order.customer);
+  assert.true(groups instanceof IterantMap, 'IterantMap');
+  assert.deepEqual(groups.keys().toArray(), ['c1', 'c2'], 'first-seen key order');
+  assert.deepEqual(
+    groups.toMap().get('c1'),
+    [orders[0], orders[2]],
+    'items in original order'
+  );
+  assert.deepEqual(
+    Iterant(['a', 'b', 'c']).groupBy((item, index) => index % 2)
+      .toArray(),
+    [[0, ['a', 'c']], [1, ['b']]],
+    'index'
+  );
+  assert.throws(() => Iterant([]).groupBy('customer'), TypeError, 'keyFn');
+  assert.end();
+});
+
+test('Iterant.prototype.countBy', assert => {
+  assert.deepEqual(
+    Iterant(once(['a', 'bb', 'cc', 'd', 'eee'])).countBy(s => s.length)
+      .toObject(),
+    {
+      '1': 2,
+      '2': 2,
+      '3': 1
+    },
+    'counts'
+  );
+  assert.end();
+});
+
+test('Iterant.prototype.partition', assert => {
+  const halves = Iterant(once([1, 2, 3, 4, 5])).partition(i => 0 === i % 2);
+  assert.equal(halves.length, 2, 'pair');
+  assert.true(halves[0] instanceof IterantArray, 'IterantArray');
+  assert.deepEqual(halves[0].toArray(), [2, 4], 'matches');
+  assert.deepEqual(halves[1].toArray(), [1, 3, 5], 'rest');
+  assert.end();
+});
+
+test('Iterant.prototype.aggregateBy', assert => {
+  const aggregates = Iterant(once(orders)).aggregateBy(order => order.customer, {
+    count: (n = 0) => n + 1,
+    total: (sum = 0, order) => sum + order.price,
+    largest: (max = -Infinity, order) => Math.max(max, order.price),
+    mean: {
+      init: () => ({
+        sum: 0,
+        n: 0
+      }),
+      step: (acc, order) => ({
+        sum: acc.sum + order.price,
+        n: acc.n + 1
+      }),
+      result: acc => acc.sum / acc.n
+    }
+  });
+  assert.deepEqual(aggregates.toObject(), {
+    c1: {
+      count: 2,
+      total: 30,
+      largest: 20,
+      mean: 15
+    },
+    c2: {
+      count: 1,
+      total: 5,
+      largest: 5,
+      mean: 5
+    }
+  }, 'aggregates');
+  assert.throws(
+    () => Iterant([1]).aggregateBy(i => i, {bad: 44}),
+    TypeError,
+    'invalid reducer'
+  );
+  assert.end();
+});
+
+test('Iterant.prototype.aggregate', assert => {
+  const reducers = Iterant.reducers;
+  const aggregates = Iterant(once(orders)).aggregate({
+    count: reducers.count(),
+    total: reducers.sum(order => order.price),
+    top: reducers.maxBy(order => order.price),
+    customers: reducers.map(order => order.customer, reducers.toArray()),
+    custom: (n = 0, order, index) => n + index
+  });
+  assert.deepEqual(aggregates, {
+    count: 3,
+    total: 35,
+    top: orders[2],
+    customers: ['c1', 'c2', 'c1'],
+    custom: 3
+  }, 'one pass over a generator');
+  assert.deepEqual(Iterant([]).aggregate({
+    count: reducers.count(),
+    mean: reducers.mean(),
+    first: reducers.first()
+  }), {
+    count: 0,
+    mean: undefined,
+    first: undefined
+  }, 'empty');
+  assert.deepEqual(Iterant([]).aggregate({}), {}, 'no reducers');
+  assert.throws(() => Iterant([]).aggregate(), TypeError, 'missing reducers');
+  assert.throws(() => Iterant([]).aggregate({bad: 44}), TypeError, 'invalid reducer');
+  assert.end();
+});
+
+test('Iterant.reducers', assert => {
+  const reducers = Iterant.reducers;
+  const values = [3, 1, 4, 1, 5];
+  assert.deepEqual(Iterant(once(values)).aggregate({
+    min: reducers.min(),
+    max: reducers.max(),
+    first: reducers.first(),
+    last: reducers.last(),
+    median: reducers.median(),
+    odd: reducers.filter(value => value % 2, reducers.count()),
+    stats: reducers.fork({
+      variance: reducers.variance(),
+      histogram: reducers.histogram([0, 3, 6])
+    })
+  }), {
+    min: 1,
+    max: 5,
+    first: 3,
+    last: 5,
+    median: 3,
+    odd: 4,
+    stats: {
+      variance: 2.56,
+      histogram: [
+        {
+          from: 0,
+          to: 3,
+          count: 2
+        },
+        {
+          from: 3,
+          to: 6,
+          count: 3
+        }
+      ]
+    }
+  }, 'built-in reducers');
+  const sum = reducers.sum();
+  assert.equal(Iterant(values).aggregate({sum}).sum, 14, 'first use');
+  assert.equal(Iterant(values).aggregate({sum}).sum, 14, 'reusable');
+  assert.deepEqual(
+    Iterant(once(orders))
+      .aggregateBy(order => order.customer, {total: reducers.sum(order => order.price)})
+      .toObject(),
+    {
+      c1: {total: 30},
+      c2: {total: 5}
+    },
+    'with aggregateBy'
+  );
+  assert.throws(() => reducers.filter('a', reducers.count()), TypeError, 'predicate');
+  assert.end();
+});
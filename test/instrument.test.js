@@ -0,0 +1,124 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+const test = require('tape');
+
+const Iterant = require('../iterant');
+const IterantArray = require('../iterant-array');
+
+function* range(count) {
+  for (let i = 0; i < count; i++) {
+    yield i;
+  }
+}
+
+test('Iterant.prototype.tap', assert => {
+  const seen = [];
+  const iterable = Iterant(range(3)).tap((item, index) => seen.push([item, index]));
+  assert.deepEqual(seen, [], 'lazy');
+  assert.deepEqual(iterable.toArray(), [0, 1, 2], 'items unchanged');
+  assert.deepEqual(seen, [[0, 0], [1, 1], [2, 2]], 'called with item and index');
+  assert.deepEqual(
+    Iterant([1, 2])
+      .onError('skip')
+      .tap(item => {
+        if (1 === item) {
+          throw new Error('Boom');
+        }
+      })
+      .toArray(),
+    [2],
+    'error policy'
+  );
+  assert.throws(() => Iterant([]).tap(), TypeError, 'fct must be a function');
+  assert.end();
+});
+
+test('Iterant.prototype.instrument', assert => {
+  const reports = [];
+  const iterable = Iterant(range(10))
+    .instrument({hook: report => reports.push(report)})
+    .filter(item => item % 2)
+    .map(item => item * 2);
+  assert.true(iterable instanceof Iterant, 'still an Iterant');
+  assert.deepEqual(iterable.toArray(), [2, 6, 10, 14, 18], 'results unchanged');
+  const stages = iterable.stats().stages;
+  assert.deepEqual(
+    stages.map(stage => [stage.operator, stage.itemsIn, stage.itemsOut, stage.calls]),
+    [
+      ['source', undefined, 10, 0],
+      ['filter', 10, 5, 10],
+      ['map', 5, 5, 5],
+      ['toArray', 5, undefined, 0]
+    ],
+    'items in and out, and callback calls, per operator'
+  );
+  assert.true(
+    stages.every(stage => stage.wallTime >= 0 && stage.callbackTime >= 0),
+    'times'
+  );
+  assert.equal(reports.length, 1, 'hook called at the end of the chain');
+  assert.deepEqual(reports[0], iterable.stats(), 'with the report');
+  assert.end();
+});
+
+test('Iterant.prototype.instrument with the report text', assert => {
+  const messages = [];
+  const doubled = Iterant([1, 2])
+    .instrument({hook: (report, text) => messages.push(text)})
+    .map(function(item) {
+      return item * this.factor;
+    }, {factor: 2})
+    .toArray();
+  assert.deepEqual(doubled, [2, 4], 'callbacks keep their this binding');
+  assert.equal(messages.length, 1, 'logged at the end of the chain');
+  assert.deepEqual(
+    messages[0].split('\n').map(line => line.split(':')[0]),
+    ['source', 'map', 'toArray'],
+    'one line per stage'
+  );
+  assert.end();
+});
+
+test('Iterant.prototype.instrument with subclasses and branches', assert => {
+  const iterable = Iterant([1, 2, 3, 4]).instrument();
+  const small = iterable.filter(item => item < 3);
+  const large = iterable.slice(2);
+  assert.true(large instanceof IterantArray, 'native operators still apply');
+  assert.deepEqual(small.toArray(), [1, 2], 'branch');
+  assert.deepEqual(large.toArray(), [3, 4], 'other branch');
+  assert.deepEqual(
+    iterable.stats().stages.map(stage => [stage.operator, stage.itemsIn, stage.itemsOut]),
+    [
+      ['source', undefined, 4],
+      ['filter', 4, 2],
+      ['slice', 4, 2],
+      ['toArray', 2, undefined],
+      ['toArray', 2, undefined]
+    ],
+    'stages record their own input'
+  );
+  assert.end();
+});
+
+test('Instrumentation is opt-in', assert => {
+  const iterable = Iterant([1, 2]);
+  assert.equal(iterable.stats(), null, 'no report');
+  assert.equal(iterable.map(item => item).stats(), null, 'no report downstream');
+  assert.throws(() => iterable.instrument({hook: 'syslog'}), TypeError, 'unknown hook');
+  assert.true(iterable.instrument({hook: 'console'}) instanceof Iterant, 'console hook');
+  assert.end();
+});
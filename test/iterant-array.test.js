@@ -58,3 +58,51 @@ test('IterantArray.prototype.slice', assert => {
   );
   assert.end();
 });
+
+test('IterantArray.prototype.sort', assert => {
+  const arr = [3, 1, 2];
+  const sorted = IterantArray(arr).sort();
+  assert.true(sorted instanceof IterantArray, 'sort returns IterantArray');
+  assert.deepEqual(Array.from(sorted), [1, 2, 3], 'sorted');
+  assert.deepEqual(arr, [3, 1, 2], 'wrapped array unchanged');
+  assert.end();
+});
+
+test('IterantArray query methods', assert => {
+  const arr = [1, 2, NaN, 4, 2];
+  const ia = IterantArray(arr);
+  assert.equal(ia.find(i => i > 1), 2, 'find');
+  assert.equal(ia.findIndex(i => i > 3), 3, 'findIndex');
+  assert.true(ia.some(i => 4 === i), 'some');
+  assert.false(ia.every(i => i < 4), 'every');
+  assert.equal(ia.indexOf(2, 2), 4, 'indexOf');
+  assert.true(ia.includes(NaN), 'includes');
+  assert.equal(ia.at(-1), 2, 'negative at');
+  assert.equal(ia.at(-6), undefined, 'out of bounds at');
+  assert.equal(ia.first(), 1, 'first');
+  assert.equal(ia.last(), 2, 'last');
+  assert.end();
+});
+
+test('Iterant factory dispatches to IterantArray', assert => {
+  const ia = Iterant([1, 2, 3]);
+  assert.true(ia instanceof IterantArray, 'IterantArray');
+  assert.equal(ia[Symbol.species], IterantArray, 'species');
+  assert.true(new Iterant([1]) instanceof Iterant, 'constructor');
+  assert.false(new Iterant([1]) instanceof IterantArray, 'constructor doesn’t dispatch');
+  assert.end();
+});
+
+test('IterantArray.prototype.chunk and window', assert => {
+  const ia = IterantArray([1, 2, 3, 4, 5]);
+  const chunks = ia.chunk(2);
+  assert.true(chunks instanceof IterantArray, 'chunk returns IterantArray');
+  assert.deepEqual(chunks.toArray(), [[1, 2], [3, 4], [5]], 'chunk');
+  assert.deepEqual(
+    ia.window(2, 2).toArray(),
+    [[1, 2], [3, 4]],
+    'window only yields complete windows'
+  );
+  assert.deepEqual(ia.pairwise().toArray(), [[1, 2], [2, 3], [3, 4], [4, 5]], 'pairwise');
+  assert.end();
+});
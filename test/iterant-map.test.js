@@ -0,0 +1,75 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+const test = require('tape');
+
+const IterantMap = require('../iterant-map');
+const Iterant = require('../iterant');
+
+test('IterantMap factory', assert => {
+  const im = Iterant(new Map([['a', 1]]));
+  assert.true(im instanceof IterantMap, 'Iterant dispatches to IterantMap');
+  assert.true(im instanceof Iterant);
+  assert.equal(
+    Object.prototype.toString.call(im),
+    '[object IterantMap]',
+    'toString'
+  );
+  assert.throws(() => IterantMap([]), TypeError, 'Not a Map is error');
+  assert.end();
+});
+
+test('IterantMap keys and values', assert => {
+  const im = IterantMap(new Map([['a', 1], ['b', 2]]));
+  assert.deepEqual(im.keys().toArray(), ['a', 'b'], 'keys');
+  assert.deepEqual(im.values().toArray(), [1, 2], 'values');
+  assert.deepEqual(im.toArray(), [['a', 1], ['b', 2]], 'entries');
+  assert.end();
+});
+
+test('IterantMap key/value operators', assert => {
+  const map = new Map([['a', 1], ['b', 2], ['c', 3]]);
+  const im = IterantMap(map);
+  const values = im.mapValues((value, key) => key + value);
+  assert.true(values instanceof IterantMap, 'mapValues returns IterantMap');
+  assert.deepEqual(values.toArray(), [['a', 'a1'], ['b', 'b2'], ['c', 'c3']], 'mapValues');
+  assert.deepEqual(
+    im.mapKeys(key => key.toUpperCase()).toArray(),
+    [['A', 1], ['B', 2], ['C', 3]],
+    'mapKeys'
+  );
+  assert.deepEqual(
+    im.filterEntries(value => value > 1).toArray(),
+    [['b', 2], ['c', 3]],
+    'filterEntries'
+  );
+  assert.equal(map.get('a'), 1, 'original is unchanged');
+  assert.end();
+});
+
+test('IterantMap conversions', assert => {
+  const map = new Map([['a', 1], [2, 'two']]);
+  const im = IterantMap(map);
+  assert.notEqual(im.toMap(), map, 'toMap copies');
+  assert.deepEqual(Array.from(im.toMap()), Array.from(map), 'toMap');
+  assert.deepEqual(im.toObject(), {
+    a: 1,
+    '2': 'two'
+  }, 'toObject');
+  assert.true(im.clone().isReplayable, 'clone');
+  assert.notEqual(im.clone().iterable, map, 'clone copies');
+  assert.end();
+});
@@ -0,0 +1,54 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+const test = require('tape');
+
+const IterantSet = require('../iterant-set');
+const Iterant = require('../iterant');
+
+test('IterantSet factory', assert => {
+  const is = Iterant(new Set([1]));
+  assert.true(is instanceof IterantSet, 'Iterant dispatches to IterantSet');
+  assert.true(is instanceof Iterant);
+  assert.equal(
+    Object.prototype.toString.call(is),
+    '[object IterantSet]',
+    'toString'
+  );
+  assert.throws(() => IterantSet([]), TypeError, 'Not a Set is error');
+  assert.end();
+});
+
+test('IterantSet membership', assert => {
+  const is = IterantSet(new Set(['a', NaN, 'b']));
+  assert.true(is.has('a'), 'has');
+  assert.false(is.has('z'), 'has not');
+  assert.true(is.includes(NaN), 'includes uses SameValueZero');
+  assert.false(is.includes('a', 1), 'includes with fromIndex');
+  assert.true(is.includes('b', 1), 'includes with fromIndex');
+  assert.end();
+});
+
+test('IterantSet conversions', assert => {
+  const set = new Set([1, 2]);
+  const is = IterantSet(set);
+  assert.notEqual(is.toSet(), set, 'toSet copies');
+  assert.deepEqual(Array.from(is.toSet()), [1, 2], 'toSet');
+  assert.true(is.clone() instanceof IterantSet, 'clone');
+  assert.notEqual(is.clone().iterable, set, 'clone copies');
+  assert.true(is.map(i => i) instanceof Iterant, 'generic operators');
+  assert.end();
+});
@@ -0,0 +1,120 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+const test = require('tape');
+
+const Iterant = require('../iterant');
+const IterantString = require('../iterant-string');
+
+test('IterantString factory', assert => {
+  const iterable = Iterant('a😀b');
+  assert.true(iterable instanceof IterantString, 'the factory wraps strings');
+  assert.equal(Object.prototype.toString.call(iterable), '[object IterantString]', 'toStringTag');
+  assert.deepEqual(iterable.toArray(), ['a', '😀', 'b'], 'code points');
+  assert.deepEqual(
+    iterable
+      .map(c => c.toUpperCase())
+      .toArray(),
+    ['A', '😀', 'B'],
+    'generic operators'
+  );
+  assert.throws(() => IterantString(1), TypeError, 'not a string');
+  assert.throws(() => IterantString('a', 'sentence'), TypeError, 'unknown unit');
+  assert.end();
+});
+
+test('IterantString units', assert => {
+  const family = '\u{1F469}‍\u{1F469}‍\u{1F467}';
+  assert.deepEqual(
+    IterantString('é' + family + 'x', 'grapheme').toArray(),
+    ['é', family, 'x'],
+    'graphemes'
+  );
+  assert.deepEqual(Iterant.lines('a\r\nb\n\nc\rd\n').toArray(), ['a', 'b', '', 'c', 'd'], 'lines');
+  assert.deepEqual(Iterant.lines('').toArray(), [], 'no lines');
+  assert.deepEqual(
+    Iterant.words('It’s a dog-eat-dog world, 42.').toArray(),
+    ['It’s', 'a', 'dog', 'eat', 'dog', 'world', '42'],
+    'words'
+  );
+  assert.deepEqual(IterantString('x=1, y=22', /\d+/).toArray(), ['1', '22'], 'tokens');
+  assert.end();
+});
+
+test('Iterant.split', assert => {
+  const text = 'a,b,,c,';
+  assert.deepEqual(Iterant.split(text, ',').toArray(), text.split(','), 'string separator');
+  assert.deepEqual(Iterant.split('a.b', '.').toArray(), ['a', 'b'], 'literal');
+  assert.deepEqual(Iterant.split('a1b22c', /\d+/).toArray(), ['a', 'b', 'c'], 'RegExp separator');
+  assert.deepEqual(Iterant.split('a😀b', /(?:)/u).toArray(), ['a', '😀', 'b'], 'empty matches');
+  assert.deepEqual(Iterant.split('', ',').toArray(), [''], 'empty text');
+  assert.throws(() => Iterant.split('a', 1), TypeError, 'invalid separator');
+  assert.end();
+});
+
+test('IterantString.prototype.slice and count', assert => {
+  const lines = Iterant.lines('a\nb\nc\nd');
+  assert.deepEqual(lines.slice(1, 3).toArray(), ['b', 'c'], 'slice');
+  assert.true(lines.slice(1, 3) instanceof IterantString, 'slice keeps the type');
+  assert.deepEqual(lines.slice(-2).toArray(), ['c', 'd'], 'negative slice');
+  assert.deepEqual(
+    lines
+      .slice(1)
+      .slice(1, 2)
+      .toArray(),
+    ['c'],
+    'nested slices'
+  );
+  assert.equal(lines.count(), 4, 'count');
+  assert.equal(lines.count(), 4, 'replayable');
+  assert.equal(lines.slice(1, 3).count(), 2, 'count of a slice');
+  assert.equal(IterantString('👩‍👩‍👧 é', 'grapheme').count(), 3, 'count of graphemes');
+  assert.true(Object.prototype.hasOwnProperty.call(IterantString.prototype, 'count'), 'counts segments itself');
+  assert.equal(lines.first(), 'a', 'first');
+  assert.end();
+});
+
+test('IterantString.prototype.joinToString', assert => {
+  assert.equal(
+    Iterant('héllo')
+      .slice(1, 3)
+      .joinToString(),
+    'él',
+    'code points'
+  );
+  assert.equal(Iterant.lines('a\r\nb').joinToString(), 'a\nb', 'lines');
+  assert.equal(Iterant.words('a, b').joinToString(), 'a b', 'words');
+  assert.equal(Iterant.split('a-b', '-').joinToString(), 'a-b', 'split on a string');
+  assert.equal(Iterant.words('a b').joinToString('|'), 'a|b', 'separator');
+  assert.equal(
+    Iterant.lines(' a \n b ')
+      .map(line => line.trim())
+      .joinToString('\n'),
+    'a\nb',
+    'after map'
+  );
+  assert.equal(
+    Iterant.words('a bb c')
+      .filter(word => 1 === word.length)
+      .joinToString(),
+    'a,c',
+    'after filter, like Array#join'
+  );
+  const joined = Iterant('ab').join([{id: 'a'}], c => c, {rightKey: o => o.id});
+  assert.deepEqual(joined.toArray(), [['a', {id: 'a'}]], 'relational join');
+  assert.throws(() => Iterant.words('a b').join('|'), TypeError, 'join is only relational');
+  assert.end();
+});
@@ -0,0 +1,103 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+/* global BigInt, BigInt64Array */
+const test = require('tape');
+
+const Iterant = require('../iterant');
+const IterantArray = require('../iterant-array');
+const IterantTypedArray = require('../iterant-typed-array');
+
+test('IterantTypedArray factory', assert => {
+  const iterable = Iterant(new Float64Array([10, 9, 1.5]));
+  assert.true(iterable instanceof IterantTypedArray, 'the factory wraps typed arrays');
+  assert.equal(Object.prototype.toString.call(iterable), '[object IterantTypedArray]', 'toStringTag');
+  assert.false(Iterant(new DataView(new ArrayBuffer(2))) instanceof IterantTypedArray, 'not DataView');
+  assert.throws(() => IterantTypedArray([1]), TypeError, 'not a typed array');
+  assert.deepEqual(iterable.toArray(), [10, 9, 1.5], 'toArray');
+  assert.end();
+});
+
+test('IterantTypedArray delegates to native methods', assert => {
+  const typed = new Int32Array([10, 9, 1, 20]);
+  const iterable = IterantTypedArray(typed);
+  const sliced = iterable.slice(1, 3);
+  assert.true(sliced.iterable instanceof Int32Array, 'slice keeps the type');
+  assert.deepEqual(sliced.toArray(), [9, 1], 'slice');
+  const sorted = iterable.sort();
+  assert.true(sorted.iterable instanceof Int32Array, 'sort keeps the type');
+  assert.deepEqual(sorted.toArray(), [1, 9, 10, 20], 'numeric sort');
+  assert.deepEqual(Array.from(typed), [10, 9, 1, 20], 'sorts a copy');
+  const filtered = iterable.filter(n => n > 9);
+  assert.true(filtered.iterable instanceof Int32Array, 'filter keeps the type');
+  assert.deepEqual(filtered.toArray(), [10, 20], 'filter');
+  assert.equal(iterable.reduce((sum, n) => sum + n, 0), 40, 'reduce');
+  assert.equal(iterable.find(n => n < 10), 9, 'find');
+  assert.equal(iterable.indexOf(1), 2, 'indexOf');
+  assert.equal(iterable.at(-1), 20, 'at');
+  assert.equal(iterable.last(), 20, 'last');
+  assert.equal(iterable.count(), 4, 'count');
+  assert.end();
+});
+
+test('IterantTypedArray.prototype.map', assert => {
+  const ints = IterantTypedArray(new Int32Array([1, 2, 3]));
+  const doubled = ints.map(n => n * 2);
+  assert.true(doubled.iterable instanceof Int32Array, 'keeps the element type');
+  assert.deepEqual(doubled.toArray(), [2, 4, 6], 'mapped');
+  const halved = ints.map(n => n / 2);
+  assert.true(halved.iterable instanceof Float64Array, 'fractions widen to Float64Array');
+  assert.deepEqual(halved.toArray(), [0.5, 1, 1.5], 'not truncated');
+  const bytes = IterantTypedArray(new Uint8Array([200])).map(n => n * 2);
+  assert.deepEqual(bytes.toArray(), [400], 'not wrapped');
+  const floats = IterantTypedArray(new Float32Array([1, 2])).map(n => n / 3);
+  assert.true(floats.iterable instanceof Float32Array, 'floats keep their precision');
+  const labels = ints.map(n => 'n' + n);
+  assert.true(labels instanceof IterantArray, 'non-numeric results are an IterantArray');
+  assert.deepEqual(labels.toArray(), ['n1', 'n2', 'n3'], 'labels');
+  assert.deepEqual(
+    ints
+      .onError('skip')
+      .map(n => {
+        if (2 === n) {
+          throw new Error(n);
+        }
+        return n;
+      })
+      .toArray(),
+    [1, 3],
+    'error policy'
+  );
+  assert.end();
+});
+
+test('IterantTypedArray numeric reductions', assert => {
+  const scores = IterantTypedArray(new Float64Array([10, 9, 1.5]));
+  assert.equal(scores.sum(), 20.5, 'sum');
+  assert.equal(scores.dot([1, 1, 2]), 22, 'dot with an Array');
+  assert.equal(scores.dot(Iterant(new Float64Array([0, 1, 0]))), 9, 'dot with an Iterant');
+  assert.throws(() => scores.dot([1]), RangeError, 'dot with a different length');
+  assert.equal(scores.min(), 1.5, 'min');
+  assert.equal(scores.max(), 10, 'max');
+  const empty = IterantTypedArray(new Float64Array(0));
+  assert.equal(empty.sum(), 0, 'empty sum');
+  assert.equal(empty.min(), undefined, 'empty min');
+  assert.true(Number.isNaN(IterantTypedArray(new Float64Array([1, NaN])).max()), 'NaN');
+  const big = IterantTypedArray(new BigInt64Array([BigInt(2), BigInt(3)]));
+  assert.equal(big.sum(), BigInt(5), 'bigint sum');
+  assert.equal(big.max(), BigInt(3), 'bigint max');
+  assert.end();
+});
@@ -0,0 +1,278 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+const test = require('tape');
+
+const Iterant = require('../iterant');
+
+const customers = [
+  {
+    id: 1,
+    name: 'Ada'
+  },
+  {
+    id: 2,
+    name: 'Grace'
+  },
+  {
+    id: 3,
+    name: 'Edsger'
+  }
+];
+const orders = [
+  {
+    id: 'a',
+    customer: 2
+  },
+  {
+    id: 'b',
+    customer: 4
+  },
+  {
+    id: 'c',
+    customer: 2
+  },
+  {
+    id: 'd',
+    customer: 1
+  },
+  {
+    id: 'e',
+    customer: null
+  }
+];
+
+function byCustomer(order) {
+  return order.customer;
+}
+function byId(customer) {
+  return customer.id;
+}
+function ids(pairs) {
+  return pairs.map(pair => pair.map(item => item ? item.id : null));
+}
+function* once(items) {
+  yield* items;
+}
+
+test('Iterant.prototype.join', assert => {
+  function join(type) {
+    return Iterant(orders)
+      .join(customers, byCustomer, {
+        rightKey: byId,
+        type
+      })
+      .toArray();
+  }
+  assert.deepEqual(
+    ids(join('inner')),
+    [['a', 2], ['c', 2], ['d', 1]],
+    'inner, in left order when the smaller right side is indexed'
+  );
+  assert.deepEqual(
+    ids(Iterant(orders)
+      .join(once(customers), byCustomer, {rightKey: byId})
+      .toArray()),
+    [['d', 1], ['a', 2], ['c', 2]],
+    'inner, in right order when only the left size is known'
+  );
+  assert.deepEqual(
+    ids(join('left')),
+    [['a', 2], ['b', null], ['c', 2], ['d', 1], ['e', null]],
+    'left'
+  );
+  assert.deepEqual(
+    ids(join('right')),
+    [['a', 2], ['c', 2], ['d', 1], [null, 3]],
+    'right'
+  );
+  assert.deepEqual(
+    ids(join('full')),
+    [['a', 2], ['b', null], ['c', 2], ['d', 1], ['e', null], [null, 3]],
+    'full'
+  );
+  assert.deepEqual(
+    Iterant(customers)
+      .join(orders, byId, {
+        rightKey: byCustomer,
+        type: 'semi'
+      })
+      .map(byId)
+      .toArray(),
+    [1, 2],
+    'semi yields each matching left item once'
+  );
+  assert.deepEqual(
+    Iterant(customers)
+      .join(orders, byId, {
+        rightKey: byCustomer,
+        type: 'anti',
+        build: 'left'
+      })
+      .map(byId)
+      .toArray(),
+    [3],
+    'anti'
+  );
+  assert.deepEqual(
+    Iterant([1, 2, 2, 3])
+      .join([2, 3, 4], x => x)
+      .toArray(),
+    [[2, 2], [2, 2], [3, 3]],
+    'rightKey defaults to leftKey'
+  );
+  assert.throws(() => Iterant([]).join([], 'id'), TypeError, 'key must be a function');
+  assert.throws(() => Iterant([]).join([], byId, {rightKey: 'id'}), TypeError, 'rightKey must be a function');
+  assert.throws(() => Iterant([]).join([], byId, {type: 'outer'}), TypeError, 'unknown type');
+  assert.throws(() => Iterant([]).join([], byId, {build: 'both'}), TypeError, 'unknown build side');
+  assert.end();
+});
+
+test('Iterant.prototype.mergeJoin', assert => {
+  const left = [1, 2, 2, 4, 6], right = [2, 3, 4, 4, 7];
+  function join(type) {
+    return Iterant(left)
+      .mergeJoin(right, x => x, {type})
+      .toArray();
+  }
+  assert.deepEqual(join('inner'), [[2, 2], [2, 2], [4, 4], [4, 4]], 'inner');
+  assert.deepEqual(
+    join('full'),
+    [[1, undefined], [2, 2], [2, 2], [undefined, 3], [4, 4], [4, 4], [6, undefined], [undefined, 7]],
+    'full'
+  );
+  assert.deepEqual(join('left').filter(pair => undefined === pair[1]), [[1, undefined], [6, undefined]], 'left');
+  assert.deepEqual(join('right').filter(pair => undefined === pair[0]), [[undefined, 3], [undefined, 7]], 'right');
+  assert.deepEqual(join('semi'), [2, 2, 4], 'semi');
+  assert.deepEqual(join('anti'), [1, 6], 'anti');
+  assert.deepEqual(
+    Iterant(['b', 'a'])
+      .mergeJoin(['b', 'a'], x => x, {comparator: (a, b) => b.localeCompare(a)})
+      .toArray(),
+    [['b', 'b'], ['a', 'a']],
+    'custom comparator'
+  );
+  assert.throws(
+    () => Iterant([2, 1])
+      .mergeJoin([1], x => x)
+      .toArray(),
+    RangeError,
+    'unsorted input'
+  );
+  assert.end();
+});
+
+test('null and undefined keys never match, whichever the algorithm', assert => {
+  const left = [null, 1, undefined, 2], right = [1, null, 2, undefined];
+  function join(method, type) {
+    const options = {
+      type,
+      comparator: (a, b) => a - b
+    };
+    return Iterant(left)[method](right, x => x, options)
+      .toArray();
+  }
+  function sorted(results) {
+    return results.map(result => JSON.stringify(result)).sort();
+  }
+  ['inner', 'left', 'right', 'full', 'semi', 'anti'].forEach(type => {
+    assert.deepEqual(
+      sorted(join('mergeJoin', type)),
+      sorted(join('join', type)),
+      type
+    );
+  });
+  assert.deepEqual(join('mergeJoin', 'inner'), [[1, 1], [2, 2]], 'inner');
+  assert.deepEqual(join('mergeJoin', 'anti'), [null, undefined], 'anti');
+  assert.end();
+});
+
+test('Iterant.prototype.mergeJoin streams and closes its inputs', assert => {
+  const log = [];
+  function* numbers(name) {
+    try {
+      for (let i = 0; ; i++) {
+        log.push(name + i);
+        yield i;
+      }
+    } finally {
+      log.push(name + ' closed');
+    }
+  }
+  assert.deepEqual(
+    Iterant(numbers('l'))
+      .mergeJoin(numbers('r'), x => x)
+      .slice(0, 2)
+      .toArray(),
+    [[0, 0], [1, 1]],
+    'infinite inputs'
+  );
+  assert.deepEqual(log.slice(-2), ['l closed', 'r closed'], 'both sides closed');
+  assert.end();
+});
+
+test('Iterant.prototype.nestedLoopJoin', assert => {
+  const windows = [
+    {
+      start: 0,
+      end: 10
+    },
+    {
+      start: 5,
+      end: 15
+    },
+    {
+      start: 20,
+      end: 30
+    }
+  ];
+  function within(time, win) {
+    return time >= win.start && time < win.end;
+  }
+  function join(type) {
+    return Iterant([7, 12, 17])
+      .nestedLoopJoin(once(windows), within, {type})
+      .map(pair => [pair[0], pair[1] && pair[1].start])
+      .toArray();
+  }
+  assert.deepEqual(join('inner'), [[7, 0], [7, 5], [12, 5]], 'inner, single-use right side');
+  assert.deepEqual(
+    join('full'),
+    [[7, 0], [7, 5], [12, 5], [17, undefined], [undefined, 20]],
+    'full'
+  );
+  assert.deepEqual(
+    Iterant([7, 12, 17])
+      .nestedLoopJoin(windows, within, {type: 'anti'})
+      .toArray(),
+    [17],
+    'anti'
+  );
+  const log = [];
+  function* logged(items) {
+    try {
+      yield* items;
+    } finally {
+      log.push('finally');
+    }
+  }
+  Iterant([1, 2])
+    .nestedLoopJoin(logged([1, 2]), (a, b) => a === b)
+    .first();
+  assert.deepEqual(log, ['finally'], 'closes a cached right side when stopped early');
+  assert.throws(() => Iterant([]).nestedLoopJoin([], 'start'), TypeError, 'predicate must be a function');
+  assert.end();
+});
@@ -0,0 +1,160 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+const test = require('tape');
+
+const Iterant = require('../iterant');
+const IterantError = require('../iterant-error');
+
+// A stand-in for the DOM, with just what the XPath evaluator needs
+function element(name, attributes, children) {
+  const node = {
+    nodeType: 1,
+    nodeName: name,
+    childNodes: children || [],
+    attributes: Object.keys(attributes || {}).map(key => ({
+      nodeType: 2,
+      nodeName: key,
+      nodeValue: attributes[key]
+    }))
+  };
+  node.childNodes.concat(node.attributes).forEach(child => {
+    child.parentNode = node;
+  });
+  return node;
+}
+function text(value) {
+  return {
+    nodeType: 3,
+    nodeName: '#text',
+    nodeValue: value,
+    childNodes: []
+  };
+}
+function book(title, price, role) {
+  return element('book', {price}, [
+    element('title', {}, [text(title)]),
+    element('author', {role}, [text(title + ' author')])
+  ]);
+}
+const books = [book('A', '5', 'editor'), book('B', '15', 'writer')];
+function xpath(path, bindings) {
+  return Iterant(books)
+    .xpath(path, bindings)
+    .map(node => node.nodeValue || node.nodeName)
+    .toArray();
+}
+
+test('Iterant.prototype.xpath on DOM-like objects', assert => {
+  assert.deepEqual(xpath('title/text()'), ['A', 'B'], 'child steps');
+  assert.deepEqual(xpath('@price'), ['5', '15'], 'attributes');
+  assert.deepEqual(xpath('.//text()'), ['A', 'A author', 'B', 'B author'], 'descendants');
+  assert.deepEqual(xpath('self::book[@price > 10]/title/text()'), ['B'], 'numeric comparison');
+  assert.deepEqual(xpath('title[. = "A"]/../author/text()'), ['A author'], 'string value and parent');
+  assert.deepEqual(xpath('*[last()]'), ['author', 'author'], 'position');
+  assert.deepEqual(xpath('author[@role = $role]/text()', {role: 'editor'}), ['A author'], 'bindings');
+  assert.deepEqual(xpath('title | author'), ['title', 'author', 'title', 'author'], 'union');
+  assert.deepEqual(
+    Iterant(books)
+      .xpath('count(*)')
+      .toArray(),
+    [2, 2],
+    'functions'
+  );
+  assert.throws(() => Iterant(books).xpath(null), TypeError, 'null path');
+  assert.throws(
+    () => Iterant(books)
+      .xpath('title[')
+      .toArray(),
+    SyntaxError,
+    'invalid expression'
+  );
+  assert.end();
+});
+
+test('node-sets are in document order', assert => {
+  const doc = element('r', {}, [
+    element('a', {}, [element('b', {id: '1'}, [element('d')])]),
+    element('c')
+  ]);
+  function names(path) {
+    return Iterant([doc])
+      .xpath(path)
+      .map(node => node.nodeValue || node.nodeName)
+      .toArray();
+  }
+  assert.deepEqual(names('c | .//b/@id'), ['1', 'c'], 'union');
+  assert.deepEqual(names('.//d/ancestor::*'), ['r', 'a', 'b'], 'reverse axis');
+  assert.deepEqual(names('.//d/ancestor::*[1]'), ['b'], 'proximity position in predicates');
+  assert.deepEqual(names('c/preceding-sibling::* | .//b'), ['a', 'b'], 'preceding-sibling');
+  assert.end();
+});
+
+test('Iterant.prototype.query', assert => {
+  const items = Iterant([{a: 1}, books[0], 'b']);
+  assert.throws(() => items.xpath('title').toArray(), IterantError, 'unsupported items fail');
+  try {
+    items.xpath('title').toArray();
+  } catch (error) {
+    assert.equal(error.index, 0, 'index');
+    assert.true(error.cause instanceof TypeError, 'cause');
+    assert.true((/No xpath evaluator accepts \[object Object]/).test(error.message), 'message');
+  }
+  assert.deepEqual(
+    items
+      .onError('skip')
+      .xpath('title/text()')
+      .map(node => node.nodeValue)
+      .toArray(),
+    ['A'],
+    'error policy'
+  );
+  assert.deepEqual(
+    items.query('$.a', {language: 'jsonpath'}).toArray(),
+    [1],
+    'jsonpath'
+  );
+  assert.throws(() => items.query('a', {language: 'sql'}), TypeError, 'unknown language');
+  assert.end();
+});
+
+test('Iterant.registerEvaluator', assert => {
+  const own = {xpath: (path, bindings) => [path, bindings.x]};
+  assert.deepEqual(
+    Iterant([own])
+      .xpath('p', {x: 1})
+      .toArray(),
+    ['p', 1],
+    'own xpath method'
+  );
+
+  let compiled = 0;
+  Iterant.registerEvaluator('upper', item => 'string' === typeof item, expression => {
+    compiled++;
+    return item => [item[expression]()];
+  });
+  assert.deepEqual(
+    Iterant(['a', 'b'])
+      .query('toUpperCase', {language: 'upper'})
+      .toArray(),
+    ['A', 'B'],
+    'custom language'
+  );
+  assert.equal(compiled, 1, 'compiled once per query');
+  assert.throws(() => Iterant.registerEvaluator('x', null, () => null), TypeError, 'accepts');
+  assert.throws(() => Iterant.registerEvaluator(1, () => true, () => null), TypeError, 'language');
+  assert.end();
+});
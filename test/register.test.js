@@ -0,0 +1,121 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+const test = require('tape');
+const childProcess = require('child_process');
+const path = require('path');
+
+const Iterant = require('../iterant');
+const IterantArray = require('../iterant-array');
+
+function Bag(items) {
+  this.items = items;
+}
+Bag.prototype[Symbol.iterator] = function() {
+  return this.items[Symbol.iterator]();
+};
+
+function IterantBag(bag) {
+  if (!this) {
+    return new IterantBag(bag);
+  }
+  return Iterant.call(this, bag);
+}
+IterantBag.prototype = Object.create(Iterant.prototype);
+IterantBag.prototype[Symbol.toStringTag] = 'IterantBag';
+IterantBag.prototype[Symbol.species] = IterantBag;
+IterantBag.prototype.size = function() {
+  return this._iterable.items.length;
+};
+
+/* Wraps anything, adding a method, rather than delegating to a type. */
+function IterantLogged(iterable) {
+  if (!this) {
+    return new IterantLogged(iterable);
+  }
+  return Iterant.call(this, iterable);
+}
+IterantLogged.prototype = Object.create(Iterant.prototype);
+IterantLogged.prototype[Symbol.species] = IterantLogged;
+IterantLogged.prototype.log = function() {
+  return this.toArray().join(', ');
+};
+
+test('Iterant.register', assert => {
+  assert.false(Iterant(new Bag([1])) instanceof IterantBag, 'before');
+  Iterant.register(obj => obj instanceof Bag, IterantBag);
+  const bag = Iterant(new Bag([1, 2]));
+  assert.true(bag instanceof IterantBag, 'dispatches to registered subclass');
+  assert.equal(bag.size(), 2, 'subclass methods');
+  assert.true(Iterant(new Set([1]).values()) instanceof Iterant, 'no match');
+  assert.throws(() => Iterant.register(null, IterantBag), TypeError, 'predicate');
+  assert.throws(() => Iterant.register(() => true, Bag), TypeError, 'not a subclass');
+  assert.end();
+});
+
+test('Iterant.register priority', assert => {
+  function IterantPair(arr) {
+    return Iterant.call(this, arr);
+  }
+  IterantPair.prototype = Object.create(IterantArray.prototype);
+  Iterant.register(obj => Array.isArray(obj) && 2 === obj.length, IterantPair, -1);
+  assert.true(Iterant([1, 2]) instanceof IterantArray, 'lower priority loses');
+  assert.false(Iterant([1, 2]) instanceof IterantPair, 'lower priority loses');
+  Iterant.register(obj => Array.isArray(obj) && 2 === obj.length, IterantPair, 1);
+  assert.true(Iterant([1, 2]) instanceof IterantPair, 'higher priority wins');
+  assert.false(Iterant([1, 2, 3]) instanceof IterantPair, 'predicate');
+  assert.end();
+});
+
+test('Symbol.species', assert => {
+  assert.equal(Iterant(new Set().values())[Symbol.species], Iterant, 'Iterant');
+  const logged = IterantLogged(new Set([1, 2, 3]))
+    .map(i => i * 2)
+    .filter(i => i > 2)
+    .slice(0, 2)
+    .concat(7);
+  assert.true(logged instanceof IterantLogged, 'operators keep the species');
+  assert.equal(logged.log(), '4, 6, 7', 'subclass methods');
+  const mapped = Iterant(new Bag([1, 2])).map(i => i);
+  assert.false(mapped instanceof IterantBag, 'species must accept the output');
+  assert.deepEqual(mapped.toArray(), [1, 2], 'falls back to the factory');
+  assert.end();
+});
+
+/* Each in a fresh process, because the load order is what’s under test. */
+test('subclass modules can be required before iterant.js', assert => {
+  const modules = [
+    'iterant-array',
+    'iterant-sorted',
+    'iterant-sequence',
+    'iterant-map',
+    'iterant-set',
+    'iterant-range',
+    'iterant-repeat',
+    'iterant-string',
+    'iterant-typed-array'
+  ];
+  assert.plan(modules.length);
+  modules.forEach(name => {
+    const script = `require('./${name}'); require('./iterant')([1]);`;
+    childProcess.execFile(
+      process.execPath,
+      ['-e', script],
+      {cwd: path.join(__dirname, '..')},
+      error => assert.error(error, name)
+    );
+  });
+});
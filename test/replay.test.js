@@ -0,0 +1,152 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+const test = require('tape');
+
+const Iterant = require('../iterant');
+const IterantArray = require('../iterant-array');
+
+function* counter(n, log) {
+  try {
+    for (let i = 0; i < n; i++) {
+      log.push(i);
+      yield i;
+    }
+  } finally {
+    log.push('finally');
+  }
+}
+
+test('Iterant.prototype.isReplayable', assert => {
+  assert.true(Iterant([1, 2]).isReplayable, 'Array');
+  assert.true(Iterant(new Set([1])).isReplayable, 'Set');
+  assert.false(Iterant(counter(2, [])).isReplayable, 'generator');
+  assert.false(Iterant(new Set([1])).map(i => i).isReplayable, 'lazy operator');
+  assert.false(Iterant(Iterant(counter(2, []))).isReplayable, 'nested');
+  assert.true(Iterant.isReplayable([]), 'static');
+  assert.false(Iterant.isReplayable(null), 'not iterable');
+  assert.end();
+});
+
+test('Iterant.prototype.cache', assert => {
+  const log = [];
+  const cached = Iterant(counter(4, log)).cache();
+  assert.true(cached.isReplayable, 'replayable');
+  assert.deepEqual(log, [], 'lazy');
+  const reader = cached[Symbol.iterator]();
+  assert.equal(reader.next().value, 0, 'reads lazily');
+  assert.deepEqual(cached.slice(0, 2).toArray(), [0, 1], 'partial');
+  assert.deepEqual(log, [0, 1], 'only reads what’s needed');
+  assert.deepEqual(cached.toArray(), [0, 1, 2, 3], 'replays then reads');
+  assert.deepEqual(cached.toArray(), [0, 1, 2, 3], 'replays');
+  reader.return();
+  assert.deepEqual(log, [0, 1, 2, 3, 'finally'], 'source read once');
+  assert.end();
+});
+
+test('Iterant.prototype.cache keeps the source open until it’s exhausted', assert => {
+  const log = [];
+  const cached = Iterant(counter(4, log)).cache();
+  assert.equal(cached.first(), 0, 'first');
+  assert.deepEqual(log, [0], 'open after a reader stops early');
+  assert.deepEqual(cached.toArray(), [0, 1, 2, 3], 'later reads get every item');
+  assert.deepEqual(log, [0, 1, 2, 3, 'finally'], 'closed when exhausted');
+
+  const closed = [];
+  const other = Iterant(counter(4, closed)).cache();
+  other.first();
+  other.iterable.return();
+  assert.deepEqual(closed, [0, 'finally'], 'closed explicitly');
+  assert.deepEqual(other.toArray(), [0], 'replays what was read');
+  assert.end();
+});
+
+test('Iterant.prototype.tee', assert => {
+  const log = [];
+  const branches = Iterant(counter(3, log)).tee(3);
+  assert.equal(branches.length, 3, 'count');
+  assert.true(branches[0] instanceof Iterant, 'Iterant branches');
+  assert.deepEqual(branches[0].toArray(), [0, 1, 2], 'first branch');
+  assert.deepEqual(branches[1].toArray(), [0, 1, 2], 'second branch');
+  assert.deepEqual(branches[2].toArray(), [0, 1, 2], 'third branch');
+  assert.deepEqual(log, [0, 1, 2, 'finally'], 'source read once');
+
+  const used = Iterant(counter(3, []));
+  const late = used.clone();
+  assert.deepEqual(used.toArray(), [0, 1, 2], 'original iterated first');
+  assert.deepEqual(late.toArray(), [], 'a clone of a single-use original only gets what’s left');
+  assert.deepEqual(Iterant([1]).tee().length, 2, 'defaults to two');
+  assert.throws(() => Iterant([1]).tee(0), TypeError, 'invalid count');
+  assert.end();
+});
+
+test('Iterant.prototype.tee bounds its buffer', assert => {
+  const [a, b] = Iterant(counter(10, [])).tee(2, 3);
+  assert.deepEqual(a.slice(0, 3).toArray(), [0, 1, 2], 'within limit');
+  assert.deepEqual(b.toArray(), Array.from({length: 10}, (v, i) => i), 'other branch');
+  const [c, d] = Iterant(counter(10, [])).tee(2, 3);
+  const itr = d[Symbol.iterator]();
+  itr.next();
+  assert.throws(() => c.toArray(), RangeError, 'too far ahead');
+  const [e] = Iterant.range(20000).tee();
+  assert.equal(e.slice(0, 10000).count(), 10000, 'default limit');
+  const [g] = Iterant.range(20000).tee();
+  assert.throws(() => g.slice(0, 10001).count(), RangeError, 'bounded by default');
+  assert.throws(() => Iterant([1]).tee(2, Infinity), TypeError, 'finite limit');
+  assert.end();
+});
+
+test('Iterant.prototype.tee closes the source', assert => {
+  const log = [];
+  const [a, b] = Iterant(counter(10, log)).tee(2);
+  a.first();
+  assert.deepEqual(log, [0], 'one branch still reading');
+  b.slice(0, 2).toArray();
+  assert.deepEqual(log, [0, 1, 'finally'], 'closed by last branch');
+
+  const unstarted = [];
+  const [x, y] = Iterant(counter(10, unstarted)).tee(2);
+  x.first();
+  y[Symbol.iterator]().return();
+  assert.deepEqual(unstarted, [0, 'finally'], 'closed by a branch that never started');
+  assert.end();
+});
+
+test('Iterant.prototype.clone', assert => {
+  const log = [];
+  const generator = counter(3, log);
+  const original = Iterant(generator);
+  const copy = original.clone();
+  assert.notEqual(copy, original, 'new instance');
+  assert.equal(original.iterable, generator, 'original unchanged');
+  assert.false(original.isReplayable, 'original still single-use');
+  assert.deepEqual(copy.toArray(), [0, 1, 2], 'copy');
+  assert.deepEqual(copy.toArray(), [0, 1, 2], 'copy replays');
+  assert.deepEqual(log, [0, 1, 2, 'finally'], 'source read once');
+
+  const cached = Iterant(counter(3, [])).cache();
+  const twin = cached.clone();
+  assert.deepEqual(twin.toArray(), [0, 1, 2], 'clone of a cache');
+  assert.deepEqual(cached.toArray(), [0, 1, 2], 'cache still replays');
+
+  const arr = [3, 1, 2];
+  const ia = IterantArray(arr);
+  const cloned = ia.clone();
+  assert.true(cloned instanceof IterantArray, 'IterantArray');
+  cloned.sort();
+  assert.deepEqual(arr, [3, 1, 2], 'independent');
+  assert.end();
+});
@@ -0,0 +1,115 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+const test = require('tape');
+
+const Iterant = require('../iterant');
+
+const store = {
+  book: [
+    {
+      title: 'Sayings',
+      category: 'reference',
+      price: 8.95
+    },
+    {
+      title: 'Sword',
+      category: 'fiction',
+      price: 12.99
+    },
+    {
+      title: 'Moby Dick',
+      category: 'fiction',
+      isbn: '0-553',
+      price: 8.99
+    }
+  ],
+  bicycle: {
+    color: 'red',
+    price: 19.95
+  }
+};
+function select(path) {
+  return Iterant([store])
+    .select(path)
+    .toArray();
+}
+
+test('Iterant.prototype.select paths', assert => {
+  assert.deepEqual(select('$.bicycle.color'), ['red'], 'properties');
+  assert.deepEqual(select('bicycle.color'), ['red'], 'without $');
+  assert.deepEqual(select('$[\'bicycle\']["color"]'), ['red'], 'brackets');
+  assert.deepEqual(select('$'), [store], 'root');
+  assert.deepEqual(select('$.bicycle.size'), [], 'no match');
+  assert.deepEqual(select('$.book.title'), [], 'names don’t match arrays');
+  assert.deepEqual(select('$.bicycle.*'), ['red', 19.95], 'wildcard');
+  assert.deepEqual(select('$..price'), [8.95, 12.99, 8.99, 19.95], 'recursive descent');
+  assert.deepEqual(
+    select('$..book[*].title'),
+    ['Sayings', 'Sword', 'Moby Dick'],
+    'recursive descent and wildcard'
+  );
+  assert.end();
+});
+
+test('Iterant.prototype.select array selectors', assert => {
+  assert.deepEqual(select('$.book[1].title'), ['Sword'], 'index');
+  assert.deepEqual(select('$.book[-1].title'), ['Moby Dick'], 'negative index');
+  assert.deepEqual(select('$.book[5]'), [], 'out of bounds');
+  assert.deepEqual(select('$.book[0, 2].title'), ['Sayings', 'Moby Dick'], 'union');
+  assert.deepEqual(select('$.book[1:].title'), ['Sword', 'Moby Dick'], 'slice');
+  assert.deepEqual(select('$.book[:-1].title'), ['Sayings', 'Sword'], 'negative slice');
+  assert.deepEqual(select('$.book[::-2].title'), ['Moby Dick', 'Sayings'], 'negative step');
+  assert.end();
+});
+
+test('Iterant.prototype.select filters', assert => {
+  assert.deepEqual(select('$.book[?(@.isbn)].title'), ['Moby Dick'], 'existence');
+  assert.deepEqual(select('$.book[?(@.price > 10)].title'), ['Sword'], 'comparison');
+  assert.deepEqual(
+    select('$.book[?(@.category == \'fiction\' && !(@.price > 10))].title'),
+    ['Moby Dick'],
+    'logic'
+  );
+  assert.deepEqual(
+    select('$.book[?(@.price < 9 || @.isbn)].title'),
+    ['Sayings', 'Moby Dick'],
+    'or'
+  );
+  assert.deepEqual(
+    select('$.book[?(@.price < $.bicycle.price && @.price > 12)].title'),
+    ['Sword'],
+    'root references'
+  );
+  assert.deepEqual(select('$.book[?(@.price > \'10\')]'), [], 'no ordering across types');
+  assert.deepEqual(select('$..[?(@.color == "red")].price'), [19.95], 'filters on objects');
+  assert.end();
+});
+
+test('Iterant.prototype.select over items', assert => {
+  const items = Iterant([
+    {a: [1, 2]},
+    {a: 3},
+    'a',
+    null
+  ]);
+  assert.deepEqual(items.select('$.a[*]').toArray(), [1, 2], 'every item');
+  assert.deepEqual(items.select('$.a').toArray(), [[1, 2], 3], 'lazily flattened');
+  assert.throws(() => items.select('$.a['), SyntaxError, 'invalid expression');
+  assert.throws(() => items.select('$[?(@.a >)]'), SyntaxError, 'invalid filter');
+  assert.throws(() => items.select(null), TypeError, 'not a string');
+  assert.end();
+});
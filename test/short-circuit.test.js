@@ -0,0 +1,96 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+const test = require('tape');
+
+const Iterant = require('../iterant');
+
+/* Yields 0…n-1, logging when the generator is finalized. */
+function* counter(n, log) {
+  try {
+    for (let i = 0; i < n; i++) {
+      log.push(i);
+      yield i;
+    }
+  } finally {
+    log.push('finally');
+  }
+}
+
+test('Iterant.prototype.find', assert => {
+  const log = [];
+  assert.equal(Iterant(counter(100, log)).find(i => i > 2), 3, 'match');
+  assert.deepEqual(log, [0, 1, 2, 3, 'finally'], 'stops and closes');
+  assert.equal(
+    Iterant(counter(3, [])).find(i => i > 10),
+    undefined,
+    'no match'
+  );
+  assert.throws(() => Iterant([]).find(), TypeError, 'predicate required');
+  assert.end();
+});
+
+test('Iterant.prototype.findIndex', assert => {
+  const log = [];
+  assert.equal(Iterant(counter(100, log)).findIndex(i => 1 === i), 1);
+  assert.deepEqual(log, [0, 1, 'finally'], 'stops and closes');
+  assert.equal(Iterant(counter(3, [])).findIndex(i => i > 10), -1, 'no match');
+  assert.end();
+});
+
+test('Iterant.prototype.some and every', assert => {
+  const log = [];
+  assert.true(Iterant(counter(100, log)).some(i => 1 === i), 'some');
+  assert.deepEqual(log, [0, 1, 'finally'], 'some stops and closes');
+  log.length = 0;
+  assert.false(Iterant(counter(100, log)).every(i => i < 1), 'every');
+  assert.deepEqual(log, [0, 1, 'finally'], 'every stops and closes');
+  assert.false(Iterant([]).some(() => true), 'empty some');
+  assert.true(Iterant([]).every(() => false), 'empty every');
+  assert.end();
+});
+
+test('Iterant.prototype.indexOf and includes', assert => {
+  const log = [];
+  assert.equal(Iterant(counter(100, log)).indexOf(2), 2, 'indexOf');
+  assert.deepEqual(log, [0, 1, 2, 'finally'], 'stops and closes');
+  assert.equal(Iterant(['a', 'b', 'a']).indexOf('a', 1), 2, 'fromIndex');
+  assert.equal(Iterant(['a', 'b', 'a']).indexOf('a', -1), 2, 'negative fromIndex');
+  assert.equal(Iterant(['a', 'b', 'c']).indexOf('a', -2), -1, 'not in tail');
+  assert.equal(Iterant([NaN]).indexOf(NaN), -1, 'indexOf uses ===');
+  assert.true(Iterant([NaN]).includes(NaN), 'includes uses SameValueZero');
+  assert.false(Iterant(['a', 'b']).includes('a', 1), 'includes fromIndex');
+  assert.true(Iterant(['a', 'b']).includes('a', -5), 'includes all');
+  assert.end();
+});
+
+test('Iterant.prototype.at, first, and last', assert => {
+  const log = [];
+  assert.equal(Iterant(counter(100, log)).at(1), 1, 'at');
+  assert.deepEqual(log, [0, 1, 'finally'], 'stops and closes');
+  assert.equal(Iterant(counter(5, [])).at(-2), 3, 'negative at');
+  assert.equal(Iterant(counter(5, [])).at(-6), undefined, 'out of bounds');
+  assert.equal(Iterant(counter(7, [])).at(-3), 4, 'negative at, wrapped around');
+  assert.equal(Iterant(counter(7, [])).indexOf(6, -3), 6, 'negative fromIndex, wrapped around');
+  assert.equal(Iterant(counter(5, [])).at(5), undefined, 'past the end');
+  log.length = 0;
+  assert.equal(Iterant(counter(100, log)).first(), 0, 'first');
+  assert.deepEqual(log, [0, 'finally'], 'first only reads one');
+  assert.equal(Iterant(counter(5, [])).last(), 4, 'last');
+  assert.equal(Iterant([]).first(), undefined, 'empty first');
+  assert.equal(Iterant([]).last(), undefined, 'empty last');
+  assert.end();
+});
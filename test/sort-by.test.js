@@ -0,0 +1,193 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+const test = require('tape');
+
+const Iterant = require('../iterant');
+const IterantArray = require('../iterant-array');
+
+const people = [
+  {
+    name: 'Émile',
+    age: 30,
+    address: {city: 'Paris'}
+  },
+  {
+    name: 'ada',
+    age: null,
+    address: {city: 'London'}
+  },
+  {
+    name: 'Zoë',
+    age: 9,
+    address: {city: 'Berlin'}
+  },
+  {
+    name: 'Bob',
+    age: 30
+  }
+];
+function names(iterable) {
+  return iterable.map(person => person.name).toArray();
+}
+
+test('Iterant.prototype.sortBy', assert => {
+  const sorted = Iterant(people).sortBy('age');
+  assert.true(sorted instanceof IterantArray, 'IterantArray');
+  assert.deepEqual(names(sorted), ['Zoë', 'Émile', 'Bob', 'ada'], 'numbers as numbers, stable, nulls last');
+  assert.deepEqual(
+    names(Iterant(people).sortBy({
+      key: 'age',
+      order: 'desc',
+      nulls: 'first'
+    })),
+    ['ada', 'Émile', 'Bob', 'Zoë'],
+    'desc, nulls first, still stable'
+  );
+  assert.deepEqual(
+    names(Iterant(people).sortBy('address.city')),
+    ['Zoë', 'ada', 'Émile', 'Bob'],
+    'property path, missing is null'
+  );
+  assert.deepEqual(
+    names(Iterant(people).sortBy(person => person.name.length)),
+    ['ada', 'Zoë', 'Bob', 'Émile'],
+    'key function'
+  );
+  assert.end();
+});
+
+test('Iterant.prototype.sortBy with multiple keys and modes', assert => {
+  assert.deepEqual(
+    names(Iterant(people).sortBy([
+      {
+        key: 'age',
+        order: 'desc'
+      },
+      'name'
+    ])),
+    ['Bob', 'Émile', 'Zoë', 'ada'],
+    'ties broken by the next key'
+  );
+  assert.deepEqual(
+    Iterant(['10', '9', '1'])
+      .sortBy({
+        key: item => item,
+        mode: 'numeric'
+      })
+      .toArray(),
+    ['1', '9', '10'],
+    'numeric'
+  );
+  assert.deepEqual(
+    Iterant([10, 9, 1])
+      .sortBy({
+        key: item => item,
+        mode: 'string'
+      })
+      .toArray(),
+    [1, 10, 9],
+    'string'
+  );
+  assert.deepEqual(
+    Iterant([true, 'b', 2, 'a', 1])
+      .sortBy(item => item)
+      .toArray(),
+    [true, 1, 2, 'a', 'b'],
+    'mixed types'
+  );
+  assert.deepEqual(
+    Iterant([new Date(2000, 1), new Date(1990, 1)])
+      .sortBy(date => date)
+      .map(date => date.getFullYear())
+      .toArray(),
+    [1990, 2000],
+    'objects by valueOf'
+  );
+  assert.end();
+});
+
+test('Iterant.prototype.sortBy with collation', assert => {
+  assert.deepEqual(
+    names(Iterant(people).sortBy('name')),
+    ['Bob', 'Zoë', 'ada', 'Émile'],
+    'code points by default'
+  );
+  assert.deepEqual(
+    names(Iterant(people).sortBy({
+      key: 'name',
+      locale: 'en',
+      collation: {sensitivity: 'base'}
+    })),
+    ['ada', 'Bob', 'Émile', 'Zoë'],
+    'Intl.Collator'
+  );
+  assert.end();
+});
+
+test('IterantArray.prototype.sortBy', assert => {
+  const items = [3, 1, 2];
+  const iterable = IterantArray(items);
+  assert.deepEqual(
+    iterable
+      .sortBy(item => item)
+      .toArray(),
+    [1, 2, 3],
+    'sorted'
+  );
+  assert.deepEqual(items, [3, 1, 2], 'wrapped array unchanged');
+  assert.deepEqual(
+    iterable
+      .sortBy({
+        key: item => item,
+        order: 'desc'
+      })
+      .slice(0, 1)
+      .toArray(),
+    [3],
+    'leading slice'
+  );
+  assert.end();
+});
+
+test('Iterant.comparator', assert => {
+  const compare = Iterant.comparator({
+    key: 'n',
+    order: 'desc'
+  });
+  assert.deepEqual(
+    Iterant([{n: 1}, {n: 3}, {n: 2}])
+      .topK(1, compare)
+      .toArray(),
+    [{n: 1}],
+    'reusable with other sorts'
+  );
+  assert.throws(() => Iterant.comparator([]), TypeError, 'no keys');
+  assert.throws(() => Iterant.comparator({key: 1}), TypeError, 'invalid key');
+  assert.throws(() => Iterant.comparator({
+    key: 'n',
+    order: 'up'
+  }), TypeError, 'invalid order');
+  assert.throws(() => Iterant.comparator({
+    key: 'n',
+    nulls: 'middle'
+  }), TypeError, 'invalid nulls');
+  assert.throws(() => Iterant.comparator({
+    key: 'n',
+    mode: 'date'
+  }), TypeError, 'invalid mode');
+  assert.end();
+});
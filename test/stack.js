@@ -26,9 +26,11 @@ test('Stack frames', assert => {
     });
     Array.from(iterable);
   } catch (error) {
+    // The error policy’s guard sits between the callback and the native map.
     const frames = error.stack ? error.stack.split('\n') : undefined;
-    assert.true(/^\s+at Array\.map/.test(frames[2]), frames[2]);
-    assert.true(/^\s+at IterantArray\.map/.test(frames[3]), frames[3]);
+    assert.true(/^\s+at .*iterant\.js/.test(frames[2]), frames[2]);
+    assert.true(/^\s+at Array\.map/.test(frames[3]), frames[3]);
+    assert.true(/^\s+at IterantArray\.map/.test(frames[4]), frames[4]);
   }
   assert.end();
 });
@@ -0,0 +1,236 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+const test = require('tape');
+
+const Iterant = require('../iterant');
+const IterantError = require('../iterant-error');
+
+function* numbers(...items) {
+  yield* items;
+}
+
+test('Iterant.prototype.count', assert => {
+  assert.equal(Iterant(numbers(1, 2, 3)).count(), 3, 'generator');
+  assert.equal(Iterant(numbers()).count(), 0, 'empty');
+  assert.equal(Iterant([1, 2]).count(), 2, 'Array length');
+  assert.equal(Iterant(new Map([['a', 1]])).count(), 1, 'Map size');
+  assert.equal(Iterant(new Set([1, 2, 3])).count(), 3, 'Set size');
+  assert.end();
+});
+
+test('Iterant.prototype.sum and mean', assert => {
+  assert.equal(Iterant(numbers(1, 2, 3, 4)).sum(), 10, 'sum');
+  assert.equal(Iterant(numbers()).sum(), 0, 'empty sum');
+  assert.equal(Iterant(numbers(1, null, 2, undefined)).sum(), 3, 'null and undefined are ignored');
+  assert.equal(
+    Iterant(numbers({n: 2}, {n: 3})).sum(item => item.n),
+    5,
+    'fct'
+  );
+  assert.equal(
+    Iterant(new Array(10).fill(0.1)).sum(),
+    1,
+    'compensated'
+  );
+  assert.equal(Iterant(numbers(1e100, 1, -1e100)).sum(), 1, 'large and small');
+  assert.equal(Iterant(numbers(Infinity, 1)).sum(), Infinity, 'Infinity');
+  assert.throws(() => Iterant(numbers(1, '2')).sum(), TypeError, 'not a number');
+  assert.equal(Iterant(numbers(1, 2, 3, 4)).mean(), 2.5, 'mean');
+  assert.equal(Iterant(numbers()).mean(), undefined, 'empty mean');
+  assert.end();
+});
+
+test('Iterant.prototype.variance and stddev', assert => {
+  const values = [2, 4, 4, 4, 5, 5, 7, 9];
+  assert.equal(Iterant(values).variance(), 4, 'population');
+  assert.equal(Iterant(values).stddev(), 2, 'population stddev');
+  assert.equal(Iterant(values).variance(undefined, {sample: true}), 32 / 7, 'sample');
+  assert.equal(Iterant([1]).variance(), 0, 'one value');
+  assert.equal(Iterant([1]).variance(undefined, {sample: true}), undefined, 'too few for a sample');
+  assert.equal(Iterant([]).stddev(), undefined, 'empty');
+  assert.equal(
+    Iterant([1e9 + 4, 1e9 + 7, 1e9 + 13, 1e9 + 16]).variance(undefined, {sample: true}),
+    30,
+    'stable for large offsets'
+  );
+  assert.end();
+});
+
+test('Iterant.prototype.min and max', assert => {
+  assert.equal(Iterant(numbers(3, 1, 2)).min(), 1, 'min');
+  assert.equal(Iterant(numbers(3, 1, 2)).max(), 3, 'max');
+  assert.equal(Iterant(numbers('b', 'a', 'c')).min(), 'a', 'strings');
+  assert.equal(Iterant(numbers(null, 2, undefined, 1)).min(), 1, 'null and undefined are ignored');
+  assert.equal(Iterant(numbers()).max(), undefined, 'empty');
+  assert.equal(
+    Iterant(numbers('aa', 'b', 'ccc')).max((a, b) => a.length - b.length),
+    'ccc',
+    'comparator'
+  );
+  assert.end();
+});
+
+test('Iterant.prototype.minBy and maxBy', assert => {
+  const people = [
+    {
+      name: 'a',
+      age: 30
+    },
+    {
+      name: 'b',
+      age: 20
+    },
+    {
+      name: 'c',
+      age: 30
+    },
+    {
+      name: 'd',
+      age: 20
+    }
+  ];
+  assert.equal(Iterant(people).minBy(person => person.age).name, 'b', 'minBy, first wins ties');
+  assert.equal(Iterant(people).maxBy(person => person.age).name, 'a', 'maxBy, first wins ties');
+  assert.equal(
+    Iterant(people).maxBy(person => person.name, (a, b) => b.localeCompare(a)).name,
+    'a',
+    'comparator'
+  );
+  assert.equal(Iterant([]).minBy(person => person.age), undefined, 'empty');
+  assert.throws(() => Iterant(people).minBy(), TypeError, 'keyFn is required');
+  assert.end();
+});
+
+test('Iterant.prototype.histogram', assert => {
+  assert.deepEqual(
+    Iterant(numbers(1, 5, 10, 12, 20, 30)).histogram([0, 10, 20]),
+    [
+      {
+        from: 0,
+        to: 10,
+        count: 2
+      },
+      {
+        from: 10,
+        to: 20,
+        count: 3
+      },
+      {
+        from: 20,
+        to: Infinity,
+        count: 1
+      }
+    ],
+    'the last inner bucket includes its upper boundary'
+  );
+  assert.deepEqual(
+    Iterant(numbers(-1, NaN, null)).histogram([0, 1]),
+    [
+      {
+        from: -Infinity,
+        to: 0,
+        count: 1
+      },
+      {
+        from: 0,
+        to: 1,
+        count: 0
+      }
+    ],
+    'underflow, NaN and null'
+  );
+  assert.deepEqual(
+    Iterant([{v: 3}]).histogram([0, 5], item => item.v)[0].count,
+    1,
+    'fct'
+  );
+  assert.throws(() => Iterant([]).histogram([2, 1]), TypeError, 'not ascending');
+  assert.throws(() => Iterant([]).histogram([]), TypeError, 'no boundaries');
+  assert.end();
+});
+
+test('Iterant.prototype.percentile and median', assert => {
+  const values = Iterant.range(1, 10001);
+  assert.equal(Iterant(numbers(3, 1, 2)).median(), 2, 'small median');
+  assert.equal(values.percentile(0), 1, 'exact minimum');
+  assert.equal(values.percentile(100), 10000, 'exact maximum');
+  assert.true(Math.abs(values.median() - 5000) < 50, 'approximate median');
+  assert.true(Math.abs(values.percentile(99) - 9900) < 10, 'accurate tail');
+  const shuffled = values
+    .map(value => value * 7919 % 10000)
+    .toArray();
+  assert.true(Math.abs(Iterant(shuffled).percentile(90) - 9000) < 50, 'unordered');
+  assert.equal(Iterant([]).median(), undefined, 'empty');
+  assert.equal(
+    Iterant([{t: 4}, {t: 8}]).median(item => item.t),
+    6,
+    'fct'
+  );
+  assert.throws(() => values.percentile(101), RangeError, 'out of range');
+  assert.throws(() => values.percentile('50'), RangeError, 'not a number');
+  assert.end();
+});
+
+test('statistics honour the error policy', assert => {
+  const items = [{n: 1}, null, {n: 3}];
+  assert.throws(() => Iterant(items).sum(item => item.n), IterantError, 'throw');
+  assert.equal(
+    Iterant(items)
+      .onError('skip')
+      .sum(item => item.n),
+    4,
+    'skip'
+  );
+  assert.equal(
+    Iterant(items)
+      .onError('skip')
+      .maxBy(item => item.n).n,
+    3,
+    'skip maxBy'
+  );
+  function byN(a, b) {
+    if (undefined === a.n) {
+      throw new TypeError('no n');
+    }
+    return a.n - b.n;
+  }
+  const unsized = [{n: 1}, {}, {n: 3}];
+  assert.throws(() => Iterant(unsized).max(byN), IterantError, 'max wraps comparator failures');
+  assert.equal(
+    Iterant(unsized)
+      .onError('skip')
+      .max(byN).n,
+    3,
+    'skip max'
+  );
+  assert.equal(
+    Iterant(unsized)
+      .onError('skip')
+      .min(byN).n,
+    1,
+    'skip min'
+  );
+  assert.end();
+});
+
+test('IterantTypedArray statistics', assert => {
+  const typed = Iterant(new Int32Array([3, 1, 2]));
+  assert.equal(typed.sum(value => 2 * value), 12, 'sum with fct falls back');
+  assert.equal(typed.max((a, b) => b - a), 1, 'max with comparator falls back');
+  assert.equal(typed.mean(), 2, 'mean');
+  assert.end();
+});
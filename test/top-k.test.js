@@ -0,0 +1,114 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+const test = require('tape');
+
+const Iterant = require('../iterant');
+const IterantArray = require('../iterant-array');
+
+function numeric(a, b) {
+  return a - b;
+}
+function* shuffled(count, log) {
+  for (let i = 0; i < count; i++) {
+    log.push(i);
+    yield i * 7919 % count;
+  }
+}
+
+test('Iterant.prototype.topK and bottomK', assert => {
+  const items = [5, 1, 9, 3, 7, 3, 8];
+  const top = Iterant(items).topK(3, numeric);
+  assert.true(top instanceof IterantArray, 'IterantArray');
+  assert.deepEqual(top.toArray(), [9, 8, 7], 'greatest first');
+  assert.deepEqual(
+    Iterant(items)
+      .bottomK(3, numeric)
+      .toArray(),
+    [1, 3, 3],
+    'least first'
+  );
+  assert.deepEqual(
+    Iterant([10, 9, 1])
+      .bottomK(2)
+      .toArray(),
+    [1, 10],
+    'default comparator, like sort'
+  );
+  assert.deepEqual(
+    Iterant(items)
+      .topK(20, numeric)
+      .toArray(),
+    [9, 8, 7, 5, 3, 3, 1],
+    'k greater than the number of items'
+  );
+  assert.deepEqual(Iterant(items).topK(0)
+    .toArray(), [], 'zero');
+  assert.throws(() => Iterant(items).topK(-1), TypeError, 'invalid k');
+  assert.throws(() => Iterant(items).topK(1, 'desc'), TypeError, 'invalid comparator');
+  assert.end();
+});
+
+test('Iterant.prototype.bottomK is stable', assert => {
+  const people = ['b1', 'a1', 'b2', 'a2', 'c1', 'a3'];
+  function byLetter(a, b) {
+    return a[0].localeCompare(b[0]);
+  }
+  assert.deepEqual(
+    Iterant(people)
+      .bottomK(4, byLetter)
+      .toArray(),
+    people
+      .slice()
+      .sort(byLetter)
+      .slice(0, 4),
+    'same as a stable sort'
+  );
+  assert.deepEqual(
+    Iterant(people)
+      .topK(2, byLetter)
+      .toArray(),
+    ['c1', 'b1'],
+    'ties in source order'
+  );
+  assert.end();
+});
+
+test('Iterant.prototype.sort(…).slice(0, k) uses a heap', assert => {
+  const log = [];
+  const sorted = Iterant(shuffled(1000, log)).sort(numeric);
+  assert.true(sorted instanceof IterantArray, 'still an IterantArray');
+  assert.deepEqual(log, [], 'sort is deferred');
+  assert.deepEqual(sorted.slice(2, 5).toArray(), [2, 3, 4], 'leading slice');
+  assert.equal(log.length, 1000, 'read once');
+  assert.deepEqual(
+    Iterant([3, 1, 2])
+      .sort(numeric)
+      .first(),
+    1,
+    'first'
+  );
+  const full = Iterant([3, 1, 2]).sort(numeric);
+  assert.deepEqual(full.toArray(), [1, 2, 3], 'full sort');
+  assert.deepEqual(full.slice(0, 2).toArray(), [1, 2], 'slice after sorting');
+  assert.deepEqual(full.slice(-1).toArray(), [3], 'negative slice');
+  assert.equal(
+    Object.prototype.toString.call(full),
+    '[object IterantArray]',
+    'toString'
+  );
+  assert.end();
+});
@@ -0,0 +1,116 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+const test = require('tape');
+
+const Iterant = require('../iterant');
+
+function paths(walk) {
+  return walk.map(record => record.path.join('.')).toArray();
+}
+const doc = {
+  a: [1, {b: 'x'}],
+  c: null
+};
+
+test('Iterant.walk orders', assert => {
+  assert.deepEqual(
+    paths(Iterant.walk(doc)),
+    ['', 'a', 'a.0', 'a.1', 'a.1.b', 'c'],
+    'pre-order by default'
+  );
+  assert.deepEqual(
+    paths(Iterant.walk(doc, 'object', {order: 'post'})),
+    ['a.0', 'a.1.b', 'a.1', 'a', 'c', ''],
+    'post-order'
+  );
+  assert.deepEqual(
+    paths(Iterant.walk(doc, 'object', {order: 'bfs'})),
+    ['', 'a', 'c', 'a.0', 'a.1', 'a.1.b'],
+    'breadth-first'
+  );
+  assert.throws(() => Iterant.walk(doc, 'object', {order: 'in'}), TypeError, 'unknown order');
+  assert.end();
+});
+
+test('Iterant.walk records', assert => {
+  const records = Iterant.walk(doc).toArray();
+  assert.deepEqual(
+    records[0],
+    {
+      node: doc,
+      path: [],
+      depth: 0,
+      parent: undefined
+    },
+    'root'
+  );
+  assert.deepEqual(records[4].path, ['a', 1, 'b'], 'indexes are numbers');
+  assert.equal(records[4].node, 'x', 'node');
+  assert.equal(records[4].depth, 3, 'depth');
+  assert.equal(records[4].parent, doc.a[1], 'parent');
+  assert.deepEqual(paths(Iterant.walk(doc, 'object', {maxDepth: 1})), ['', 'a', 'c'], 'maxDepth');
+  assert.deepEqual(paths(Iterant.walk(doc, 'object', {maxDepth: 0})), [''], 'maxDepth 0');
+  assert.throws(() => Iterant.walk(doc, 'object', {maxDepth: -1}), TypeError, 'negative maxDepth');
+  assert.deepEqual(paths(Iterant.walk('abc')), [''], 'strings are leaves');
+  assert.deepEqual(paths(Iterant.walk(new Date())), [''], 'class instances are leaves');
+  const walk = Iterant.walk(doc);
+  assert.equal(walk.toArray().length, walk.toArray().length, 'replayable');
+  assert.end();
+});
+
+test('Iterant.walk cycles', assert => {
+  const shared = {s: 1};
+  const graph = {
+    left: shared,
+    right: shared
+  };
+  graph.left.back = graph;
+  assert.deepEqual(
+    paths(Iterant.walk(graph)),
+    ['', 'left', 'left.s', 'right', 'right.s'],
+    'back-references are skipped, shared children are not'
+  );
+  assert.end();
+});
+
+test('Iterant.walk with a children function', assert => {
+  const org = {
+    name: 'a',
+    reports: [
+      {
+        name: 'b',
+        reports: [{name: 'c'}]
+      },
+      {name: 'd'}
+    ]
+  };
+  assert.deepEqual(
+    Iterant.walk(org, person => person.reports, {order: 'post'})
+      .map(record => record.node.name)
+      .toArray(),
+    ['c', 'b', 'd', 'a'],
+    'iterable children'
+  );
+  assert.deepEqual(
+    paths(Iterant.walk(1, (n, depth) => depth < 2 ? new Map([['x', n + 1]]) : null)),
+    ['', 'x', 'x.x'],
+    'Map keys'
+  );
+  assert.throws(() => Iterant.walk(org, person => person.name).toArray(), TypeError, 'not iterable');
+  assert.throws(() => Iterant.walk(org, 'dom'), TypeError, 'unknown accessor');
+  assert.end();
+});
@@ -0,0 +1,134 @@
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * 
+ * Copyright 2016 MarkLogic Corp.                                             *
+ *                                                                            *
+ * Licensed under the Apache License, Version 2.0 (the "License");            *
+ * you may not use this file except in compliance with the License.           *
+ * You may obtain a copy of the License at                                    *
+ *                                                                            *
+ *     http://www.apache.org/licenses/LICENSE-2.0                             *
+ *                                                                            *
+ * Unless required by applicable law or agreed to in writing, software        *
+ * distributed under the License is distributed on an "AS IS" BASIS,          *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.   *
+ * See the License for the specific language governing permissions and        *
+ * limitations under the License.                                             *
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+'use strict';
+const test = require('tape');
+
+const Iterant = require('../iterant');
+
+/* Yields 0…n-1, logging when the generator is finalized. */
+function* source(n, log, name) {
+  try {
+    for (let i = 0; i < n; i++) {
+      yield i;
+    }
+  } finally {
+    log.push(name);
+  }
+}
+
+test('Iterant.zip', assert => {
+  assert.deepEqual(
+    Iterant.zip([1, 2, 3], ['a', 'b']).toArray(),
+    [[1, 'a'], [2, 'b']],
+    'stops at the shortest'
+  );
+  assert.deepEqual(Iterant.zip().toArray(), [], 'nothing');
+  const log = [];
+  Iterant.zip(source(2, log, 'short'), source(100, log, 'long')).toArray();
+  assert.deepEqual(log, ['short', 'long'], 'closes the longer input');
+  assert.end();
+});
+
+test('Iterant.zip closes every input when the consumer stops', assert => {
+  const log = [];
+  assert.deepEqual(
+    Iterant(source(100, log, 'a')).zip(source(100, log, 'b'))
+      .first(),
+    [0, 0],
+    'first tuple'
+  );
+  assert.deepEqual(log.sort(), ['a', 'b'], 'both closed');
+  assert.end();
+});
+
+test('Iterant.zipLongest', assert => {
+  assert.deepEqual(
+    Iterant.zipLongest(0, [1, 2, 3], [10]).toArray(),
+    [[1, 10], [2, 0], [3, 0]],
+    'fills'
+  );
+  assert.deepEqual(
+    Iterant([1]).zipLongest(null, ['a', 'b'])
+      .toArray(),
+    [[1, 'a'], [null, 'b']],
+    'instance'
+  );
+  assert.end();
+});
+
+test('Iterant.zipWith', assert => {
+  assert.deepEqual(
+    Iterant.zipWith((a, b) => a + b, [1, 2], [10, 20, 30]).toArray(),
+    [11, 22],
+    'combines'
+  );
+  assert.deepEqual(
+    Iterant(new Set([2, 3])).zipWith((a, b) => a * b, [4, 5])
+      .toArray(),
+    [8, 15],
+    'instance'
+  );
+  assert.throws(() => Iterant.zipWith(null, []), TypeError, 'fct');
+  assert.end();
+});
+
+test('Iterant.interleave and roundRobin', assert => {
+  assert.deepEqual(
+    Iterant.interleave([1, 2, 3], ['a', 'b']).toArray(),
+    [1, 'a', 2, 'b'],
+    'interleave stops at the shortest'
+  );
+  assert.deepEqual(
+    Iterant.roundRobin([1, 2, 3], ['a'], []).toArray(),
+    [1, 'a', 2, 3],
+    'roundRobin continues with the rest'
+  );
+  const log = [];
+  Iterant(source(100, log, 'a')).roundRobin(source(100, log, 'b'))
+    .slice(0, 3)
+    .toArray();
+  assert.deepEqual(log.sort(), ['a', 'b'], 'roundRobin closes its inputs');
+  assert.end();
+});
+
+test('Iterant.product', assert => {
+  assert.deepEqual(
+    Iterant.product([1, 2], ['a', 'b']).toArray(),
+    [[1, 'a'], [1, 'b'], [2, 'a'], [2, 'b']],
+    'cartesian'
+  );
+  assert.deepEqual(
+    Iterant(source(2, [], 'a')).product(source(2, [], 'b'))
+      .toArray(),
+    [[0, 0], [0, 1], [1, 0], [1, 1]],
+    'single-use inputs'
+  );
+  assert.deepEqual(Iterant.product([1], []).toArray(), [], 'empty input');
+  const log = [];
+  Iterant.product(source(100, log, 'a'), source(100, log, 'b')).first();
+  assert.deepEqual(log.sort(), ['a', 'b'], 'closes its inputs');
+  const wrapped = [];
+  Iterant([1, 2])
+    .product(Iterant(source(100, wrapped, 'b')))
+    .first();
+  assert.deepEqual(wrapped, ['b'], 'closes a generator wrapped in an Iterant');
+  const deep = [];
+  Iterant.product([1, 2], source(2, deep, 'b'), Iterant(source(100, deep, 'c')))
+    .slice(0, 3)
+    .toArray();
+  assert.deepEqual(deep.sort(), ['b', 'c'], 'closes every cached input');
+  assert.end();
+});